@@ -9,6 +9,10 @@
  *   - Set brandName and githubUsername below
  *
  * For the public whitelabel version, leave this file as-is.
+ *
+ * Values are validated by lib/branding.js. The accent's hover and tint shades
+ * (light and dark) are derived automatically. After editing, run
+ * `node generate.js --write-config` so the static gallery picks up the change.
  */
 
 // export default {
@@ -17,6 +21,8 @@
 //   logoDark: 'assets/logo-dark-mode.png',   // Logo shown in dark mode
 //   logoLight: 'assets/logo-light-mode.png', // Logo shown in light mode
 //   githubUsername: 'your-username',         // Default GitHub username to load
+//   attribution: 'Generated by My Team',     // Footer credit on generated pages and the apps
+//   siteUrl: 'https://your-username.github.io/meta-repo/', // Public URL, for `node generate.js --build`
 // };
 
 export default {};
@@ -4,21 +4,126 @@
  *
  * Usage:
  *   node generate.js owner/repo1 owner/repo2 ...
+ *   node generate.js https://gitlab.com/group/repo ./local/checkout   # any git host, or a local path
+ *   node generate.js --from-manifest --changed-only     # refresh the whole gallery
+ *   node generate.js --from-user octocat                # every public repo of a user
  *
  * Options:
- *   --no-push      Skip git commit and push
- *   --no-clone     Skip cloning (re-use existing tmp/repos/ clones)
+ *   --no-push           Skip git commit and push
+ *   --publish <strategy> How the run's changes are published (lib/publish.js): push (default),
+ *                       pr (branch + pull request via gh), export (--out), dry-run (print the diff);
+ *                       or PUBLISH_STRATEGY
+ *   --out <path>        Export target — a directory, or a .zip / .tar.gz bundle (implies --publish export);
+ *                       without repos, exports the gallery as it is and exits
+ *   --no-clone          Skip cloning (re-use existing tmp/repos/ clones)
+ *   --provider <name>   LLM provider: cerebras (default), openai, ollama, fixture
+ *   --model <id>        Model ID (default depends on provider)
+ *   --base-url <url>    OpenAI-compatible base URL (e.g. http://localhost:8080/v1)
+ *   --progress          Emit machine-readable `::progress::{json}` lines while streaming
+ *   --json              Emit newline-delimited JSON events instead of log text (see below)
+ *   --migrate           Move legacy repos/<repo>/ pages to repos/<owner>/<repo>/, save the manifest
+ *                       at the current schema (lib/manifest.js) and exit
+ *   --write-config      Write config.json (branding for the local gallery; not committed) from config.js and exit
+ *   --build             Build the deployable site into _site/ (SEO tags, social cards, sitemap,
+ *                       robots.txt, feed — see lib/site.js) and exit
+ *   --rollback <version> owner/repo  Make an archived version the live page again, commit and exit
+ *   --refine "<instruction>" owner/repo  Edit the live page as instructed (lib/refine.js) instead of
+ *                       regenerating it; --from <version> edits an archived version instead, and
+ *                       --draft archives the result without publishing it
+ *   --schedule <when> owner/repo  Regenerate the page automatically while server.js runs — hourly,
+ *                       daily, weekly, monthly or a cron expression ("0 6 * * 1"); `off` clears it.
+ *                       Saved in the manifest (lib/autoregen.js), committed, then exit
+ *   --set <field>=<value> owner/repo  Curate gallery entries — hidden, pinned (true/false), order
+ *                       (a number), title, description, tags (comma-separated); an empty value
+ *                       clears the field. Repeatable; commits the manifest and exits
+ *   --delete owner/repo Delete pages (files, versions and manifest entry), commit and exit
+ *   --changed-only      Skip repos whose commit SHA, context, model and prompt are unchanged
+ *   --force             Regenerate even when --changed-only finds nothing changed
+ *   --context-budget <n> Tokens of source code to include in the prompt (default 4000,
+ *                       or CONTEXT_TOKEN_BUDGET)
+ *   --type <type>       Pin the project type (saved in the manifest); `--type auto` unpins
+ *   --template <name>   Visual template for every repo in the run (templates/<name>.md);
+ *                       `--template owner/repo=<name>` for one repo; `auto` unpins
+ *   --from-file <path>  Add repos listed in a file (one owner/repo or GitHub URL per line, # comments)
+ *   --from-manifest     Add every repo in repos/manifest.json
+ *   --from-user <user>  Add every public, non-fork, non-archived repo of a GitHub user or org
+ *   --concurrency <n>   Pages generated at once (default 2, or LLM_CONCURRENCY)
+ *   --clone-concurrency <n>  Repos cloned and analysed at once (default 4, or CLONE_CONCURRENCY)
+ *   --candidates <n>    Generate n pages per repo at once and keep the best-scoring one
+ *                       (default 1, or PAGE_CANDIDATES; see lib/score.js)
+ *   --judge             Also have the model rate each candidate; blended into the score
+ *   --publish-private   Confirm that pages of private repos (and local checkouts) may be published
+ *   --dry-run-context   Clone, analyse and scrub, then print exactly what would be sent to the model
+ *                       and exit — no API key needed, nothing is generated, written or committed
+ *
+ * Any number of repos can be passed; all pages land in a single commit (or
+ * pull request, or export — see --publish). A repo
+ * is owner/repo (GitHub), a repo URL on any git host or a local path — see
+ * lib/sources.js for the forms, page names and tokens. A run that pushes
+ * refuses private repos without --publish-private.
+ * Repo text is scrubbed before it's put in a prompt (lib/scrub.js: keys, tokens,
+ * connection strings, emails, IPs); what was redacted is logged, never sent.
+ * Every page is sanitized before it's archived (lib/sanitize.js: inline code
+ * only, allowlisted links, a CSP meta tag); the version's JSON keeps the report.
+ * Every generation is also archived (lib/versions.js): versions that have been
+ * live under repos/<owner>/<repo>/versions/, drafts, losing candidates and pages
+ * that failed validation under tmp/versions/, so they're never committed.
+ *
+ * --json events (one object per line, each with `event` and `ts`):
+ *   start    { repos, provider, model, concurrency: { llm, clone } }
+ *   phase    { repo, phase, status, …details } — phase: clone | analyze | generate | write | commit;
+ *            status: started | done | skipped | failed. Details: analyze → type, typeConfidence,
+ *            secondaryTypes, template, redactions { <kind>: count }; generate → tokens, tps, repaired, score, candidates, sanitizer
+ *            { removed, flagged } (or reason when skipped);
+ *            write → path, url, bytes, version; failed → error { code, message } (plus version when a
+ *            page failed validation). commit has `repos` instead of `repo`, and `strategy` (--publish).
+ *   log      { repo, message } — the human-readable line, for display only
+ *   progress { repo, tokens, tps, delta, reset? } — streamed page chunks, only with --progress
+ *   context  { repo, messages: [{ role, content }], redactions } — only with --dry-run-context
+ *   error    { code, message } — the run could not start (bad arguments, config, provider)
+ *   summary  { ok, generated: [{ repo, path, url, type, tokens, tps, bytes, version, score }], skipped,
+ *              failed: [{ repo, phase, code, message }], commit, durationMs } — always last
+ *              (a --dry-run-context run adds previewed: [repo]; --refine adds refined: { repo, from,
+ *              version, path, edits, score, draft }; --schedule adds scheduled: { repos, schedule };
+ *              --set adds updated: [{ repo, curation }]; --delete adds deleted: [repo])
  *
  * Requires:
  *   - Node.js >= 18 (native fetch)
- *   - .env file with CEREBRAS_API_KEY
+ *   - .env file with CEREBRAS_API_KEY (or another provider — see lib/providers.js)
  *   - npm install (for dotenv)
  */
 
-import { readFileSync, writeFileSync, mkdirSync, existsSync, readdirSync } from 'fs';
+import { readFileSync, mkdirSync, existsSync, rmSync } from 'fs';
 import { join, dirname } from 'path';
-import { execSync } from 'child_process';
+import { execSync, execFile } from 'child_process';
+import { promisify } from 'util';
+import { createHash } from 'crypto';
 import { fileURLToPath } from 'url';
+import { resolveProviderOptions, createProvider } from './lib/providers.js';
+import { validatePage, repoUrlFor, buildRepairPrompt } from './lib/validate.js';
+import { sanitizePage, summarizeReport } from './lib/sanitize.js';
+import { loadAllowlist, scrubAnalysis, summarizeRedactions, countRedactions } from './lib/scrub.js';
+import { parseSchedule, nextRun } from './lib/autoregen.js';
+import { buildRefineMessages, buildRetryPrompt, parseEdits, applyEdits, REFINE_TEMPERATURE, MAX_INSTRUCTION_LENGTH } from './lib/refine.js';
+import { analyzeRepo, DEFAULT_TOKEN_BUDGET } from './lib/analyze.js';
+import { PROJECT_TYPES } from './lib/detect.js';
+import { loadTemplates, renderTemplate, isTemplateName, TEMPLATES_DIR } from './lib/templates.js';
+import { loadBranding, applyTheme, writePublicConfig } from './lib/branding.js';
+import { withFileLock } from './lib/lock.js';
+import { createLimiter, parseConcurrency, readRepoList, listUserRepos, dedupeRepos } from './lib/batch.js';
+import { resolveRepoRef, hostToken, gitEnv, isPrivateRepo, localRepoExists } from './lib/sources.js';
+import {
+  saveVersion, archiveExisting, activateVersion, pruneVersions, findVersion, versionDirs, removeUnpublishedVersions,
+} from './lib/versions.js';
+import { scorePage } from './lib/score.js';
+import { getRepo } from './lib/github.js';
+import { buildSite, resolveSiteUrl } from './lib/site.js';
+import { resolvePublishOptions, createPublisher, PUBLISH_STRATEGIES } from './lib/publish.js';
+import {
+  BACK_LINK, pagePaths, updateManifest, upsertManifestEntry, readManifest, findManifestEntry, sameRepo,
+  legacyEntries, migrateLayout, storedSchemaVersion, MANIFEST_SCHEMA, CURATION_FIELDS, normalizeCuration,
+  applyCuration, removePageFiles,
+} from './lib/manifest.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname  = dirname(__filename);
@@ -26,9 +131,14 @@ const __dirname  = dirname(__filename);
 // ============================================================
 // Config
 // ============================================================
-const CEREBRAS_API = 'https://api.cerebras.ai/v1/chat/completions';
-const MODEL        = 'zai-glm-4.7';
-const MAX_REPOS    = 5;
+const DEFAULT_LLM_CONCURRENCY   = 2;
+const DEFAULT_CLONE_CONCURRENCY = 4;
+const MAX_CANDIDATES = 8;
+const MAX_REDACTION_LINES = 10;
+
+// Bump whenever SYSTEM, the generation prompt or the type templates change in a
+// way that should invalidate existing pages for --changed-only.
+const PROMPT_VERSION = 2;
 
 // ============================================================
 // .env loader (no dotenv dependency required)
@@ -55,293 +165,163 @@ function parseArgs(argv) {
   const repos = [];
   let noPush   = false;
   let noClone  = false;
+  let provider = null;
+  let model    = null;
+  let baseUrl  = null;
+  let progress = false;
+  let migrate  = false;
+  let writeConfig = false;
+  let build    = false;
+  let rollback = null;
+  let changedOnly = false;
+  let force    = false;
+  let contextBudget = null;
+  let type     = null;
+  let template = null;
+  const templates = {}; // lowercased fullName → template name
+  const fromFiles = [];
+  const fromUsers = [];
+  let fromManifest = false;
+  let concurrency  = null;
+  let cloneConcurrency = null;
+  let json     = false;
+  let candidates = null;
+  let judge    = false;
+  let publishPrivate = false;
+  let dryRunContext = false;
+  let refine   = null;
+  let from     = null;
+  let draft    = false;
+  let schedule = null;
+  const sets   = []; // --set field=value
+  let remove   = false;
+  let publish  = null;
+  let out      = null;
 
   for (let i = 0; i < argv.length; i++) {
     const arg = argv[i];
     if (arg === '--no-push')    { noPush = true; continue; }
+    if (arg === '--publish')    { publish = argv[++i] || ''; continue; }
+    if (arg === '--out')        { out = argv[++i] || ''; continue; }
     if (arg === '--no-clone')   { noClone = true; continue; }
-    if (arg.startsWith('--'))   continue; // unknown flag
-    if (arg.includes('/'))      repos.push(arg);
-  }
-
-  return { repos, noPush, noClone };
-}
-
-// ============================================================
-// File helpers
-// ============================================================
-function readFileSafe(filePath, maxChars = 3000) {
-  try { return readFileSync(filePath, 'utf8').slice(0, maxChars); }
-  catch { return null; }
-}
-
-/** Recursive directory tree, returns string like `tree` output. */
-function dirTree(dir, maxDepth = 2, depth = 0, prefix = '') {
-  if (depth >= maxDepth) return '';
-  let out = '';
-  let entries;
-  try { entries = readdirSync(dir, { withFileTypes: true }); }
-  catch { return ''; }
-
-  const IGNORE = new Set(['node_modules', '__pycache__', '.git', 'dist', 'build',
-    '.next', '.nuxt', 'target', 'venv', '.venv', '.mypy_cache', 'coverage']);
-
-  const filtered = entries
-    .filter(e => !e.name.startsWith('.') && !IGNORE.has(e.name))
-    .slice(0, 40); // cap
-
-  filtered.forEach((entry, i) => {
-    const isLast   = i === filtered.length - 1;
-    const connector = isLast ? '└── ' : '├── ';
-    out += prefix + connector + entry.name + (entry.isDirectory() ? '/' : '') + '\n';
-    if (entry.isDirectory() && depth < maxDepth - 1) {
-      out += dirTree(join(dir, entry.name), maxDepth, depth + 1, prefix + (isLast ? '    ' : '│   '));
-    }
-  });
-  return out;
-}
-
-/** Check if any file in dir (recursively, depth-limited) matches predicate. */
-function findFile(dir, predicate, maxDepth = 3, depth = 0) {
-  if (depth > maxDepth) return false;
-  let entries;
-  try { entries = readdirSync(dir, { withFileTypes: true }); }
-  catch { return false; }
-  for (const e of entries) {
-    if (e.name.startsWith('.')) continue;
-    if (predicate(e.name, e.isDirectory())) return true;
-    if (e.isDirectory() && e.name !== 'node_modules' && e.name !== '.git') {
-      if (findFile(join(dir, e.name), predicate, maxDepth, depth + 1)) return true;
+    if (arg === '--provider')   { provider = argv[++i]; continue; }
+    if (arg === '--model')      { model = argv[++i]; continue; }
+    if (arg === '--base-url')   { baseUrl = argv[++i]; continue; }
+    if (arg === '--progress')   { progress = true; continue; }
+    if (arg === '--json')       { json = true; continue; }
+    if (arg === '--migrate')    { migrate = true; continue; }
+    if (arg === '--write-config') { writeConfig = true; continue; }
+    if (arg === '--build')      { build = true; continue; }
+    if (arg === '--rollback')   { rollback = argv[++i] || ''; continue; }
+    if (arg === '--changed-only') { changedOnly = true; continue; }
+    if (arg === '--force')      { force = true; continue; }
+    if (arg === '--context-budget') { contextBudget = Number(argv[++i]); continue; }
+    if (arg === '--type')       { type = (argv[++i] || '').toLowerCase(); continue; }
+    if (arg === '--template') {
+      const value = (argv[++i] || '').trim();
+      const eq = value.lastIndexOf('=');
+      if (eq > 0) templates[value.slice(0, eq).toLowerCase()] = value.slice(eq + 1).toLowerCase();
+      else template = value.toLowerCase();
+      continue;
     }
+    if (arg === '--from-file')  { fromFiles.push(argv[++i]); continue; }
+    if (arg === '--from-user')  { fromUsers.push(argv[++i]); continue; }
+    if (arg === '--from-manifest') { fromManifest = true; continue; }
+    if (arg === '--concurrency') { concurrency = argv[++i]; continue; }
+    if (arg === '--clone-concurrency') { cloneConcurrency = argv[++i]; continue; }
+    if (arg === '--candidates') { candidates = argv[++i]; continue; }
+    if (arg === '--judge')      { judge = true; continue; }
+    if (arg === '--publish-private') { publishPrivate = true; continue; }
+    if (arg === '--dry-run-context') { dryRunContext = true; continue; }
+    if (arg === '--refine')     { refine = argv[++i] || ''; continue; }
+    if (arg === '--from')       { from = argv[++i] || ''; continue; }
+    if (arg === '--draft')      { draft = true; continue; }
+    if (arg === '--schedule')   { schedule = argv[++i] || ''; continue; }
+    if (arg === '--set')        { sets.push(argv[++i] || ''); continue; }
+    if (arg === '--delete')     { remove = true; continue; }
+    if (arg.startsWith('--'))   continue; // unknown flag
+    if (arg.includes('/') || /^\.{1,2}$/.test(arg)) repos.push(arg);
   }
-  return false;
-}
 
-// ============================================================
-// Repo type detection
-// ============================================================
-function detectType(repoPath) {
-  const has    = (name)    => existsSync(join(repoPath, name));
-  const hasDir = (name)    => has(name) && (() => { try { return readdirSync(join(repoPath, name)).length > 0; } catch { return false; } })();
-
-  /** Search all candidate package files for pattern */
-  const pkgMatches = (pattern) => {
-    for (const f of ['package.json', 'requirements.txt', 'Cargo.toml',
-                      'pyproject.toml', 'go.mod', 'setup.py', 'Gemfile']) {
-      const c = readFileSafe(join(repoPath, f), 4000);
-      if (c && pattern.test(c)) return true;
-    }
-    return false;
+  return {
+    repos, noPush, noClone, provider, model, baseUrl, progress, json, migrate, writeConfig, build, rollback, changedOnly,
+    force, contextBudget, type, template, templates, fromFiles, fromUsers, fromManifest, concurrency, cloneConcurrency,
+    candidates, judge, publishPrivate, dryRunContext, refine, from, draft, schedule,
+    sets, remove, publish, out,
   };
+}
 
-  // ML / Data Science
-  if (findFile(repoPath, n => n.endsWith('.ipynb'), 2)) return 'ml';
-  if (pkgMatches(/pandas|numpy|scikit.learn|torch|tensorflow|keras|xgboost|lightgbm/i)) return 'ml';
-
-  // Monorepo
-  if (has('lerna.json') || has('turbo.json') || has('pnpm-workspace.yaml') ||
-      hasDir('packages') || hasDir('apps')) return 'monorepo';
-
-  // Infrastructure / DevOps
-  if (findFile(repoPath, n => n.endsWith('.tf'), 2)) return 'infra';
-  if (has('Dockerfile') || has('docker-compose.yml') || has('docker-compose.yaml') ||
-      hasDir('k8s') || hasDir('kubernetes') || hasDir('.github/workflows') && !pkgMatches(/react|vue|svelte|next|flask|fastapi/i)) {
-    if (has('Dockerfile') || has('docker-compose.yml')) return 'infra';
-  }
-
-  // Frontend
-  if (pkgMatches(/["']react["']|["']vue["']|["']svelte["']|["']next["']|["']nuxt["']|["']angular["']|["']solid-js["']/i)) return 'frontend';
-
-  // API Server
-  if (pkgMatches(/fastapi|flask|express|fastify|django|gin|actix-web|fiber|hono/i)) return 'api';
-
-  // CLI Tool
-  if (hasDir('bin') || pkgMatches(/commander|yargs|clap|argparse|click|cobra|oclif/i)) return 'cli';
-
-  // Library / SDK
-  const pkg = readFileSafe(join(repoPath, 'package.json'), 2000);
-  if (pkg) {
-    try {
-      const p = JSON.parse(pkg);
-      if (p.main || p.exports || p.module || p.types) return 'library';
-    } catch {}
+/**
+ * Every repo for this run: positional args, then --from-file, --from-manifest
+ * and --from-user, without duplicates.
+ */
+async function collectRepos(args) {
+  const repos = [...args.repos];
+  for (const file of args.fromFiles) repos.push(...readRepoList(file));
+  if (args.fromManifest) repos.push(...readManifest().generated.map(e => e.fullName));
+  for (const user of args.fromUsers) {
+    log(`🔎 Listing repos of ${user}…`);
+    const names = await listUserRepos(user);
+    log(`   ${names.length} public repo(s) (forks and archived repos skipped)`);
+    repos.push(...names);
   }
-  if (readFileSafe(join(repoPath, 'Cargo.toml'), 2000)?.includes('[lib]')) return 'library';
-
-  return 'generic';
+  return dedupeRepos(repos);
 }
 
 // ============================================================
-// Repo analysis
+// Visual templates (templates/*.md — see lib/templates.js)
 // ============================================================
-function analyzeRepo(repoPath, owner, repo) {
-  const analysis = { owner, repo, type: 'generic', structure: '', readme: '', packageFile: '', packageContent: '', sourceFiles: [] };
-
-  // Directory tree
-  analysis.structure = dirTree(repoPath, 2);
-
-  // README
-  for (const f of ['README.md', 'README.rst', 'README.txt', 'README']) {
-    const c = readFileSafe(join(repoPath, f), 4000);
-    if (c) { analysis.readme = c; break; }
-  }
 
-  // Primary package / manifest file
-  for (const f of ['package.json', 'Cargo.toml', 'pyproject.toml', 'requirements.txt', 'go.mod', 'setup.py', 'Gemfile', 'composer.json']) {
-    const c = readFileSafe(join(repoPath, f), 2500);
-    if (c) { analysis.packageContent = c; analysis.packageFile = f; break; }
-  }
-
-  // Detect type
-  analysis.type = detectType(repoPath);
+/**
+ * Template text for one page: the chosen template sets the layout, and each
+ * secondary type contributes a section or two from its own template.
+ */
+function composeTemplate(catalog, name, secondaryTypes = []) {
+  const primary = catalog.templates.get(name) || catalog.templates.get('generic');
+  if (!primary) throw new Error(`No "${name}" or "generic" template found in ${TEMPLATES_DIR}`);
 
-  // Key source files by type
-  const candidates = {
-    ml:       ['train.py', 'model.py', 'src/train.py', 'src/model.py', 'main.py'],
-    api:      ['main.py', 'app.py', 'server.js', 'app.js', 'src/main.py', 'src/app.ts'],
-    cli:      ['src/main.rs', 'src/main.py', 'bin/cli.js', 'cmd/root.go', 'main.go', 'cli.py'],
-    frontend: ['src/App.tsx', 'src/App.jsx', 'src/app.tsx', 'src/main.tsx', 'pages/index.tsx', 'src/routes/+page.svelte'],
-    library:  ['src/index.ts', 'src/index.js', 'src/lib.rs', 'src/lib.ts', 'lib/index.js', 'index.ts'],
-    infra:    ['Dockerfile', 'docker-compose.yml', 'main.tf', '.github/workflows/deploy.yml'],
-    monorepo: ['package.json', 'turbo.json', 'lerna.json'],
-    generic:  ['main.py', 'main.js', 'main.go', 'main.rs', 'index.js', 'index.ts', 'app.py'],
-  };
+  const extras = secondaryTypes.filter(s => s.type !== primary.name && catalog.templates.has(s.type));
+  const text = renderTemplate(primary) + extras.map(s => `
 
-  for (const p of (candidates[analysis.type] || candidates.generic)) {
-    const c = readFileSafe(join(repoPath, p), 1500);
-    if (c) {
-      analysis.sourceFiles.push({ name: p, content: c });
-      if (analysis.sourceFiles.length >= 2) break;
-    }
-  }
+SECONDARY ASPECT: ${s.type} (confidence ${s.confidence}) — keep the layout above, but add 1–2 sections
+borrowed from this template where the repo genuinely supports them:
+${renderTemplate(catalog.templates.get(s.type))}`).join('');
 
-  return analysis;
-}
-
-// ============================================================
-// Type-specific visual template descriptions
-// ============================================================
-function getTypeTemplate(type) {
-  const templates = {
-    ml: `
-VISUAL TEMPLATE: Research Pipeline / Data Science
-- Hero section: dataset/project name with a prominent "data science" visual indicator
-- Horizontal pipeline diagram showing stages as connected cards:
-  Raw Data → Preprocessing → Feature Engineering → Model Training → Evaluation → Results
-- Key metrics panel: accuracy, F1, RMSE, or similar — displayed as large colorful STAT TILES
-- "Data Snapshot" section: mock/described table preview of the dataset (5 rows)
-- Model architecture or algorithm callout card
-- Results visualization section with bar/line chart represented as styled divs
-- Color palette: blues, purples, teals — scientific feel
-- Icons: 🧪 📊 🔬 📈 🤖`,
-
-    api: `
-VISUAL TEMPLATE: Interactive API Map
-- Hero: service name + one-sentence description of what the API does
-- Endpoint gallery: each route as a card with METHOD badge:
-  GET (green), POST (blue), PUT (yellow), DELETE (red), PATCH (orange)
-  Include: path, brief description, request/response summary
-- Architecture diagram as a horizontal flow:
-  Client → API Gateway → Middleware → Routes → Database/Services
-- Authentication section with shield icon showing auth method (JWT, OAuth, API key)
-- Key stats tiles: number of endpoints, auth type, database, avg response time
-- Color palette: greens, teals, with method-color accents
-- Icons: 🌐 🔒 ⚡ 🛡️ 📡`,
-
-    cli: `
-VISUAL TEMPLATE: Terminal-Style Showcase
-- Hero: tool name displayed in a REALISTIC dark terminal window with the command:
-  $ tool-name --help  (then show the help output styled as terminal text)
-- Command tree: visual hierarchy of subcommands and flags, styled like a file tree
-  ├── command1 [flags]
-  └── command2 [flags]
-- "What it does" as 3 punchy icon+text feature cards
-- Example usage section: multiple dark code blocks with realistic, practical examples
-- Installation section: package manager commands (npm install -g / cargo install / pip install)
-- Color palette: dark background (#0d1117), green terminal text, amber for prompts
-- Icons: 💻 ⚙️ 🔧 🚀 📦`,
-
-    frontend: `
-VISUAL TEMPLATE: Component Showcase / UI Gallery
-- Hero: app name + tagline, with a gradient glass card and screenshot-like wireframe
-- Component map: a visual grid of key UI components as mini labeled cards with icons
-- Page/route flow diagram: screens connected by arrows
-  e.g. Landing → Login → Dashboard → Settings → Profile
-- Tech stack badges: logos/names of React/Vue/Svelte, styling library, build tool, etc.
-- "Key Screens" section: describe/sketch 3-4 main views as labeled wireframe-style cards
-- Feature highlights: 3-6 cards describing what makes the UX special
-- Color palette: vibrant gradients, glassmorphism, product-design feel
-- Icons: 🎨 ✨ 📱 🖥️ ⚡`,
-
-    library: `
-VISUAL TEMPLATE: Developer Docs Landing Page
-- Hero: package name + ONE-LINE install command in a prominent copyable code block:
-  npm install package-name  or  pip install package  or  cargo add package
-  Include version badge and download count stat
-- "Why use this?" — exactly 3 value-proposition cards with icons and 2-3 sentence descriptions
-- API surface table: key functions/methods/classes with signatures and one-line descriptions
-- Code example: a realistic, practical usage example in a styled dark code block
-- Compatibility section: language/runtime version badges, browser support, bundle size
-- Ecosystem/dependency diagram if relevant
-- Color palette: clean neutral with accent highlights — professional docs feel
-- Icons: 📦 ⚡ 🔌 🛠️ 📚`,
-
-    infra: `
-VISUAL TEMPLATE: Cloud Architecture Diagram
-- Hero: what infrastructure this provisions/manages in one clear sentence
-- Architecture diagram using styled divs and arrows to show:
-  Services (DB, cache, queue, compute nodes) connected by labeled arrows
-  Color-code by service type (database=blue, cache=red, compute=green, etc.)
-- Resource inventory table: service/resource name, type, region, purpose
-- Environment pipeline strip: Dev → Staging → Production with status indicators
-- Configuration highlights: key env vars and config options (names and descriptions ONLY — no values)
-- Security section: IAM/RBAC, networking rules, secrets management approach
-- Color palette: slate, indigo, with service-type color accents
-- Icons: ☁️ 🗄️ ⚡ 🔒 🌐 📊`,
-
-    monorepo: `
-VISUAL TEMPLATE: Constellation / Package Map
-- Hero: monorepo name + total package count + brief description
-- Package constellation: a visual graph where each package is a node (styled card)
-  Sized differently based on importance/LOC, connected by dependency arrows
-  Each package gets its own accent color
-- Per-package cards: name, version, description, key exports/entry points
-- Dependency matrix: show which packages depend on which (visual grid or arrow map)
-- Shared tooling strip: linter, formatter, test runner, CI — shown as icon badges
-- Getting started section: install + build commands
-- Color palette: multi-hue — each package has its own color from a defined palette
-- Icons: 🗂️ 📦 🔗 ⚙️ 🚀`,
-
-    generic: `
-VISUAL TEMPLATE: Project Showcase (Default)
-- Hero: project name, one-sentence description, and 2-3 key value props as badges
-- Overview card: what problem it solves, who it's for, why it matters — NOT a README dump
-- Key Features: 4-6 feature cards, each with an icon, name, and 1-2 sentence description
-- How It Works / Architecture: diagram or numbered step-by-step flow with visual connectors
-- Tech Stack: language/framework/tool badges in a grid
-- Getting Started: installation and quick-start code in a dark code block
-- Color palette: clean, professional with orange accent highlights
-- Icons: chosen to match the project domain`,
-  };
-
-  return templates[type] || templates.generic;
+  return { name: primary.name, text };
 }
 
 // ============================================================
 // Build LLM context (stays under ~4000 tokens / ~16KB)
 // ============================================================
-function buildContext(analysis, isExternal) {
+function buildContext(analysis, isExternal, webUrl) {
   const sections = [];
 
   sections.push(`## Repository: ${analysis.owner}/${analysis.repo}`);
-  sections.push(`## GitHub URL: https://github.com/${analysis.owner}/${analysis.repo}`);
+  sections.push(!webUrl ? '## Repository URL: none — this repository has no public URL, so add no repository or source links'
+    : isGitHubUrl(webUrl) ? `## GitHub URL: ${webUrl}` : `## Repository URL: ${webUrl}`);
   if (isExternal) {
     sections.push(`⚠️  EXTERNAL REPOSITORY — You MUST display an "External — ${analysis.owner}" badge prominently at the top of the page (below the repo title). Style it with an orange/warning color.`);
   }
-  sections.push(`## Detected Project Type: ${analysis.type}`);
+  sections.push(`## Detected Project Type: ${analysis.type}${analysis.typeOverridden ? ' (set by the maintainer)' : ''}`);
+  if (analysis.secondaryTypes?.length) {
+    sections.push(`## Secondary Aspects: ${analysis.secondaryTypes.map(s => `${s.type} (${s.confidence})`).join(', ')}`);
+  }
 
   sections.push('## Directory Structure\n```\n' + (analysis.structure || '(empty)') + '```');
 
+  if (analysis.languages?.length) {
+    const rows = analysis.languages.slice(0, 10)
+      .map(l => `- ${l.language}: ${l.files} file${l.files === 1 ? '' : 's'}, ${l.lines.toLocaleString('en-US')} lines (${l.percent}%)`);
+    const { files, lines, truncated } = analysis.stats;
+    sections.push(`## Languages (measured — use these numbers, don't invent others)\n${rows.join('\n')}\n` +
+      `Total: ${files.toLocaleString('en-US')}${truncated ? '+' : ''} files, ${lines.toLocaleString('en-US')} lines`);
+  }
+
+  if (analysis.entryPoints?.length) {
+    sections.push('## Entry Points\n' + analysis.entryPoints
+      .map(e => `- ${e.kind === 'bin' ? 'executable' : 'module'} \`${e.name}\` → ${e.path} (${e.source})`).join('\n'));
+  }
+
   if (analysis.readme) {
     sections.push('## README (truncated)\n' + analysis.readme.slice(0, 3500));
   } else {
@@ -353,88 +333,14 @@ function buildContext(analysis, isExternal) {
   }
 
   for (const sf of analysis.sourceFiles) {
-    sections.push(`## ${sf.name} (key source file)\n\`\`\`\n${sf.content}\n\`\`\``);
+    const label = [sf.entryPoint ? 'entry point' : 'key source file', sf.truncated && 'truncated'].filter(Boolean).join(', ');
+    sections.push(`## ${sf.name} (${label})\n\`\`\`\n${sf.content}\n\`\`\``);
   }
 
   return sections.join('\n\n');
 }
 
-// ============================================================
-// CSS design system (inlined into generated pages)
-// ============================================================
-const DESIGN_CSS = `
-:root {
-  --bg-primary:#f5f5f7; --bg-secondary:#ffffff; --bg-tertiary:#f0f0f2; --bg-card:#ffffff;
-  --text-primary:rgb(43,25,16); --text-secondary:#86868b; --border-color:rgba(0,0,0,0.08);
-  --accent-color:rgb(224,100,57); --accent-hover:rgb(200,85,45); --accent-subtle:rgba(224,100,57,0.1);
-  --success-color:#34c759; --warning-color:#ff9500; --error-color:#ff3b30; --info-color:#007aff;
-  --shadow-sm:0 1px 2px 0 rgba(0,0,0,0.05);
-  --shadow-md:0 4px 6px -1px rgba(0,0,0,0.1),0 2px 4px -1px rgba(0,0,0,0.06);
-  --shadow-lg:0 8px 32px rgba(0,0,0,0.12);
-  --radius-sm:8px; --radius-md:12px; --radius-lg:16px; --radius-xl:24px;
-}
-[data-theme="dark"] {
-  --bg-primary:#000000; --bg-secondary:#1c1c1e; --bg-tertiary:#2c2c2e; --bg-card:#1c1c1e;
-  --text-primary:#f5f5f7; --text-secondary:#86868b; --border-color:rgba(255,255,255,0.1);
-  --accent-color:rgb(224,100,57); --accent-hover:rgb(240,115,70); --accent-subtle:rgba(224,100,57,0.15);
-  --success-color:#30d158; --warning-color:#ff9f0a; --error-color:#ff453a; --info-color:#0a84ff;
-  --shadow-sm:0 1px 2px 0 rgba(0,0,0,0.3);
-  --shadow-md:0 4px 6px -1px rgba(0,0,0,0.4),0 2px 4px -1px rgba(0,0,0,0.2);
-  --shadow-lg:0 8px 32px rgba(0,0,0,0.5);
-}
-*,*::before,*::after{box-sizing:border-box;margin:0;padding:0}
-html{font-family:-apple-system,BlinkMacSystemFont,"SF Pro Display","Segoe UI",Roboto,sans-serif;-webkit-font-smoothing:antialiased}
-body{background:var(--bg-primary);color:var(--text-primary);min-height:100vh;transition:background .3s,color .3s}
-`.trim();
-
-// ============================================================
-// Cerebras API call
-// ============================================================
-async function callCerebras(apiKey, messages) {
-  let lastError;
-  for (let attempt = 1; attempt <= 3; attempt++) {
-    try {
-      const t0 = Date.now();
-      const res = await fetch(CEREBRAS_API, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify({
-          model: MODEL,
-          messages,
-          max_tokens: 60384,
-          temperature: 1.0,
-        }),
-        signal: AbortSignal.timeout(300_000), // 5-minute timeout
-      });
-
-      if (!res.ok) {
-        const body = await res.text();
-        throw new Error(`HTTP ${res.status}: ${body.slice(0, 200)}`);
-      }
-
-      const data = await res.json();
-      const content = data.choices?.[0]?.message?.content;
-      if (!content) throw new Error('Empty response from API');
-
-      // tokens/sec — prefer Cerebras time_info, fall back to wall clock
-      const completionTokens = data.usage?.completion_tokens ?? 0;
-      const elapsedSec = data.time_info?.completion_time ?? ((Date.now() - t0) / 1000);
-      const tps = elapsedSec > 0 ? Math.round(completionTokens / elapsedSec) : 0;
-
-      return { content, tps };
-    } catch (err) {
-      lastError = err;
-      if (attempt < 3) {
-        process.stderr.write(`    ⚠  API attempt ${attempt} failed (${err.message}), retrying…\n`);
-        await new Promise(r => setTimeout(r, 2000 * attempt));
-      }
-    }
-  }
-  throw lastError;
-}
+const isGitHubUrl = (url) => url.startsWith('https://github.com/');
 
 /** Extract HTML from a response that might wrap it in a code fence. */
 function extractHTML(content) {
@@ -448,17 +354,15 @@ function extractHTML(content) {
 }
 
 // ============================================================
-// Generate a visual page (LLM iterations)
+// Prompt
 // ============================================================
-async function generatePage(apiKey, analysis, isExternal) {
-  const context      = buildContext(analysis, isExternal);
-  const typeTemplate = getTypeTemplate(analysis.type);
-
+/** The system and user messages that generate a page — also what --dry-run-context prints. */
+function buildMessages(analysis, isExternal, { webUrl, context = buildContext(analysis, isExternal, webUrl), template, designCSS, branding }) {
   const SYSTEM = `You are an expert UI/UX designer and front-end developer creating beautiful, self-contained HTML showcase pages for GitHub repositories.
 
 Design System CSS Variables (USE THESE EXACTLY):
 \`\`\`css
-${DESIGN_CSS}
+${designCSS}
 \`\`\`
 
 Hard rules:
@@ -468,9 +372,9 @@ Hard rules:
 4. The page must be mobile-responsive.
 5. Make it visually STUNNING — use cards, icons (Unicode or inline SVG), gradients, stat tiles, diagrams.
 6. Do NOT dump the README verbatim — transform and curate the content visually.
-7. Include a "← Back to Explorer" link at the top linking to ../../index.html.
+7. Include a "← Back to Explorer" link at the top linking to ${BACK_LINK}.
 8. NEVER include a "Live Demo" button linking to "#" or a made-up URL. Only include a demo link if the README contains an actual deployed URL. Never link to "#".
-9. The GitHub repository URL is provided in the context — use it EXACTLY for all source/repo links. Do not guess repo URLs.
+9. The repository URL is provided in the context — use it EXACTLY for all source/repo links. Do not guess repo URLs.
 10. BUDGET: Your response can be at most ~60,000 tokens. Keep the HTML under 1,200 lines / 80 KB. This is a hard ceiling — do NOT exceed it. Aim for 600–1,000 lines of dense, high-quality HTML.
 9. Every section must earn its place — prefer visual impact over volume. One polished diagram beats three text paragraphs.
 10. Use semantic HTML5 elements (section, article, nav, figure, aside, details) for structure.
@@ -489,16 +393,15 @@ Design excellence checklist (incorporate as many as appropriate):
 - BADGE STRIPS: Show tech stack, language, framework as pill-shaped badges with subtle background colors.
 - FEATURE GRIDS: 2×2 or 3×2 grids of feature cards, each with an icon, title, and 1–2 sentence description.
 - HERO SECTION: Full-width with a radial gradient background glow, large title with text gradient, and a one-liner subtitle.
-- FOOTER: Clean, minimal footer with repo link, "Generated by Cerebras" attribution, and the "← Back to Explorer" link.`;
+- FOOTER: Clean, minimal footer with repo link, "${branding.attribution}" attribution, and the "← Back to Explorer" link.
 
-  // --- Single LLM call: generate the full HTML page ---
-  process.stdout.write(`    Step 1/1: Generating visual page… `);
+Brand: pages are published in the "${branding.brandName}" gallery. Use --accent-color for highlights so every page matches the gallery.`;
 
   const generatePrompt = `Repository context:
 ${context}
 
-Visual template for "${analysis.type}" projects:
-${typeTemplate}
+Visual template for "${template.name}" projects:
+${template.text}
 
 Generate a complete single-file HTML page that visually showcases the ${analysis.owner}/${analysis.repo} repository.
 
@@ -519,47 +422,138 @@ Requirements:
 - Alternate between full-width and max-width:800px sections for visual rhythm
 - Include tech stack / language badges as colored pills
 - Include a realistic, working dark/light mode toggle (data-theme attribute + localStorage)
-- Include a "← Back to Explorer" link at the top (href="../../index.html")
+- Include a "← Back to Explorer" link at the top (href="${BACK_LINK}")
 - The page should feel like a polished product landing page, not a README dump
-- Footer: repo link + "Generated by Cerebras" + back link
+- Footer: repo link + "${branding.attribution}" + back link
 ${isExternal ? `- Add an "External — ${analysis.owner}" warning badge near the top, styled in warning orange` : ''}
 
 CRITICAL LINK RULES:
-- The EXACT GitHub repository URL is: https://github.com/${analysis.owner}/${analysis.repo}
-- Use ONLY this URL for ANY "View Source", "View on GitHub", "View Repository", or source code link. Do NOT guess or invent a different URL.
+${webUrl ? `- The EXACT ${isGitHubUrl(webUrl) ? 'GitHub ' : ''}repository URL is: ${webUrl}
+- Use ONLY this URL for ANY "View Source", "View on GitHub", "View Repository", or source code link. Do NOT guess or invent a different URL.`
+  : '- This repository has no public URL. Do NOT add "View Source", "View on GitHub" or any other repository link, and do not invent one.'}
 - Do NOT include a "Live Demo" button or link UNLESS the README explicitly contains a real deployed URL (e.g., https://something.vercel.app, https://something.netlify.app, a custom domain). If no demo URL is found in the README, omit any demo button entirely.
 - NEVER link to "#" — every link must have a real destination or be omitted.
 
 Output only the complete HTML document. No preamble, no explanation, no markdown fences. Start with <!DOCTYPE html>.`;
 
-  const pageResult = await callCerebras(apiKey, [
+  return [
     { role: 'system', content: SYSTEM },
     { role: 'user',   content: generatePrompt },
-  ]);
-  log(`${pageResult.tps} tok/s`);
-  const html = extractHTML(pageResult.content);
-
-  return html;
+  ];
 }
 
 // ============================================================
-// Manifest management
+// Generate a visual page (LLM iterations)
 // ============================================================
-function readManifest() {
-  const p = join(__dirname, 'repos', 'manifest.json');
-  try { return JSON.parse(readFileSync(p, 'utf8')); }
-  catch { return { generated: [] }; }
+async function generatePage(provider, analysis, isExternal, { webUrl, progress = false, log: say = log, ...opts }) {
+  // --- Single LLM call: generate the full HTML page ---
+  say(`    Step 1/1: Generating visual page…`);
+
+  const messages = buildMessages(analysis, isExternal, { webUrl, ...opts });
+  const reporter   = createProgressReporter(`${analysis.owner}/${analysis.repo}`, progress);
+  const pageResult = await provider.complete(messages, { onProgress: reporter.update });
+  reporter.flush();
+  say(`    Step 1/1: Generated ${pageResult.tokens} tokens — ${pageResult.tps} tok/s`);
+  let html = extractHTML(pageResult.content);
+
+  // --- Validate, and give the model one targeted chance to fix what's broken ---
+  const target = { owner: analysis.owner, repo: analysis.repo, isExternal: Boolean(isExternal), repoUrl: webUrl };
+  let validation = validatePage(html, target);
+  const issues = validation.failures.map(f => f.id);
+  if (!validation.ok) {
+    say(`    ⚠  Validation failed: ${issues.join(', ')}`);
+    say(`    🔧 Repairing page…`);
+    reporter.update({ reset: true });
+    const repairResult = await provider.complete([
+      ...messages,
+      { role: 'assistant', content: html },
+      { role: 'user',      content: buildRepairPrompt(validation.failures) },
+    ], { onProgress: reporter.update });
+    reporter.flush();
+    html = extractHTML(repairResult.content);
+    validation = validatePage(html, target);
+    say(validation.ok
+      ? `    ✓  Repaired (${repairResult.tps} tok/s)`
+      : `    ✗  Still failing after repair: ${validation.failures.map(f => f.id).join(', ')}`);
+  }
+
+  // --- Sanitize: the page was written from untrusted repo content (lib/sanitize.js) ---
+  const sanitized = sanitizePage(html, { repoUrl: repoUrlFor(target), readme: analysis.readme });
+  html       = sanitized.html;
+  validation = validatePage(html, target);
+  const { removed, flagged } = sanitized.report;
+  if (removed.length || flagged.length) say(`    🛡  Sanitized: ${summarizeReport(sanitized.report)}`);
+
+  return {
+    html, validation, repaired: issues.length > 0, issues, tokens: pageResult.tokens, tps: pageResult.tps,
+    sanitizer: sanitized.report,
+  };
 }
 
-function writeManifest(manifest) {
-  mkdirSync(join(__dirname, 'repos'), { recursive: true });
-  writeFileSync(join(__dirname, 'repos', 'manifest.json'), JSON.stringify(manifest, null, 2));
+// ============================================================
+// Best of N (--candidates, --judge)
+// ============================================================
+
+/**
+ * Generate `count` pages at once and score each one (lib/score.js, blended
+ * with the model's own rating when `judge` is set). Returns them best first:
+ * pages that pass validation ahead of those that don't, then by score.
+ * Throws only when every call failed.
+ */
+async function generateCandidates(provider, analysis, isExternal, { count, judge, progress, log: say, ...opts }) {
+  const target  = { owner: analysis.owner, repo: analysis.repo, isExternal: Boolean(isExternal), repoUrl: opts.webUrl };
+  const results = await Promise.allSettled(Array.from({ length: count }, (_, i) => {
+    const tag = count > 1 ? `[${i + 1}/${count}] ` : '';
+    return generatePage(provider, analysis, isExternal, {
+      ...opts,
+      progress: progress && i === 0, // one live preview is enough
+      log: (msg) => say(msg.replace(/^(\s*)/, `$1${tag}`)),
+    });
+  }));
+  results.forEach((r, i) => { if (r.status === 'rejected') say(`    ✗  Candidate ${i + 1} failed: ${r.reason.message}`); });
+  const pages = results.flatMap((r, i) => r.status === 'fulfilled' ? [{ ...r.value, candidate: i + 1 }] : []);
+  if (!pages.length) throw results[0].reason;
+
+  for (const page of pages) {
+    const { score, checks } = scorePage(page.html, target, page.validation);
+    Object.assign(page, { score, rubric: score, scoreBreakdown: checks });
+  }
+  if (judge) {
+    await Promise.all(pages.map(async (page) => {
+      try {
+        page.scoreBreakdown.judge = await judgePage(provider, analysis, page.html);
+        page.score = Math.round(page.rubric * 0.7 + page.scoreBreakdown.judge * 3);
+      } catch (err) {
+        say(`    ⚠  Judge skipped for candidate ${page.candidate}: ${err.message}`);
+      }
+    }));
+  }
+
+  pages.sort((a, b) => b.validation.ok - a.validation.ok || b.score - a.score);
+  if (count > 1) {
+    say(`  🏆 Scores: ${pages.map(p => `#${p.candidate} ${p.score}${p.validation.ok ? '' : ' (invalid)'}`).join(' · ')}`);
+  }
+  return pages;
 }
 
-function upsertManifestEntry(manifest, entry) {
-  const idx = manifest.generated.findIndex(e => e.fullName === entry.fullName);
-  if (idx >= 0) manifest.generated[idx] = entry;
-  else manifest.generated.push(entry);
+/** Have the model rate a finished page from 0 to 10 (deterministic: temperature 0). */
+async function judgePage(provider, analysis, html) {
+  const result = await provider.complete([
+    { role: 'system', content: 'You review single-file HTML showcase pages for GitHub repositories. Be strict and consistent.' },
+    { role: 'user', content: `Repository: ${analysis.owner}/${analysis.repo} (${analysis.type} project)
+
+README excerpt:
+${(analysis.readme || '(no README)').slice(0, 1500)}
+
+Page:
+${html}
+
+Rate the page from 0 to 10 for accuracy to the repository, visual polish, and how clearly it explains what the project does and how to use it. Reply with JSON only: {"score": <0-10>, "reason": "<one sentence>"}` },
+  ], { temperature: 0 });
+
+  const score = Number(JSON.parse(result.content.match(/\{[\s\S]*?\}/)?.[0] ?? 'null')?.score);
+  if (!Number.isFinite(score)) throw new Error('no score in the reply');
+  return Math.max(0, Math.min(10, score));
 }
 
 // ============================================================
@@ -575,8 +569,116 @@ function detectGitUsername() {
   return process.env.GITHUB_USERNAME || null;
 }
 
-function gitExec(cmd) {
-  return execSync(cmd, { cwd: __dirname, stdio: ['pipe', 'pipe', 'pipe'] }).toString().trim();
+/** HEAD commit of a clone, or null if it isn't a git checkout. */
+function headSha(dir) {
+  try {
+    return execSync('git rev-parse HEAD', { cwd: dir, stdio: ['pipe', 'pipe', 'pipe'] }).toString().trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Why a page needs regenerating, or null if nothing that feeds the page has
+ * changed since the entry was written (and the page is still on disk).
+ */
+function changeReason(entry, buildInfo) {
+  if (!entry) return 'no previous page';
+  if (!existsSync(join(__dirname, entry.path))) return 'page file missing';
+  if (!entry.sourceSha || entry.sourceSha !== buildInfo.sourceSha) {
+    return `commit ${(entry.sourceSha || 'unknown').slice(0, 7)} → ${(buildInfo.sourceSha || 'unknown').slice(0, 7)}`;
+  }
+  if (entry.contextHash !== buildInfo.contextHash) return 'repository context changed';
+  if (entry.provider !== buildInfo.provider || entry.model !== buildInfo.model) {
+    return `model ${entry.provider || '?'}/${entry.model || '?'} → ${buildInfo.provider}/${buildInfo.model}`;
+  }
+  if (entry.promptVersion !== buildInfo.promptVersion) return `prompt v${entry.promptVersion ?? '?'} → v${buildInfo.promptVersion}`;
+  // Pages from before templates were files have no hash — their template hasn't changed
+  if (entry.templateHash && entry.templateHash !== buildInfo.templateHash) return `template "${buildInfo.template}" changed`;
+  return null;
+}
+
+const MAX_TAGS = 12;
+
+/**
+ * GitHub's own description, topics and stars for a github.com repo, asked with
+ * the host's token when there is one; null for other hosts or when the API
+ * can't be asked. Kept in the manifest entry as `github`, so a run that
+ * doesn't regenerate the page reuses it instead of calling the API again.
+ */
+async function fetchGitHubDetails(ref) {
+  if (ref.host !== 'github.com') return null;
+  const gh = await getRepo(`${ref.namespace}/${ref.repo}`, { token: await hostToken('github.com') });
+  return gh && {
+    description: gh.description?.trim() || null,
+    topics:      gh.topics || [],
+    stars:       gh.stargazers_count ?? null,
+    fetchedAt:   new Date().toISOString(),
+  };
+}
+
+/**
+ * What the gallery searches and sorts on: description, tags, stars and main
+ * language. GitHub repos use the repo's own description and topics (`github`,
+ * from fetchGitHubDetails); everything else falls back to what analysis found.
+ */
+function repoDetails(analysis, github) {
+  return {
+    description: github?.description || analysis.description,
+    tags:        [...new Set([...(github?.topics || []), ...analysis.tags])].slice(0, MAX_TAGS),
+    stars:       github?.stars ?? null,
+    language:    analysis.language,
+    ...(github && { github }),
+  };
+}
+
+/** Details that differ from what the manifest entry already has (null if none do). */
+function changedDetails(entry, details) {
+  const changed = Object.entries(details).filter(([key, value]) => JSON.stringify(entry?.[key] ?? null) !== JSON.stringify(value));
+  return changed.length ? Object.fromEntries(changed) : null;
+}
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Clone a repo (see lib/sources.js) into cloneDir, or refresh an existing
+ * clone to the remote HEAD; local checkouts are used where they are. Async so
+ * a batch can clone several repos at once. Throws with git's last error line
+ * if the repo can't be cloned.
+ */
+async function syncClone(ref, cloneDir, { noClone, log }) {
+  if (ref.local) {
+    if (!localRepoExists(ref)) throw new Error(`${ref.localPath} is not a directory`);
+    log(`  📁 Using local checkout ${ref.localPath}`);
+    return;
+  }
+  if (noClone && existsSync(cloneDir)) {
+    log('  ⟳  Using existing clone');
+    return;
+  }
+
+  // Never prompt for credentials — the host's token is sent if there is one, else a private repo just fails
+  const env = gitEnv(ref, await hostToken(ref.host));
+  const git = (args) => execFileAsync('git', args, { timeout: 90_000, env });
+  if (existsSync(cloneDir)) {
+    log('  ⟳  Refreshing existing clone…');
+    try {
+      await git(['-C', cloneDir, 'fetch', '--depth', '1', 'origin', 'HEAD']);
+      await git(['-C', cloneDir, 'reset', '--hard', 'FETCH_HEAD']);
+      return;
+    } catch {
+      log('  ↓  Clone refresh failed, re-cloning…');
+      rmSync(cloneDir, { recursive: true, force: true });
+    }
+  } else {
+    log(`  ↓  Cloning ${ref.webUrl} …`);
+  }
+
+  try {
+    await git(['clone', '--depth', '1', '--', ref.cloneUrl, cloneDir]);
+  } catch (err) {
+    throw new Error(String(err.stderr || err.message).trim().split('\n').pop().slice(0, 120));
+  }
 }
 
 /** Ensure GitHub Pages is enabled (deploy from main branch, root /) */
@@ -610,10 +712,470 @@ function ensureGitHubPages() {
   }
 }
 
+/**
+ * Publish repos/ with the run's publish strategy (lib/publish.js:
+ * one commit pushed, a pull request, an export or a dry run), reporting `commit`
+ * phase events for `repos`. Returns the summary's `commit` object. Refuses to
+ * publish a private repo's page unless it's in `confirmed` (--publish-private) —
+ * including pages left over from earlier --no-push runs.
+ */
+async function commitPages(message, repos, { noPush, confirmed = [] }) {
+  if (noPush) {
+    log('\n⏭  Skipping git commit (--no-push).');
+    phase(null, 'commit', 'skipped', { repos, reason: 'no-push' });
+    return { status: 'skipped', reason: 'no-push' };
+  }
+
+  const strategy = publisher.name;
+  log(`\n🚀 ${publisher.label}…`);
+  phase(null, 'commit', 'started', { repos, message, strategy });
+  try {
+    const commit = await withFileLock(join(__dirname, 'tmp', 'git.lock'), () => publisher.publish({ message, repos, confirmed }));
+    if (commit.status === 'skipped') phase(null, 'commit', 'skipped', { repos, message, strategy, reason: commit.reason });
+    else phase(null, 'commit', 'done', { repos, message, strategy, sha: commit.sha, url: commit.url, path: commit.path });
+    return commit;
+  } catch (err) {
+    const error = {
+      code:    err.code === 'PRIVATE_REPO' || err.code === 'PR_FAILED' || err.code === 'EXPORT_FAILED' ? err.code : 'GIT_FAILED',
+      message: String(err.stderr || err.message).trim().split('\n').pop(),
+    };
+    phase(null, 'commit', 'failed', { repos, message, strategy, error });
+    log(error.code === 'PRIVATE_REPO' ? `🔒 Not published: ${error.message}` : `⚠️  Publishing failed (${strategy}): ${error.message}`);
+    (err.hints || []).forEach(h => log(`   ${h}`));
+    return { status: 'failed', strategy, message, error };
+  }
+}
+
 // ============================================================
-// Logging
+// Output — log text, or NDJSON events with --json
 // ============================================================
-function log(msg) { process.stdout.write(msg + '\n'); }
+const output = { json: false, prefixRepos: false };
+let publisher = null; // lib/publish.js strategy, set in main()
+
+/**
+ * One human-readable line. With --json it becomes a `log` event; in a parallel
+ * batch, lines that belong to a repo are prefixed with its name.
+ */
+function log(msg, repo = null) {
+  if (output.json) {
+    const message = msg.trim();
+    if (message) emit('log', { repo, message });
+    return;
+  }
+  process.stdout.write((repo && output.prefixRepos ? `[${repo}] ${msg.trim()}` : msg) + '\n');
+}
+
+/** Write one NDJSON event (no-op without --json). */
+function emit(event, data) {
+  if (output.json) process.stdout.write(JSON.stringify({ event, ts: Date.now(), ...data }) + '\n');
+}
+
+/** A repo entering or leaving a phase: clone, analyze, generate, write, commit. */
+function phase(repo, name, status, details = {}) {
+  emit('phase', { repo, phase: name, status, ...details });
+}
+
+/** Log an error, emit an `error` event and exit — for problems that stop the run before it starts. */
+function fatal(code, message, hints = []) {
+  log(`Error: ${message}`);
+  hints.forEach(h => log(h));
+  emit('error', { code, message });
+  process.exit(1);
+}
+
+/** Stable error code for a failed LLM call. */
+function llmErrorCode(err) {
+  if (err.status === 429) return 'RATE_LIMITED';
+  if (err.status) return 'LLM_HTTP_ERROR';
+  if (err.name === 'TimeoutError' || err.name === 'AbortError') return 'LLM_TIMEOUT';
+  return err.code || 'LLM_ERROR';
+}
+
+/**
+ * Streaming progress for one repo. With `enabled`, buffers deltas and emits
+ * `::progress::{"repo","tokens","tps","delta"}` lines (at most every 250 ms) for
+ * server.js to relay over SSE — or `progress` events with --json. A `reset`
+ * line tells consumers to drop partial output.
+ */
+function createProgressReporter(repo, enabled) {
+  const INTERVAL_MS = 250;
+  let pending  = '';
+  let last     = { tokens: 0, tps: 0 };
+  let lastEmit = 0;
+
+  const send = (extra = {}) => {
+    if (output.json) emit('progress', { repo, ...last, delta: pending, ...extra });
+    else process.stdout.write('::progress::' + JSON.stringify({ repo, ...last, delta: pending, ...extra }) + '\n');
+    pending  = '';
+    lastEmit = Date.now();
+  };
+
+  return {
+    update(event) {
+      if (!enabled) return;
+      if (event.reset) { pending = ''; last = { tokens: 0, tps: 0 }; send({ reset: true }); return; }
+      pending += event.delta;
+      last = { tokens: event.tokens, tps: event.tps };
+      if (Date.now() - lastEmit >= INTERVAL_MS) send();
+    },
+    flush() {
+      if (enabled && pending) send();
+    },
+  };
+}
+
+// ============================================================
+// Rollback (--rollback <version> owner/repo)
+// ============================================================
+
+/**
+ * Republish an archived version: copy it over index.html, record it as the
+ * manifest's activeVersion and commit. The entry's build info (sourceSha,
+ * model…) still describes the latest generation, so --changed-only doesn't
+ * undo the rollback until the repo itself changes.
+ */
+async function rollback(id, repos, { noPush, publishPrivate }) {
+  const startedAt = Date.now();
+  if (repos.length !== 1) fatal('INVALID_ARGUMENT', '--rollback <version> takes exactly one owner/repo');
+  const entry = findManifestEntry(readManifest(), repos[0]);
+  if (!entry) fatal('NOT_FOUND', `${repos[0]} has no generated page`);
+  const { fullName } = entry;
+  const paths   = pagePaths(entry.owner, entry.repo);
+  const version = findVersion(paths.dir, id);
+  if (!version) fatal('NOT_FOUND', `${fullName} has no version "${id}" (see ${Object.values(versionDirs(paths.dir)).join('/ and ')}/)`);
+  if (version.validation && !version.validation.passed) {
+    log(`⚠️  ${id} failed validation (${(version.validation.failures || []).join(', ')}) — publishing it anyway`);
+  }
+
+  emit('start', { repos: [fullName], rollback: id });
+  phase(fullName, 'write', 'started', { version: id });
+  await updateManifest(m => {
+    activateVersion(paths.dir, id);
+    upsertManifestEntry(m, {
+      fullName, activeVersion: id, score: version.score ?? null, scoreBreakdown: version.scoreBreakdown ?? null,
+    });
+  });
+  log(`⏪ ${fullName}: ${paths.path} is now version ${id} (${version.model || 'unknown model'})`, fullName);
+  phase(fullName, 'write', 'done', { path: paths.path, url: paths.url, bytes: version.bytes, version: id });
+
+  const commit = await commitPages(`Roll back ${fullName} page to ${id}`, [fullName], {
+    noPush, confirmed: publishPrivate ? [fullName] : [],
+  });
+  emit('summary', {
+    ok: commit.status !== 'failed',
+    generated: [],
+    rolledBack: { repo: fullName, path: paths.path, url: paths.url, version: id },
+    skipped: [],
+    failed: [],
+    commit,
+    durationMs: Date.now() - startedAt,
+  });
+}
+
+// ============================================================
+// Schedule (--schedule <when> owner/repo)
+// ============================================================
+
+/**
+ * Save when pages regenerate on their own (`schedule` in their manifest
+ * entries) and commit the manifest. server.js runs them when they're due
+ * (lib/autoregen.js); `off` removes the schedule.
+ */
+async function schedule(when, repos, { fromManifest, noPush }) {
+  const startedAt = Date.now();
+  const off = when.trim().toLowerCase() === 'off';
+  if (!off) {
+    let next;
+    try {
+      next = nextRun(parseSchedule(when));
+    } catch (err) {
+      fatal('INVALID_ARGUMENT', `--schedule: ${err.message}`);
+    }
+    if (!next) fatal('INVALID_ARGUMENT', `--schedule: "${when}" never runs`);
+  }
+
+  const manifest = readManifest();
+  const names    = fromManifest ? manifest.generated.map(e => e.fullName) : repos;
+  if (!names.length) fatal('INVALID_ARGUMENT', '--schedule <when> takes owner/repo names or --from-manifest');
+  const fullNames = names.map(name => {
+    const entry = findManifestEntry(manifest, name);
+    if (!entry) fatal('NOT_FOUND', `${name} has no generated page`);
+    return entry.fullName;
+  });
+
+  emit('start', { repos: fullNames, schedule: off ? null : when.trim() });
+  await updateManifest(m => {
+    for (const fullName of fullNames) upsertManifestEntry(m, { fullName, schedule: off ? undefined : when.trim() });
+  });
+  for (const fullName of fullNames) {
+    log(off
+      ? `🗓  ${fullName}: no longer scheduled`
+      : `🗓  ${fullName}: regenerates ${when.trim()} while server.js runs — next ${nextRun(when).toLocaleString()}`, fullName);
+  }
+
+  const commit = await commitPages(
+    off ? `Unschedule ${fullNames.join(', ')}` : `Schedule ${fullNames.join(', ')}: ${when.trim()}`,
+    fullNames, { noPush },
+  );
+  emit('summary', {
+    ok: commit.status !== 'failed',
+    generated: [],
+    scheduled: { repos: fullNames, schedule: off ? null : when.trim() },
+    skipped: [],
+    failed: [],
+    commit,
+    durationMs: Date.now() - startedAt,
+  });
+}
+
+// ============================================================
+// Page management (--set <field>=<value> owner/repo, --delete owner/repo)
+// ============================================================
+
+/** `--set` arguments → a curation patch: true/false, whole numbers and comma lists are typed. */
+function parseSets(sets) {
+  const patch = {};
+  for (const set of sets) {
+    const eq = set.indexOf('=');
+    if (eq < 1) fatal('INVALID_ARGUMENT', `--set takes <field>=<value>, got "${set}" (fields: ${CURATION_FIELDS.join(', ')})`);
+    const key   = set.slice(0, eq).trim();
+    const value = set.slice(eq + 1).trim();
+    patch[key] = value === '' ? null
+      : key === 'hidden' || key === 'pinned' ? ({ true: true, false: false }[value.toLowerCase()] ?? value)
+      : key === 'order' && /^-?\d+$/.test(value) ? Number(value)
+      : key === 'tags' ? value.split(',')
+      : value;
+  }
+  try {
+    return normalizeCuration(patch);
+  } catch (err) {
+    fatal('INVALID_ARGUMENT', `--set: ${err.message}`);
+  }
+}
+
+/** Manifest entries for the named pages; exits when one has none. */
+function managedEntries(repos, flag) {
+  if (!repos.length) fatal('INVALID_ARGUMENT', `${flag} takes one or more owner/repo names`);
+  const manifest = readManifest();
+  return repos.map(name => findManifestEntry(manifest, name) || fatal('NOT_FOUND', `${name} has no generated page`));
+}
+
+/** Human summary of curation changes: "hidden, order 2, title cleared". */
+function describeCuration(changes) {
+  return Object.entries(changes).map(([key, value]) => {
+    if (key === 'hidden') return value ? 'hidden' : 'shown';
+    if (key === 'pinned') return value ? 'pinned' : 'unpinned';
+    if (value === null) return `${key} cleared`;
+    if (key === 'order') return `order ${value}`;
+    if (key === 'tags') return `tags ${value.join(', ')}`;
+    return `${key} "${value}"`;
+  }).join(', ');
+}
+
+/**
+ * Curate gallery entries (their manifest `curation`) and commit the manifest.
+ * Generation never touches these fields.
+ */
+async function curate(sets, repos, { noPush }) {
+  const startedAt = Date.now();
+  const changes   = parseSets(sets);
+  const entries   = managedEntries(repos, '--set');
+  const fullNames = entries.map(e => e.fullName);
+  const summary   = describeCuration(changes);
+
+  emit('start', { repos: fullNames, set: changes });
+  const updated = [];
+  await updateManifest(m => {
+    for (const { fullName } of entries) {
+      const curation = applyCuration(findManifestEntry(m, fullName), changes);
+      upsertManifestEntry(m, { fullName, curation });
+      updated.push({ repo: fullName, curation: curation ?? {} });
+    }
+  });
+  for (const { repo } of updated) {
+    log(`🗂  ${repo}: ${summary}`, repo);
+    phase(repo, 'write', 'done', { reason: 'updated' });
+  }
+
+  const commit = await commitPages(`Update gallery entr${fullNames.length === 1 ? 'y' : 'ies'} ${fullNames.join(', ')}: ${summary}`, fullNames, { noPush });
+  emit('summary', {
+    ok: commit.status !== 'failed', generated: [], updated, skipped: [], failed: [], commit, durationMs: Date.now() - startedAt,
+  });
+}
+
+/** Delete pages — directory, archived versions, legacy redirect stub and manifest entry — and commit. */
+async function deletePages(repos, { noPush }) {
+  const startedAt = Date.now();
+  const entries   = managedEntries(repos, '--delete');
+  const fullNames = entries.map(e => e.fullName);
+
+  emit('start', { repos: fullNames, delete: true });
+  await updateManifest(m => {
+    for (const entry of entries) {
+      const removed = removePageFiles(entry);
+      removeUnpublishedVersions(pagePaths(entry.owner, entry.repo).dir);
+      m.generated = m.generated.filter(e => !sameRepo(e.fullName, entry.fullName));
+      log(`🗑  ${entry.fullName}: removed ${removed.length ? removed.join(', ') : 'its manifest entry (no files left)'}`, entry.fullName);
+      phase(entry.fullName, 'write', 'done', { path: pagePaths(entry.owner, entry.repo).path, reason: 'deleted' });
+    }
+  });
+
+  const commit = await commitPages(`Remove ${fullNames.join(', ')} page${fullNames.length === 1 ? '' : 's'}`, fullNames, { noPush });
+  emit('summary', {
+    ok: commit.status !== 'failed', generated: [], deleted: fullNames, skipped: [], failed: [], commit, durationMs: Date.now() - startedAt,
+  });
+}
+
+// ============================================================
+// Refine (--refine "<instruction>" owner/repo)
+// ============================================================
+
+/**
+ * Edit one page with a natural-language instruction (lib/refine.js): the
+ * current page (or --from <version>) and the repo's scrubbed context go to
+ * the model, its SEARCH/REPLACE edits are applied, and the result is
+ * validated, sanitized and archived as a new version. It then becomes the
+ * live page and is committed — or, with --draft, waits unpublished in
+ * tmp/versions/ to be previewed and published with --rollback.
+ */
+async function refine(instruction, fullName, { ref, from, draft, noPush, noClone, publishPrivate, provider, tokenBudget, scrubAllowlist, homeUser }) {
+  const startedAt = Date.now();
+  const entry = findManifestEntry(readManifest(), fullName);
+  if (!entry) fatal('NOT_FOUND', `${fullName} has no generated page — generate it first`);
+  const paths = pagePaths(entry.owner, entry.repo);
+  if (existsSync(join(__dirname, paths.path)) && archiveExisting(paths.dir, entry)) {
+    log('🗄  Archived the current page as its first version', fullName);
+  }
+  const base = findVersion(paths.dir, from || entry.activeVersion);
+  if (!base) fatal('NOT_FOUND', from ? `${fullName} has no version "${from}" (see ${Object.values(versionDirs(paths.dir)).join('/ and ')}/)` : `${fullName} has no live version to refine`);
+
+  const say  = (msg) => log(msg, fullName);
+  const fail = (phaseName, code, message, details = {}) => {
+    phase(fullName, phaseName, 'failed', { error: { code, message }, ...details });
+    emit('summary', {
+      ok: false, generated: [], skipped: [], failed: [{ repo: fullName, phase: phaseName, code, message }],
+      commit: null, durationMs: Date.now() - startedAt,
+    });
+    process.exit(1);
+  };
+  emit('start', { repos: [fullName], provider: provider.name, model: provider.model, refine: instruction });
+  log(`✏️  Refining ${fullName} (from ${base.id}): ${instruction}`);
+
+  // --- Repo context, so new sections can use real facts (scrubbed like a generation) ---
+  phase(fullName, 'clone', 'started');
+  const cloneDir = ref.local ? ref.localPath : join(__dirname, 'tmp', 'repos', `${entry.owner}-${entry.repo}`);
+  try {
+    await syncClone(ref, cloneDir, { noClone, log: say });
+  } catch (err) {
+    say(`  ✗  Clone failed: ${err.message}`);
+    fail('clone', 'CLONE_FAILED', err.message);
+  }
+  phase(fullName, 'clone', 'done');
+  phase(fullName, 'analyze', 'started');
+  const { analysis, redactions } = scrubAnalysis(
+    analyzeRepo(cloneDir, entry.owner, entry.repo, { tokenBudget, typeOverride: entry.typeOverride || null }),
+    { allowlist: scrubAllowlist });
+  if (redactions.length) say(`  🔒 Redacted ${summarizeRedactions(redactions)}`);
+  const isExternal = homeUser && !ref.local && ref.namespace.toLowerCase() !== homeUser.toLowerCase();
+  const context    = buildContext(analysis, isExternal, ref.webUrl);
+  phase(fullName, 'analyze', 'done', { type: analysis.type, redactions: countRedactions(redactions) });
+
+  // --- Edits, with one retry for blocks that didn't match ---
+  phase(fullName, 'generate', 'started', { reason: 'refine' });
+  say('  ✨ Asking for edits…');
+  let html = readFileSync(join(__dirname, base.path), 'utf8');
+  const messages = buildRefineMessages({ html, instruction, context });
+  let tokens = 0;
+  let tps    = 0;
+  let edits  = 0;
+  try {
+    let result = await provider.complete(messages, { temperature: REFINE_TEMPERATURE });
+    tokens += result.tokens;
+    tps     = result.tps;
+    let parsed = parseEdits(result.content);
+    if (!parsed.length) fail('generate', 'REFINE_NO_EDITS', 'The model replied without any SEARCH/REPLACE edits', { tokens });
+    let applied = applyEdits(html, parsed);
+    if (applied.failures.length) {
+      say(`  ⚠  ${applied.failures.length} edit(s) didn't match — asking again`);
+      const retry = await provider.complete([
+        ...messages,
+        { role: 'assistant', content: result.content },
+        { role: 'user',      content: buildRetryPrompt(applied.failures, applied.html) },
+      ], { temperature: REFINE_TEMPERATURE });
+      tokens += retry.tokens;
+      parsed  = parseEdits(retry.content);
+      const again = applyEdits(applied.html, parsed);
+      applied = { html: again.html, applied: applied.applied + again.applied, failures: parsed.length ? again.failures : applied.failures };
+    }
+    if (applied.failures.length) {
+      fail('generate', 'REFINE_FAILED', `${applied.failures.length} edit(s) could not be applied: ${applied.failures[0].reason}`, { tokens });
+    }
+    html  = applied.html;
+    edits = applied.applied;
+  } catch (err) {
+    say(`  ✗  Refinement failed: ${err.message}`);
+    fail('generate', llmErrorCode(err), err.message);
+  }
+  say(`  ✓  Applied ${edits} edit(s) — ${tokens} tokens`);
+
+  // --- Same checks as a generation: validate, sanitize, score ---
+  const target    = { owner: analysis.owner, repo: analysis.repo, isExternal: Boolean(isExternal), repoUrl: ref.webUrl };
+  const sanitized = sanitizePage(html, { repoUrl: repoUrlFor(target), readme: analysis.readme });
+  html = sanitized.html;
+  const validation = validatePage(html, target);
+  const { score, checks } = scorePage(html, target, validation);
+  const version = saveVersion(paths.dir, html, {
+    provider:      provider.name,
+    model:         provider.model,
+    sourceSha:     headSha(cloneDir),
+    promptVersion: PROMPT_VERSION,
+    template:      base.template ?? entry.template ?? null,
+    tokens,
+    tps,
+    validation:    { passed: validation.ok, repaired: false, issues: [], failures: validation.failures.map(f => f.id) },
+    score,
+    scoreBreakdown: checks,
+    sanitizer:     sanitized.report,
+    refine:        { instruction, from: base.id, edits },
+  });
+  const sanitizer = { removed: sanitized.report.removed.length, flagged: sanitized.report.flagged.length };
+  if (sanitizer.removed || sanitizer.flagged) say(`  🛡  Sanitized: ${summarizeReport(sanitized.report)}`);
+  if (!validation.ok) {
+    say(`  ✗  The refined page fails validation — archived as ${version.id}, the live page is unchanged`);
+    fail('generate', 'VALIDATION_FAILED', `Page breaks: ${validation.failures.map(f => f.id).join(', ')}`, { tokens, version: version.id });
+  }
+  phase(fullName, 'generate', 'done', { tokens, tps, score, sanitizer, edits, version: version.id });
+
+  const refined = { repo: fullName, from: base.id, version: version.id, path: version.path, edits, score, draft };
+  const finish  = (commit) => emit('summary', {
+    ok: commit?.status !== 'failed', generated: [], refined, skipped: [], failed: [], commit, durationMs: Date.now() - startedAt,
+  });
+  if (draft) {
+    phase(fullName, 'write', 'skipped', { reason: 'draft', version: version.id });
+    say(`  📝 Draft saved as ${version.id} — preview ${version.path}`);
+    say(`     Publish it with: node generate.js --rollback ${version.id} ${fullName}`);
+    return finish(null);
+  }
+
+  // --- Publish: the refined version becomes index.html ---
+  phase(fullName, 'write', 'started');
+  await updateManifest(m => {
+    activateVersion(paths.dir, version.id);
+    upsertManifestEntry(m, {
+      fullName, activeVersion: version.id, score, scoreBreakdown: checks, sanitizer,
+      validation: { passed: true, repaired: false, issues: [] }, refinedAt: new Date().toISOString(),
+    });
+  });
+  const pruned = pruneVersions(paths.dir, { active: version.id });
+  say(`  ✅ Written: ${paths.path}  (${(version.bytes / 1024).toFixed(1)} KB, version ${version.id})`);
+  if (pruned.length) say(`  🧹 Pruned ${pruned.length} old version(s)`);
+  phase(fullName, 'write', 'done', { path: paths.path, url: paths.url, bytes: version.bytes, version: version.id });
+
+  const summary = instruction.length > 60 ? `${instruction.slice(0, 57).trimEnd()}…` : instruction;
+  finish(await commitPages(`Refine ${entry.repo} page: ${summary}`, [fullName], {
+    noPush, confirmed: publishPrivate ? [fullName] : [],
+  }));
+}
 
 // ============================================================
 // Main
@@ -621,163 +1183,534 @@ function log(msg) { process.stdout.write(msg + '\n'); }
 async function main() {
   loadEnv();
 
-  const { repos: repoArgs, noPush: noPushArg, noClone } = parseArgs(process.argv.slice(2));
-  const noPush = noPushArg || process.env.NO_PUSH === '1';
+  const args = parseArgs(process.argv.slice(2));
+  const { noPush: noPushArg, noClone } = args;
+  output.json = args.json;
+  const noPush = noPushArg || process.env.NO_PUSH === '1' || args.dryRunContext; // a dry run publishes nothing
+  try {
+    publisher = createPublisher(resolvePublishOptions(args), { log });
+  } catch (err) {
+    fatal('INVALID_ARGUMENT', err.message);
+  }
+
+  if (args.migrate) {
+    const schema = storedSchemaVersion();
+    log('📦 Migrating pages to repos/<owner>/<repo>/…');
+    const { moved, dropped } = await migrateLayout({ log });
+    if (schema < MANIFEST_SCHEMA) log(`📦 Manifest schema v${schema} → v${MANIFEST_SCHEMA}`);
+    log(`\n✅ Moved ${moved.length} page(s)${dropped.length ? `, dropped ${dropped.length} overwritten entr${dropped.length === 1 ? 'y' : 'ies'}` : ''}.`);
+    if (dropped.length) log(`   Regenerate with: node generate.js ${dropped.join(' ')}`);
+    return;
+  }
+
+  if (args.rollback !== null) return rollback(args.rollback, args.repos, { noPush, publishPrivate: args.publishPrivate });
+  if (args.schedule !== null) return schedule(args.schedule, args.repos, { fromManifest: args.fromManifest, noPush });
+  if (args.sets.length) return curate(args.sets, args.repos, { noPush });
+  if (args.remove) return deletePages(args.repos, { noPush });
+
+  let branding;
+  try {
+    branding = await loadBranding();
+  } catch (err) {
+    fatal(err.code || 'INVALID_CONFIG', err.message);
+  }
+
+  if (args.writeConfig) {
+    log(writePublicConfig(branding) ? '🎨 Wrote config.json' : '🎨 config.json is up to date');
+    return;
+  }
+
+  if (args.build) {
+    const siteUrl = resolveSiteUrl(branding);
+    if (!siteUrl) {
+      fatal('NO_SITE_URL', 'The build needs the site\'s public URL for canonical links, the sitemap and social cards.',
+        ['Set SITE_URL (e.g. SITE_URL=https://you.github.io/meta-repo/) or siteUrl in config.js.']);
+    }
+    log(`🏗  Building _site/ for ${siteUrl}`);
+    const { pages } = buildSite({ branding, siteUrl, log });
+    log(`\n✅ Built _site/ — ${pages} page(s). Preview it with: npx serve _site`);
+    return;
+  }
+
+  // --out without repos: export the gallery as it is
+  if (publisher.name === 'export' && !args.repos.length && !args.fromManifest && !args.fromFiles.length && !args.fromUsers.length) {
+    const startedAt = Date.now();
+    const commit = await commitPages('Export the gallery', [], {
+      noPush, confirmed: args.publishPrivate ? readManifest().generated.map(e => e.fullName) : [],
+    });
+    emit('summary', { ok: commit.status !== 'failed', generated: [], skipped: [], failed: [], commit, durationMs: Date.now() - startedAt });
+    if (commit.status === 'failed') process.exit(1);
+    return;
+  }
+
+  let specs;
+  try {
+    specs = await collectRepos(args);
+  } catch (err) {
+    fatal('REPO_LIST_FAILED', err.message);
+  }
+
+  // Page names from here on; names already in the manifest resolve to where they came from
+  const previous = readManifest();
+  const refs     = new Map(); // lowercased fullName → where the repo lives (lib/sources.js)
+  const repoArgs = dedupeRepos(specs.map(spec => {
+    const ref = resolveRepoRef(spec, previous);
+    if (!ref) return spec;
+    if (!refs.has(ref.fullName.toLowerCase())) refs.set(ref.fullName.toLowerCase(), ref);
+    return ref.fullName;
+  }));
 
   if (repoArgs.length === 0) {
-    log('Usage: node generate.js owner/repo1 owner/repo2 ...');
+    if (args.fromManifest || args.fromFiles.length || args.fromUsers.length) {
+      log('Nothing to generate — the repo list is empty.');
+      return;
+    }
+    log('Usage: node generate.js owner/repo1 owner/repo2 ...   (or repo URLs / local paths)');
     log('');
     log('Options:');
     log('  --no-push         Skip git commit and push');
+    log(`  --publish <name>  Publish strategy: ${PUBLISH_STRATEGIES.join(', ')} (default push)`);
+    log('  --out <path>      Export the gallery to a directory or a .zip / .tar.gz bundle');
     log('  --no-clone        Reuse existing tmp/repos/ clones');
+    log('  --provider <name> LLM provider: cerebras (default), openai, ollama, fixture');
+    log('  --model <id>      Model ID (default depends on provider)');
+    log('  --base-url <url>  OpenAI-compatible base URL for local/self-hosted servers');
+    log('  --migrate         Move legacy repos/<repo>/ pages under repos/<owner>/<repo>/, upgrade the manifest');
+    log('  --write-config    Write config.json for the gallery from config.js');
+    log('  --build           Build the deployable site into _site/ (SEO tags, social cards, sitemap, feed)');
+    log('  --rollback <version> owner/repo  Republish an archived version (repos/<owner>/<repo>/versions/, tmp/versions/)');
+    log('  --refine "<instruction>" owner/repo  Edit a page instead of regenerating it (--from <version>, --draft)');
+    log('  --schedule <when> owner/repo  Regenerate automatically (hourly, daily, weekly, monthly, cron, off)');
+    log(`  --set <field>=<value> owner/repo  Curate the gallery entry (${CURATION_FIELDS.join(', ')}; empty clears)`);
+    log('  --delete owner/repo  Delete a page, its versions and manifest entry');
+    log('  --changed-only    Skip repos unchanged since their last generation');
+    log('  --force           Regenerate even if --changed-only finds no change');
+    log('  --context-budget <n>  Tokens of source code in the prompt (default 4000)');
+    log(`  --type <type>     Pin the project type: ${PROJECT_TYPES.join(', ')}, or auto`);
+    log('  --template <name> Visual template (templates/*.md); owner/repo=<name> for one repo; auto unpins');
+    log('  --from-file <path>    Add repos listed in a file (one owner/repo per line)');
+    log('  --from-manifest       Add every repo already in repos/manifest.json');
+    log('  --from-user <user>    Add every public repo of a GitHub user (forks/archived skipped)');
+    log(`  --concurrency <n>     Pages generated at once (default ${DEFAULT_LLM_CONCURRENCY})`);
+    log(`  --clone-concurrency <n>  Repos cloned/analysed at once (default ${DEFAULT_CLONE_CONCURRENCY})`);
+    log(`  --candidates <n>      Generate n pages per repo and keep the best-scoring one (1–${MAX_CANDIDATES})`);
+    log('  --judge               Have the model rate each candidate too');
+    log('  --publish-private     Allow publishing pages of private repos and local checkouts');
+    log('  --dry-run-context     Print exactly what would be sent to the model, then exit');
+    log('  --json            Newline-delimited JSON events on stdout instead of log text');
     log('');
-    log('Example:');
+    log('Examples:');
     log('  node generate.js seb/my-project johndoe/cool-lib');
+    log('  node generate.js --from-manifest --changed-only');
+    log('  node generate.js https://gitlab.com/group/project ../my-local-repo --no-push');
+    emit('error', { code: 'NO_REPOS', message: 'No repos given' });
     process.exit(1);
   }
 
-  if (repoArgs.length > MAX_REPOS) {
-    log(`Error: maximum ${MAX_REPOS} repos per run (got ${repoArgs.length}).`);
-    process.exit(1);
+  const llmConcurrency   = parseConcurrency(args.concurrency ?? process.env.LLM_CONCURRENCY ?? DEFAULT_LLM_CONCURRENCY);
+  const cloneConcurrency = parseConcurrency(args.cloneConcurrency ?? process.env.CLONE_CONCURRENCY ?? DEFAULT_CLONE_CONCURRENCY);
+  if (!llmConcurrency || !cloneConcurrency) {
+    fatal('INVALID_ARGUMENT', '--concurrency / --clone-concurrency (LLM_CONCURRENCY / CLONE_CONCURRENCY) must be whole numbers from 1 to 32.');
   }
 
-  const apiKey = process.env.CEREBRAS_API_KEY;
-  if (!apiKey) {
-    log('Error: CEREBRAS_API_KEY not set.');
-    log('Create a .env file:  echo "CEREBRAS_API_KEY=your_key" > .env');
-    process.exit(1);
+  if (args.type && args.type !== 'auto' && !PROJECT_TYPES.includes(args.type)) {
+    fatal('INVALID_ARGUMENT', `unknown --type "${args.type}" (available: ${PROJECT_TYPES.join(', ')}, auto)`);
   }
 
-  const homeUser = detectGitUsername();
+  const candidateCount = Number(args.candidates ?? process.env.PAGE_CANDIDATES ?? 1);
+  if (!Number.isInteger(candidateCount) || candidateCount < 1 || candidateCount > MAX_CANDIDATES) {
+    fatal('INVALID_ARGUMENT', `--candidates / PAGE_CANDIDATES must be a whole number from 1 to ${MAX_CANDIDATES}.`);
+  }
+
+  if (args.refine !== null) {
+    const instruction = args.refine.trim();
+    if (!instruction || instruction.length > MAX_INSTRUCTION_LENGTH) {
+      fatal('INVALID_ARGUMENT', `--refine takes an instruction of 1–${MAX_INSTRUCTION_LENGTH} characters`);
+    }
+    if (repoArgs.length !== 1 || !refs.has(repoArgs[0].toLowerCase())) fatal('INVALID_ARGUMENT', '--refine "<instruction>" takes exactly one owner/repo');
+    if (args.dryRunContext) fatal('INVALID_ARGUMENT', '--refine and --dry-run-context can\'t be combined');
+  }
+
+  const tokenBudget = args.contextBudget ?? Number(process.env.CONTEXT_TOKEN_BUDGET || DEFAULT_TOKEN_BUDGET);
+  if (!Number.isInteger(tokenBudget) || tokenBudget < 500) {
+    fatal('INVALID_ARGUMENT', '--context-budget / CONTEXT_TOKEN_BUDGET must be a whole number of tokens, at least 500.');
+  }
+
+  let scrubAllowlist;
+  try {
+    scrubAllowlist = loadAllowlist();
+  } catch (err) {
+    fatal('INVALID_CONFIG', err.message);
+  }
+
+  // A dry run never calls the model, so it doesn't need one configured
+  let provider = null;
+  if (!args.dryRunContext) {
+    try {
+      provider = createProvider(resolveProviderOptions(args));
+    } catch (err) {
+      fatal(err.code || 'PROVIDER_ERROR', err.message, err.code === 'MISSING_API_KEY' ? [
+        'Create a .env file:  echo "CEREBRAS_API_KEY=your_key" > .env',
+        'Or run offline:      node generate.js --provider fixture --no-push owner/repo',
+      ] : []);
+    }
+  }
+  log(provider ? `🤖 Provider: ${provider.name} (${provider.model})` : '🔍 Dry run — printing each prompt instead of sending it');
+
+  if (args.refine !== null) {
+    return refine(args.refine.trim(), repoArgs[0], {
+      ref: refs.get(repoArgs[0].toLowerCase()), from: args.from, draft: args.draft, noPush, noClone,
+      publishPrivate: args.publishPrivate, provider, tokenBudget, scrubAllowlist,
+      homeUser: branding.githubUsername || detectGitUsername(),
+    });
+  }
+
+  const catalog = loadTemplates();
+  catalog.warnings.forEach(w => log(`⚠  Template skipped — ${w}`));
+  const designCSS = applyTheme(catalog.designCSS, branding.theme);
+  for (const name of [args.template, ...Object.values(args.templates)].filter(Boolean)) {
+    if (name !== 'auto' && !(isTemplateName(name) && catalog.templates.has(name))) {
+      fatal('INVALID_ARGUMENT', `unknown --template "${name}" (available: ${[...catalog.templates.keys()].join(', ')}, auto)`);
+    }
+  }
+
+  const legacy = legacyEntries(readManifest()).length;
+  if (legacy) log(`ℹ️  ${legacy} page(s) still use the old repos/<repo>/ layout — run: node generate.js --migrate`);
+
+  const homeUser = branding.githubUsername || detectGitUsername();
   const tmpDir   = join(__dirname, 'tmp', 'repos');
   mkdirSync(tmpDir, { recursive: true });
   mkdirSync(join(__dirname, 'repos'), { recursive: true });
 
-  const manifest = readManifest();
-  const generated = [];
+  const cloneSlot = createLimiter(cloneConcurrency);
+  const llmSlot   = createLimiter(llmConcurrency);
+  // With several repos in flight their output interleaves, so every line names its repo
+  const parallel  = repoArgs.length > 1 && (llmConcurrency > 1 || cloneConcurrency > 1);
+  output.prefixRepos = parallel;
+  const startedAt = Date.now();
+  emit('start', {
+    repos: repoArgs, provider: provider?.name ?? null, model: provider?.model ?? null,
+    concurrency: { llm: llmConcurrency, clone: cloneConcurrency },
+  });
+  if (repoArgs.length > 1) {
+    log(`📚 ${repoArgs.length} repos — cloning ${cloneConcurrency} and generating ${llmConcurrency} at a time`);
+  }
 
-  for (const fullName of repoArgs) {
-    const parts = fullName.split('/');
-    if (parts.length !== 2 || !parts[0] || !parts[1]) {
-      log(`\n✗ Invalid format: "${fullName}" — expected owner/repo`);
-      continue;
+  /**
+   * Clone → analyse → (skip if unchanged) → generate → write one page.
+   * `state.phase` tracks where the repo is, so an unexpected error is reported against it.
+   */
+  async function processRepo(fullName, state) {
+    const say  = (msg) => log(msg, fullName);
+    const step = (name, status, details) => { state.phase = name; phase(fullName, name, status, details); };
+    const fail = (code, message, details = {}) => {
+      phase(fullName, state.phase, 'failed', { error: { code, message }, ...details });
+      return { status: 'failed', phase: state.phase, error: { code, message } };
+    };
+
+    step('clone', 'started');
+    const ref = refs.get(fullName.toLowerCase());
+    if (!ref) {
+      say(`\n✗ Invalid repo: "${fullName}" — expected owner/repo, a repo URL or a local path`);
+      return fail('INVALID_REPO', 'Expected owner/repo, a repo URL or a local path');
     }
-    const [owner, repo] = parts;
-    const isExternal = homeUser && owner.toLowerCase() !== homeUser.toLowerCase();
-
-    log(`\n${'─'.repeat(60)}`);
-    log(`📦 ${fullName}${isExternal ? '  (external)' : ''}`);
-    log(`${'─'.repeat(60)}`);
-
-    // --- Clone ---
-    const cloneDir = join(tmpDir, `${owner}-${repo}`);
-    if (noClone && existsSync(cloneDir)) {
-      log('  ⟳  Using existing clone');
-    } else {
-      if (existsSync(cloneDir)) {
-        log('  ⟳  Refreshing existing clone…');
-        try {
-          gitExec(`git -C "${cloneDir}" fetch --depth 1 origin HEAD`);
-          gitExec(`git -C "${cloneDir}" reset --hard FETCH_HEAD`);
-        } catch {
-          log('  ↓  Clone refresh failed, re-cloning…');
-          try { execSync(`rm -rf "${cloneDir}"`, { stdio: 'pipe' }); } catch {}
-          try {
-            execSync(`git clone --depth 1 "https://github.com/${owner}/${repo}.git" "${cloneDir}"`, {
-              stdio: ['pipe', 'pipe', 'pipe'], timeout: 90_000,
-            });
-          } catch (err) {
-            log(`  ✗  Clone failed: ${err.message.slice(0, 120)}`);
-            continue;
-          }
-        }
+    const { owner, repo } = ref;
+    const isExternal = homeUser && !ref.local && ref.namespace.toLowerCase() !== homeUser.toLowerCase();
+    const cloneDir   = ref.local ? ref.localPath : join(tmpDir, `${owner}-${repo}`);
+    // --type wins for this run and is saved; otherwise reuse the type pinned in the manifest
+    const typeOverride = args.type === 'auto' ? null
+      : args.type || findManifestEntry(previous, fullName)?.typeOverride || null;
+
+    // --- Clone + analyse (CPU and disk bound, so limited separately from the LLM) ---
+    const cloned = await cloneSlot(async () => {
+      if (parallel || output.json) {
+        say(`📦 ${fullName}${isExternal ? '  (external)' : ''}`);
       } else {
-        log(`  ↓  Cloning https://github.com/${owner}/${repo} …`);
-        try {
-          execSync(`git clone --depth 1 "https://github.com/${owner}/${repo}.git" "${cloneDir}"`, {
-            stdio: ['pipe', 'pipe', 'pipe'], timeout: 90_000,
-          });
-        } catch (err) {
-          log(`  ✗  Clone failed: ${err.message.slice(0, 120)}`);
-          log('     (Is the repo public? Is the name correct?)');
-          continue;
-        }
+        log(`\n${'─'.repeat(60)}`);
+        log(`📦 ${fullName}${isExternal ? '  (external)' : ''}`);
+        log(`${'─'.repeat(60)}`);
       }
+
+      // --- Private repos are only published once confirmed (--publish-private) ---
+      const known     = findManifestEntry(previous, fullName)?.private;
+      const isPrivate = noClone && typeof known === 'boolean' ? known : await isPrivateRepo(ref);
+      if (isPrivate && !noPush && !args.publishPrivate) {
+        say(`  🔒 ${ref.local ? 'Local checkout' : 'Private repo'} — its page would be published to the public gallery`);
+        say('     Re-run with --publish-private to confirm, or with --no-push to keep the page local.');
+        return { failure: fail('PRIVATE_REPO', `${fullName} is private — pass --publish-private to publish its page`) };
+      }
+      if (isPrivate) say(`  🔒 ${ref.local ? 'Local checkout' : 'Private repo'}${noPush ? '' : ' — publishing confirmed'}`);
+
+      try {
+        await syncClone(ref, cloneDir, { noClone, log: say });
+      } catch (err) {
+        say(`  ✗  Clone failed: ${err.message}`);
+        say(`     (Is the name correct? A private repo needs a ${ref.host} token — see README → Repo Sources)`);
+        return { failure: fail('CLONE_FAILED', err.message) };
+      }
+      step('clone', 'done');
+
+      step('analyze', 'started');
+      say('  🔍 Analysing repository…');
+      return { analysis: analyzeRepo(cloneDir, owner, repo, { tokenBudget, typeOverride }), isPrivate };
+    });
+    if (cloned.failure) return cloned.failure;
+    const { isPrivate } = cloned;
+
+    // --- Scrub secrets and personal data before any of it reaches a prompt (lib/scrub.js) ---
+    const { analysis, redactions } = scrubAnalysis(cloned.analysis, { allowlist: scrubAllowlist });
+    if (redactions.length) {
+      say(`  🔒 Redacted ${summarizeRedactions(redactions)}`);
+      redactions.slice(0, MAX_REDACTION_LINES).forEach(r => say(`     ${r.file}: ${r.kind} ${r.preview}`));
+      if (redactions.length > MAX_REDACTION_LINES) say(`     … and ${redactions.length - MAX_REDACTION_LINES} more`);
     }
 
-    // --- Analyse ---
-    log('  🔍 Analysing repository…');
-    const analysis = analyzeRepo(cloneDir, owner, repo);
-    log(`  🏷  Detected type: ${analysis.type}`);
+    const secondary = analysis.secondaryTypes.map(s => ` + ${s.type} (${s.confidence})`).join('');
+    say(analysis.typeOverridden
+      ? `  🏷  Type: ${analysis.type} (pinned)${secondary}`
+      : `  🏷  Detected type: ${analysis.type}${analysis.type === 'generic' ? '' : ` (${analysis.typeConfidence})`}${secondary}`);
+    if (analysis.languages.length) {
+      say(`  📊 ${analysis.languages.slice(0, 3).map(l => `${l.language} ${l.percent}%`).join(' · ')}`);
+    }
+    say(`  📄 Context: ${analysis.sourceFiles.length} source file(s), ~${analysis.sourceFiles.reduce((n, f) => n + f.tokens, 0)} tokens` +
+        (analysis.entryPoints.length ? `, ${analysis.entryPoints.length} entry point(s)` : ''));
+
+    // --- Template: --template (per repo, then global) → pinned in the manifest → detected type ---
+    const templateArg = args.templates[fullName.toLowerCase()] ?? args.templates[ref.spec.toLowerCase()] ?? args.template;
+    let templateOverride = templateArg === 'auto' ? null
+      : templateArg || findManifestEntry(previous, fullName)?.templateOverride || null;
+    if (templateOverride && !catalog.templates.has(templateOverride)) {
+      say(`  ⚠  Pinned template "${templateOverride}" no longer exists — using the ${analysis.type} template`);
+      templateOverride = null;
+    }
+    const template = composeTemplate(catalog, templateOverride || analysis.type, analysis.secondaryTypes);
+    if (templateOverride) say(`  🎨 Template: ${template.name} (pinned)`);
+    step('analyze', 'done', {
+      type:           analysis.type,
+      typeConfidence: analysis.typeConfidence,
+      typeOverridden: analysis.typeOverridden,
+      secondaryTypes: analysis.secondaryTypes,
+      template:       template.name,
+      redactions:     countRedactions(redactions),
+    });
+
+    const context = buildContext(analysis, isExternal, ref.webUrl);
+
+    // --- Dry run: show the prompt, send nothing ---
+    if (args.dryRunContext) {
+      const messages = buildMessages(analysis, isExternal, { webUrl: ref.webUrl, context, template, designCSS, branding });
+      step('generate', 'skipped', { reason: 'dry run' });
+      if (output.json) {
+        emit('context', { repo: fullName, messages, redactions });
+      } else {
+        process.stdout.write(messages.map(m => `\n===== ${fullName} · ${m.role} =====\n${m.content}\n`).join('') +
+          `===== end of ${fullName} (~${Math.ceil(messages.reduce((n, m) => n + m.content.length, 0) / 4)} tokens) =====\n`);
+      }
+      return { status: 'previewed' };
+    }
+
+    // --- Skip unchanged (--changed-only) ---
+    const buildInfo = {
+      sourceSha:     headSha(cloneDir),
+      contextHash:   createHash('sha256').update(context).digest('hex'),
+      provider:      provider.name,
+      model:         provider.model,
+      promptVersion: PROMPT_VERSION,
+      template:      template.name,
+      templateHash:  createHash('sha256')
+        .update([designCSS, template.text, branding.brandName, branding.attribution].join('\n')).digest('hex'),
+    };
+    const existing = findManifestEntry(previous, fullName);
+    let reason = null;
+    if (args.changedOnly && !args.force) {
+      reason = changeReason(existing, buildInfo);
+      if (!reason) {
+        say(`  ⏭  Unchanged since ${existing.generatedAt} — skipping (use --force to regenerate)`);
+        step('generate', 'skipped', { reason: 'unchanged' });
+        // The page stays, but its gallery details follow the analysis. GitHub's side comes from
+        // the entry — only entries from before it was recorded there ask the API, once
+        const github  = existing.github ?? await fetchGitHubDetails(ref);
+        const updated = changedDetails(existing, repoDetails(analysis, github));
+        if (updated) say(`  📝 Updated details: ${Object.keys(updated).join(', ')}`);
+        return { status: 'skipped', details: updated && { fullName: existing.fullName, ...updated } };
+      }
+      say(`  ↻  Changed: ${reason}`);
+    }
+    const details = repoDetails(analysis, await fetchGitHubDetails(ref) ?? existing?.github ?? null);
 
-    // --- Generate ---
-    log(`  ✨ Generating visual page…`);
-    let html;
+    // --- Generate (best of --candidates) ---
+    let pages;
     try {
-      html = await generatePage(apiKey, analysis, isExternal);
+      pages = await llmSlot(() => {
+        step('generate', 'started', { reason });
+        say(candidateCount > 1 ? `  ✨ Generating ${candidateCount} candidate pages…` : `  ✨ Generating visual page…`);
+        return generateCandidates(provider, analysis, isExternal, {
+          count: candidateCount, judge: args.judge, webUrl: ref.webUrl,
+          progress: args.progress, context, template, designCSS, branding, log: say,
+        });
+      });
     } catch (err) {
-      log(`  ✗  Generation failed: ${err.message}`);
-      continue;
+      say(`  ✗  Generation failed: ${err.message}`);
+      return fail(llmErrorCode(err), err.message);
+    }
+
+    // --- Archive every candidate, good or not (lib/versions.js) ---
+    const paths = pagePaths(owner, repo);
+    if (existing?.path === paths.path && archiveExisting(paths.dir, existing)) {
+      say('  🗄  Archived the current page as its first version');
+    }
+    const [page] = pages;
+    const archive = (p) => saveVersion(paths.dir, p.html, {
+      provider:      provider.name,
+      model:         provider.model,
+      sourceSha:     buildInfo.sourceSha,
+      promptVersion: PROMPT_VERSION,
+      template:      template.name,
+      tokens:        p.tokens,
+      tps:           p.tps,
+      validation:    { passed: p.validation.ok, repaired: p.repaired, issues: p.issues,
+        failures: p.validation.failures.map(f => f.id) },
+      score:          p.score,
+      scoreBreakdown: p.scoreBreakdown,
+      sanitizer:      p.sanitizer,
+      ...(candidateCount > 1 && { candidate: p.candidate, candidates: candidateCount }),
+    });
+    const versions   = new Map([...pages].reverse().map(p => [p, archive(p)])); // best last, so it's the newest
+    const version    = versions.get(page);
+    const candidates = pages.map(p => ({ candidate: p.candidate, score: p.score, valid: p.validation.ok, version: versions.get(p).id }));
+
+    if (!page.validation.ok) {
+      say(`  ✗  Page failed validation — archived as ${version.id}, keeping the previous ${paths.path}`);
+      return fail('VALIDATION_FAILED', `Page breaks: ${page.validation.failures.map(f => f.id).join(', ')}`,
+        { tokens: page.tokens, tps: page.tps, version: version.id, score: page.score, candidates });
     }
+    const sanitizer = { removed: page.sanitizer.removed.length, flagged: page.sanitizer.flagged.length };
+    step('generate', 'done', {
+      tokens: page.tokens, tps: page.tps, repaired: page.repaired, score: page.score, candidates, sanitizer,
+    });
 
-    // --- Write ---
-    const outDir  = join(__dirname, 'repos', repo);
-    mkdirSync(outDir, { recursive: true });
-    const outPath = join(outDir, 'index.html');
-    writeFileSync(outPath, html, 'utf8');
+    // --- Write: the new version becomes index.html ---
+    step('write', 'started');
+    activateVersion(paths.dir, version.id);
+    const pruned = pruneVersions(paths.dir, { active: version.id });
 
-    const sizeKB = (Buffer.byteLength(html, 'utf8') / 1024).toFixed(1);
-    log(`  ✅ Written: repos/${repo}/index.html  (${sizeKB} KB)`);
+    const { bytes } = version;
+    say(`  ✅ Written: ${paths.path}  (${(bytes / 1024).toFixed(1)} KB, version ${version.id})`);
+    if (pruned.length) say(`  🧹 Pruned ${pruned.length} old version(s)`);
+    step('write', 'done', { path: paths.path, url: paths.url, bytes, version: version.id });
 
     const entry = {
       owner,
       repo,
       fullName,
-      path: `repos/${repo}/index.html`,
-      url:  `repos/${repo}/`,
+      path: paths.path,
+      url:  paths.url,
+      host:    ref.host,
+      source:  ref.source,
+      webUrl:  ref.webUrl,
+      private: isPrivate,
       isExternal: Boolean(isExternal),
       type: analysis.type,
+      secondaryTypes: analysis.secondaryTypes,
+      ...details,
+      typeOverride,
+      templateOverride,
       generatedAt: new Date().toISOString(),
+      validation: { passed: true, repaired: page.repaired, issues: page.issues },
+      activeVersion: version.id,
+      score: page.score,
+      scoreBreakdown: page.scoreBreakdown,
+      sanitizer,
+      redactions: countRedactions(redactions),
+      ...buildInfo,
     };
-    upsertManifestEntry(manifest, entry);
-    generated.push(entry);
+    return { status: 'generated', entry, stats: { tokens: page.tokens, tps: page.tps, bytes, version: version.id, score: page.score } };
+  }
+
+  const results = await Promise.all(repoArgs.map(async (fullName) => {
+    const state = { phase: 'clone' };
+    try {
+      return await processRepo(fullName, state);
+    } catch (err) {
+      log(`\n✗ ${fullName}: ${err.message}`, fullName);
+      phase(fullName, state.phase, 'failed', { error: { code: 'INTERNAL', message: err.message } });
+      return { status: 'failed', phase: state.phase, error: { code: 'INTERNAL', message: err.message } };
+    }
+  }));
+  const done      = results.filter(r => r.status === 'generated');
+  const generated = done.map(r => r.entry);
+  const skipped   = repoArgs.filter((_, i) => results[i].status === 'skipped');
+  const refreshed = results.filter(r => r.status === 'skipped' && r.details).map(r => r.details);
+  const failed    = repoArgs.filter((_, i) => results[i].status === 'failed');
+  const previewed = repoArgs.filter((_, i) => results[i].status === 'previewed');
+
+  // Last event of every run that got this far
+  const summarize = (commit = null) => emit('summary', {
+    ok: failed.length === 0 && commit?.status !== 'failed',
+    generated: done.map(({ entry, stats }) => ({
+      repo: entry.fullName, path: entry.path, url: entry.url, type: entry.type, ...stats,
+    })),
+    skipped,
+    ...(args.dryRunContext && { previewed }),
+    failed: repoArgs.flatMap((repo, i) => results[i].status === 'failed'
+      ? [{ repo, phase: results[i].phase, ...results[i].error }] : []),
+    commit,
+    durationMs: Date.now() - startedAt,
+  });
+
+  if (repoArgs.length > 1) {
+    log(args.dryRunContext
+      ? `\n📊 ${previewed.length} previewed, ${failed.length} failed`
+      : `\n📊 ${generated.length} generated, ${skipped.length} unchanged, ${failed.length} failed`);
+    if (failed.length) log(`   Failed: ${failed.join(' ')}`);
+  }
+
+  if (args.dryRunContext) {
+    log(`\n🔍 Dry run — ${previewed.length} prompt(s) printed; nothing was sent, written or committed.`);
+    summarize();
+    if (failed.length) process.exit(1);
+    return;
   }
 
-  if (!generated.length) {
+  if (!generated.length && !refreshed.length && skipped.length && skipped.length === repoArgs.length) {
+    log(`\n✅ Nothing changed — skipped ${skipped.length} up-to-date page(s).`);
+    summarize();
+    return;
+  }
+
+  if (!generated.length && !refreshed.length) {
     log('\n❌ No pages were generated successfully.');
+    summarize();
     process.exit(1);
   }
 
   // --- Update manifest ---
-  writeManifest(manifest);
+  const manifest = await updateManifest(m => [...generated, ...refreshed].forEach(e => upsertManifestEntry(m, e)));
   log(`\n📋 Updated repos/manifest.json (${manifest.generated.length} total entries)`);
-
-  // --- Git commit + push ---
-  if (noPush) {
-    log('\n⏭  Skipping git commit (--no-push).');
-  } else {
-    log('\n🚀 Committing and pushing to GitHub…');
-    try {
-      const names = generated.map(g => g.repo).join(', ');
-      gitExec('git add repos/');
-      gitExec(`git commit -m "Generate pages for ${names}"`);
-      gitExec('git push');
-      log('✅ Pushed!');
-      ensureGitHubPages();
-      log('\n🎉 Your pages are live! Refresh index.html to see them.');
-      for (const g of generated) {
-        log(`   → repos/${g.repo}/`);
-      }
-    } catch (err) {
-      log('⚠️  Git push failed. Run manually:');
-      log(`   git add repos/ && git commit -m "Generate pages for ${generated.map(g => g.repo).join(', ')}" && git push`);
+  if (writePublicConfig(branding)) log('🎨 Updated config.json (local gallery branding)');
+
+  // --- Git commit + push (one commit for the whole batch; large batches are summarised by count) ---
+  const changed = generated.length ? generated : refreshed;
+  const verb    = generated.length ? 'Generate pages for' : 'Update page details for';
+  const commit  = await commitPages(changed.length <= 5
+    ? `${verb} ${changed.map(e => e.fullName.split('/')[1]).join(', ')}`
+    : `${verb} ${changed.length} repos`, changed.map(e => e.fullName), {
+    noPush, confirmed: args.publishPrivate ? changed.map(e => e.fullName) : [],
+  });
+  if (commit.status === 'done' && commit.strategy === 'push' && generated.length) {
+    ensureGitHubPages();
+    log('\n🎉 Your pages are live! Refresh index.html to see them.');
+    for (const g of generated) {
+      log(`   → ${g.url}`);
     }
   }
 
+  summarize(commit);
   log('');
 }
 
 main().catch(err => {
   process.stderr.write(`\nFatal: ${err.message}\n`);
+  emit('error', { code: 'INTERNAL', message: err.message });
   process.exit(1);
 });
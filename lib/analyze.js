@@ -0,0 +1,487 @@
+/**
+ * lib/analyze.js — Repository analysis: what the model gets to see
+ *
+ * analyzeRepo(repoPath, owner, repo, { tokenBudget }) walks a clone once and
+ * returns the pieces buildContext() turns into the prompt:
+ *   type         primary project type, plus secondaryTypes (see lib/detect.js)
+ *   structure    directory tree (depth 3, capped per directory)
+ *   languages    per-language file and line counts, largest first
+ *   entryPoints  declared entry points (package.json, pyproject, Cargo, Go cmd/)
+ *   sourceFiles  most important source files, filling a token budget
+ *   description  one-line summary (package manifest, else the README's first paragraph)
+ *   tags         package keywords, project types and main languages — for gallery search
+ *   language     the main programming language (null if there's no code)
+ *
+ * Tokens are estimated at ~4 characters each — close enough for budgeting.
+ */
+
+import { readFileSync, readdirSync, existsSync, statSync } from 'fs';
+import { join, extname, basename, posix } from 'path';
+import { detectTypes } from './detect.js';
+
+export const DEFAULT_TOKEN_BUDGET = 4000;
+const CHARS_PER_TOKEN = 4;
+const MAX_SOURCE_FILES = 12;
+const MAX_WALK_FILES   = 5000;
+const MAX_COUNT_BYTES  = 1024 * 1024; // files larger than this are counted, not read
+
+const IGNORE = new Set(['node_modules', '__pycache__', '.git', 'dist', 'build',
+  '.next', '.nuxt', 'target', 'venv', '.venv', '.mypy_cache', 'coverage', 'vendor']);
+
+// ============================================================
+// Languages
+// ============================================================
+
+/** Extension → language. NON_CODE languages count towards stats but are never ranked as source. */
+const LANGUAGES = {
+  '.js': 'JavaScript', '.mjs': 'JavaScript', '.cjs': 'JavaScript', '.jsx': 'JavaScript',
+  '.ts': 'TypeScript', '.mts': 'TypeScript', '.cts': 'TypeScript', '.tsx': 'TypeScript',
+  '.py': 'Python', '.pyi': 'Python', '.ipynb': 'Jupyter Notebook',
+  '.rs': 'Rust', '.go': 'Go', '.java': 'Java', '.kt': 'Kotlin', '.kts': 'Kotlin', '.scala': 'Scala',
+  '.rb': 'Ruby', '.php': 'PHP', '.cs': 'C#', '.fs': 'F#', '.swift': 'Swift', '.m': 'Objective-C',
+  '.c': 'C', '.h': 'C', '.cc': 'C++', '.cpp': 'C++', '.cxx': 'C++', '.hpp': 'C++',
+  '.zig': 'Zig', '.nim': 'Nim', '.ex': 'Elixir', '.exs': 'Elixir', '.erl': 'Erlang',
+  '.hs': 'Haskell', '.ml': 'OCaml', '.clj': 'Clojure', '.dart': 'Dart', '.lua': 'Lua',
+  '.r': 'R', '.jl': 'Julia', '.sol': 'Solidity',
+  '.vue': 'Vue', '.svelte': 'Svelte', '.astro': 'Astro',
+  '.sh': 'Shell', '.bash': 'Shell', '.zsh': 'Shell', '.ps1': 'PowerShell',
+  '.tf': 'HCL', '.hcl': 'HCL', '.sql': 'SQL', '.proto': 'Protocol Buffers',
+  '.html': 'HTML', '.css': 'CSS', '.scss': 'SCSS', '.less': 'Less',
+  '.md': 'Markdown', '.mdx': 'Markdown', '.rst': 'reStructuredText',
+  '.json': 'JSON', '.yml': 'YAML', '.yaml': 'YAML', '.toml': 'TOML', '.xml': 'XML',
+};
+const SPECIAL_FILES = { Dockerfile: 'Dockerfile', Makefile: 'Makefile', justfile: 'Just' };
+const NON_CODE = new Set(['Markdown', 'reStructuredText', 'JSON', 'YAML', 'TOML', 'XML', 'Jupyter Notebook', 'HTML', 'CSS', 'SCSS', 'Less']);
+
+function languageOf(name) {
+  return SPECIAL_FILES[name] || LANGUAGES[extname(name).toLowerCase()] || null;
+}
+
+// ============================================================
+// File helpers
+// ============================================================
+export function readFileSafe(filePath, maxChars = 3000) {
+  try { return readFileSync(filePath, 'utf8').slice(0, maxChars); }
+  catch { return null; }
+}
+
+const visibleEntries = (dir) => {
+  try {
+    return readdirSync(dir, { withFileTypes: true })
+      .filter(e => !e.name.startsWith('.') && !IGNORE.has(e.name) && !e.isSymbolicLink());
+  } catch { return []; }
+};
+
+/**
+ * Directory tree like `tree` output. Directories come first; each directory
+ * lists at most `perDir` entries and the whole tree stops at `maxLines`.
+ */
+export function dirTree(dir, { maxDepth = 3, perDir = 25, maxLines = 150 } = {}) {
+  const lines = [];
+  const walk = (path, depth, prefix) => {
+    const entries = visibleEntries(path).sort((a, b) =>
+      (b.isDirectory() - a.isDirectory()) || a.name.localeCompare(b.name));
+    const shown = entries.slice(0, perDir);
+    const more  = entries.length - shown.length;
+
+    shown.forEach((entry, i) => {
+      if (lines.length >= maxLines) return;
+      const isLast = i === shown.length - 1 && !more;
+      lines.push(prefix + (isLast ? '└── ' : '├── ') + entry.name + (entry.isDirectory() ? '/' : ''));
+      if (entry.isDirectory() && depth < maxDepth - 1) {
+        walk(join(path, entry.name), depth + 1, prefix + (isLast ? '    ' : '│   '));
+      }
+    });
+    if (more && lines.length < maxLines) lines.push(`${prefix}└── … ${more} more`);
+  };
+  walk(dir, 0, '');
+  if (lines.length >= maxLines) lines.push('… (truncated)');
+  return lines.map(l => l + '\n').join('');
+}
+
+/** Every visible file under root: { path (posix, repo-relative), size, language }. */
+function listFiles(root) {
+  const files = [];
+  const walk = (dir, rel, depth) => {
+    if (depth > 8) return;
+    for (const e of visibleEntries(dir)) {
+      if (files.length >= MAX_WALK_FILES) return;
+      const relPath = rel ? posix.join(rel, e.name) : e.name;
+      if (e.isDirectory()) { walk(join(dir, e.name), relPath, depth + 1); continue; }
+      if (!e.isFile()) continue;
+      let size = 0;
+      try { size = statSync(join(dir, e.name)).size; } catch {}
+      files.push({ path: relPath, size, language: languageOf(e.name) });
+    }
+  };
+  walk(root, '', 0);
+  return files;
+}
+
+// ============================================================
+// Language stats
+// ============================================================
+
+/** Per-language counts, largest first: [{ language, files, lines, percent }]. */
+function languageStats(root, files) {
+  const byLang = new Map();
+  for (const f of files) {
+    if (!f.language) continue;
+    const s = byLang.get(f.language) || { language: f.language, files: 0, lines: 0 };
+    s.files++;
+    if (f.size <= MAX_COUNT_BYTES) {
+      const text = readFileSafe(join(root, f.path), MAX_COUNT_BYTES);
+      if (text) s.lines += text.split('\n').length;
+    }
+    byLang.set(f.language, s);
+  }
+  const stats = [...byLang.values()].sort((a, b) => b.lines - a.lines || b.files - a.files);
+  const total = stats.reduce((n, s) => n + s.lines, 0) || 1;
+  return stats.map(s => ({ ...s, percent: Math.round((s.lines / total) * 1000) / 10 }));
+}
+
+// ============================================================
+// Entry-point discovery
+// ============================================================
+
+/** Lines of a TOML table (`[name]` or `[[name]]`), one array per occurrence. */
+function tomlTables(text, name) {
+  const tables = [];
+  let current = null;
+  for (const line of text.split('\n')) {
+    const header = line.trim().match(/^\[\[?([^\]]+)\]\]?$/);
+    if (header) {
+      current = header[1].trim() === name ? [] : null;
+      if (current) tables.push(current);
+      continue;
+    }
+    if (current && line.trim() && !line.trim().startsWith('#')) current.push(line.trim());
+  }
+  return tables;
+}
+
+const tomlValue = (lines, key) =>
+  lines.map(l => l.match(new RegExp(`^${key}\\s*=\\s*["']([^"']+)["']`))?.[1]).find(Boolean) || null;
+
+/** Resolve a Python module path (pkg.cli) to a file, checking src/ layouts too. */
+function pythonModuleFile(root, module) {
+  const rel = module.replace(/\./g, '/');
+  for (const base of ['', 'src/']) {
+    for (const candidate of [`${base}${rel}.py`, `${base}${rel}/__init__.py`, `${base}${rel}/__main__.py`]) {
+      if (existsSync(join(root, candidate))) return candidate;
+    }
+  }
+  return null;
+}
+
+/** Flatten package.json `exports` (string, conditions or subpath map) into file paths. */
+function exportTargets(exp) {
+  if (typeof exp === 'string') return [exp];
+  if (Array.isArray(exp)) return exp.flatMap(exportTargets);
+  if (exp && typeof exp === 'object') {
+    // Prefer the package root and runtime conditions over types/subpaths
+    const rank = (k) => k === '.' ? 0 : ['import', 'default', 'require', 'node'].includes(k) ? 1 : k === 'types' ? 3 : 2;
+    return Object.keys(exp).sort((a, b) => rank(a) - rank(b)).flatMap(k => exportTargets(exp[k]));
+  }
+  return [];
+}
+
+/**
+ * Declared entry points that exist in the clone: [{ kind, name, path, source }].
+ * kind is 'bin' (executable) or 'main' (library / module entry).
+ */
+export function findEntryPoints(root) {
+  const found = [];
+  const add = (kind, name, path, source) => {
+    if (!path) return;
+    const clean = posix.normalize(path.replace(/^\.\//, ''));
+    if (!existsSync(join(root, clean)) || found.some(e => e.path === clean)) return;
+    found.push({ kind, name, path: clean, source });
+  };
+
+  // package.json — bin, main/module, exports
+  const pkgText = readFileSafe(join(root, 'package.json'), 200_000);
+  if (pkgText) {
+    try {
+      const pkg = JSON.parse(pkgText);
+      const pkgName = pkg.name || basename(root);
+      if (typeof pkg.bin === 'string') add('bin', pkgName, pkg.bin, 'package.json bin');
+      else for (const [name, path] of Object.entries(pkg.bin || {})) add('bin', name, path, 'package.json bin');
+      if (typeof pkg.main === 'string')   add('main', pkgName, pkg.main, 'package.json main');
+      if (typeof pkg.module === 'string') add('main', pkgName, pkg.module, 'package.json module');
+      exportTargets(pkg.exports).filter(p => !p.endsWith('.d.ts')).slice(0, 4)
+        .forEach(p => add('main', pkgName, p, 'package.json exports'));
+    } catch {}
+  }
+
+  // pyproject.toml — PEP 621 / Poetry scripts
+  const pyproject = readFileSafe(join(root, 'pyproject.toml'), 50_000);
+  if (pyproject) {
+    for (const table of ['project.scripts', 'tool.poetry.scripts']) {
+      for (const line of tomlTables(pyproject, table).flat()) {
+        const m = line.match(/^["']?([\w.-]+)["']?\s*=\s*["']([\w.]+)(?::[\w.]+)?["']/);
+        if (m) add('bin', m[1], pythonModuleFile(root, m[2]), `pyproject.toml [${table}]`);
+      }
+    }
+  }
+
+  // setup.py — console_scripts
+  const setupPy = readFileSafe(join(root, 'setup.py'), 50_000);
+  if (setupPy) {
+    for (const m of setupPy.matchAll(/["']([\w.-]+)\s*=\s*([\w.]+):[\w.]+["']/g)) {
+      add('bin', m[1], pythonModuleFile(root, m[2]), 'setup.py console_scripts');
+    }
+  }
+
+  // Cargo.toml — [[bin]] targets plus the conventional src/main.rs, src/bin/*.rs and src/lib.rs
+  const cargo = readFileSafe(join(root, 'Cargo.toml'), 50_000);
+  if (cargo) {
+    const crate = tomlValue(tomlTables(cargo, 'package')[0] || [], 'name') || basename(root);
+    for (const bin of tomlTables(cargo, 'bin')) {
+      const name = tomlValue(bin, 'name') || crate;
+      add('bin', name, tomlValue(bin, 'path') || `src/bin/${name}.rs`, 'Cargo.toml [[bin]]');
+    }
+    add('bin', crate, 'src/main.rs', 'Cargo.toml');
+    visibleEntries(join(root, 'src', 'bin')).filter(e => e.name.endsWith('.rs'))
+      .forEach(e => add('bin', e.name.replace(/\.rs$/, ''), `src/bin/${e.name}`, 'Cargo.toml'));
+    add('main', crate, tomlValue(tomlTables(cargo, 'lib')[0] || [], 'path') || 'src/lib.rs', 'Cargo.toml');
+  }
+
+  // Go — cmd/<name>/main.go and a root main.go
+  if (existsSync(join(root, 'go.mod'))) {
+    visibleEntries(join(root, 'cmd')).filter(e => e.isDirectory())
+      .forEach(e => add('bin', e.name, `cmd/${e.name}/main.go`, 'Go cmd/'));
+    add('bin', basename(root), 'main.go', 'go.mod');
+  }
+
+  // Python without packaging metadata
+  add('bin', basename(root), '__main__.py', 'python -m');
+
+  return found;
+}
+
+// ============================================================
+// Source file ranking
+// ============================================================
+
+// Type-specific files worth showing even when they aren't declared entry points
+const TYPE_HINTS = {
+  ml:       ['train.py', 'model.py', 'src/train.py', 'src/model.py', 'main.py'],
+  api:      ['main.py', 'app.py', 'server.js', 'app.js', 'src/main.py', 'src/app.ts'],
+  cli:      ['src/main.rs', 'src/main.py', 'bin/cli.js', 'cmd/root.go', 'main.go', 'cli.py'],
+  frontend: ['src/App.tsx', 'src/App.jsx', 'src/app.tsx', 'src/main.tsx', 'pages/index.tsx', 'src/routes/+page.svelte'],
+  library:  ['src/index.ts', 'src/index.js', 'src/lib.rs', 'src/lib.ts', 'lib/index.js', 'index.ts'],
+  infra:    ['Dockerfile', 'docker-compose.yml', 'main.tf'],
+  monorepo: ['turbo.json', 'lerna.json', 'pnpm-workspace.yaml'],
+  generic:  ['main.py', 'main.js', 'main.go', 'main.rs', 'index.js', 'index.ts', 'app.py'],
+};
+
+const KEY_NAMES = new Set(['main', 'index', 'app', 'server', 'cli', 'lib', 'mod', 'core', 'api', 'cmd', 'root', '__main__', 'model', 'train']);
+const KEY_DIRS  = new Set(['src', 'lib', 'pkg', 'cmd', 'app', 'internal', 'bin']);
+const NOISE     = /(^|\/)(tests?|__tests__|spec|specs|examples?|fixtures?|mocks?|benchmarks?|docs?|scripts)(\/|$)|[._-](test|spec)\.\w+$|_test\.go$|\.min\.\w+$|\.d\.ts$|generated|\.pb\.go$/i;
+
+function scoreFile(file, { entryPaths, hints, primaryLanguage }) {
+  const depth = file.path.split('/').length - 1;
+  const stem  = basename(file.path).replace(/\.[^.]+$/, '').toLowerCase();
+  let score = 0;
+
+  if (entryPaths.has(file.path)) score += 100;
+  if (hints.includes(file.path)) score += 40;
+  if (KEY_NAMES.has(stem)) score += 15;
+  if (KEY_DIRS.has(file.path.split('/')[0])) score += 10;
+  if (file.language === primaryLanguage) score += 10;
+  if (NOISE.test(file.path)) score -= 40;
+  if (file.size < 200) score -= 15;            // stubs and re-export barrels say little
+  if (file.size > 100 * 1024) score -= 20;     // huge files would eat the whole budget
+  score -= depth * 4;
+  return score;
+}
+
+/**
+ * Fill the token budget with the highest-ranked source files. A single file
+ * may take at most a third of the budget so several files always fit.
+ */
+function selectSourceFiles(root, files, { entryPoints, type, primaryLanguage, tokenBudget }) {
+  const entryPaths = new Set(entryPoints.map(e => e.path));
+  const hints = TYPE_HINTS[type] || TYPE_HINTS.generic;
+  const ranked = files
+    .filter(f => (f.language && !NON_CODE.has(f.language)) || entryPaths.has(f.path) || hints.includes(f.path))
+    .map(f => ({ ...f, score: scoreFile(f, { entryPaths, hints, primaryLanguage }) }))
+    .sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+
+  const budgetChars  = tokenBudget * CHARS_PER_TOKEN;
+  const perFileChars = Math.max(1500, Math.floor(budgetChars / 3));
+  const selected = [];
+  let used = 0;
+
+  for (const f of ranked) {
+    const remaining = budgetChars - used;
+    if (remaining < 400 || selected.length >= MAX_SOURCE_FILES) break;
+    const limit   = Math.min(perFileChars, remaining);
+    const content = readFileSafe(join(root, f.path), limit + 1);
+    if (!content?.trim() || content.includes('\u0000')) continue; // unreadable or binary
+    const truncated = content.length > limit;
+    const text = truncated ? content.slice(0, limit) : content;
+    selected.push({
+      name: f.path,
+      content: text,
+      truncated,
+      entryPoint: entryPaths.has(f.path),
+      tokens: Math.ceil(text.length / CHARS_PER_TOKEN),
+    });
+    used += text.length;
+  }
+  return selected;
+}
+
+// ============================================================
+// Description and tags (manifest metadata for the gallery — not sent to the model)
+// ============================================================
+const MAX_DESCRIPTION = 200;
+const MAX_TAGS        = 12;
+
+/** description + keywords declared in package.json, Cargo.toml, pyproject.toml or composer.json. */
+function packageMetadata(root) {
+  for (const file of ['package.json', 'composer.json']) {
+    try {
+      const pkg = JSON.parse(readFileSafe(join(root, file), 200_000) || 'null');
+      if (pkg) return { description: pkg.description || null, keywords: Array.isArray(pkg.keywords) ? pkg.keywords : [] };
+    } catch {}
+  }
+  for (const [file, table] of [['Cargo.toml', 'package'], ['pyproject.toml', 'project'], ['pyproject.toml', 'tool.poetry']]) {
+    const lines = tomlTables(readFileSafe(join(root, file), 50_000) || '', table)[0];
+    if (!lines) continue;
+    const keywords = lines.map(l => l.match(/^keywords\s*=\s*\[([^\]]*)\]/)?.[1]).find(Boolean);
+    return {
+      description: tomlValue(lines, 'description'),
+      keywords: keywords ? [...keywords.matchAll(/["']([^"']+)["']/g)].map(m => m[1]) : [],
+    };
+  }
+  return { description: null, keywords: [] };
+}
+
+/** First prose paragraph of a README, with markdown, badges and HTML stripped. */
+function readmeSummary(readme) {
+  const paragraphs = readme.replace(/<!--[\s\S]*?-->/g, '').split(/\n\s*\n/);
+  for (const para of paragraphs) {
+    const text = para
+      .split('\n')
+      .filter(l => !/^\s*(#|=+$|-+$|>|\||```|[-*+] |\d+\. |<|!\[|\[!\[)/.test(l))
+      .join(' ')
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/<[^>]+>/g, '')
+      .replace(/[*_`~]+/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (text.length >= 20) return text;
+  }
+  return null;
+}
+
+/** Clip to `max` characters at a word boundary. */
+function clip(text, max) {
+  if (text.length <= max) return text;
+  const space = text.lastIndexOf(' ', max - 1);
+  return text.slice(0, space > max / 2 ? space : max - 1).replace(/[\s,;:.]+$/, '') + '…';
+}
+
+const slug = (s) => String(s).toLowerCase().trim().replace(/[^a-z0-9+#.]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * One-line description, search tags and main language for a repo's manifest entry.
+ * @returns {{ description: string | null, tags: string[], language: string | null }}
+ */
+function describeRepo(root, analysis) {
+  const pkg  = packageMetadata(root);
+  const code = analysis.languages.filter(l => !NON_CODE.has(l.language));
+  const description = pkg.description?.trim() || readmeSummary(analysis.readme || '');
+  const tags = [
+    ...pkg.keywords,
+    analysis.type !== 'generic' && analysis.type,
+    ...analysis.secondaryTypes.map(s => s.type),
+    ...code.slice(0, 3).map(l => l.language),
+  ].filter(Boolean).map(slug).filter(Boolean);
+  return {
+    description: description ? clip(description, MAX_DESCRIPTION) : null,
+    tags:        [...new Set(tags)].slice(0, MAX_TAGS),
+    language:    code[0]?.language ?? null,
+  };
+}
+
+// ============================================================
+// Repo analysis
+// ============================================================
+
+/**
+ * @param {string} repoPath
+ * @param {string} owner
+ * @param {string} repo
+ * @param {{ tokenBudget?: number, typeOverride?: string|null }} [opts]
+ *   tokenBudget   tokens available for source files
+ *   typeOverride  pinned primary type (skips detection of the primary only)
+ */
+export function analyzeRepo(repoPath, owner, repo, { tokenBudget = DEFAULT_TOKEN_BUDGET, typeOverride = null } = {}) {
+  const analysis = {
+    owner, repo, type: 'generic', typeConfidence: 0, secondaryTypes: [], typeSignals: {}, typeOverridden: false,
+    structure: '', readme: '', packageFile: '', packageContent: '',
+    languages: [], entryPoints: [], stats: { files: 0, lines: 0 }, sourceFiles: [],
+    description: null, tags: [], language: null,
+  };
+
+  // Directory tree
+  analysis.structure = dirTree(repoPath);
+
+  // README
+  for (const f of ['README.md', 'README.rst', 'README.txt', 'README']) {
+    const c = readFileSafe(join(repoPath, f), 4000);
+    if (c) { analysis.readme = c; break; }
+  }
+
+  // Primary package / manifest file
+  for (const f of ['package.json', 'Cargo.toml', 'pyproject.toml', 'requirements.txt', 'go.mod', 'setup.py', 'Gemfile', 'composer.json']) {
+    const c = readFileSafe(join(repoPath, f), 2500);
+    if (c) { analysis.packageContent = c; analysis.packageFile = f; break; }
+  }
+
+  // Languages + totals
+  const files = listFiles(repoPath);
+  analysis.languages = languageStats(repoPath, files);
+  analysis.stats = {
+    files: files.length,
+    lines: analysis.languages.reduce((n, l) => n + l.lines, 0),
+    truncated: files.length >= MAX_WALK_FILES,
+  };
+
+  // Entry points, then type detection (declared executables are a CLI signal)
+  analysis.entryPoints = findEntryPoints(repoPath);
+  const detected = detectTypes({
+    files,
+    entryPoints: analysis.entryPoints,
+    readText: (rel, maxChars) => readFileSafe(join(repoPath, rel), maxChars),
+  });
+  if (typeOverride) {
+    analysis.type = typeOverride;
+    analysis.typeOverridden = true;
+    // The detected primary becomes an aspect of the pinned type
+    const detectedPrimary = detected.primary === 'generic' ? [] : [{ type: detected.primary, confidence: detected.confidence }];
+    analysis.secondaryTypes = [...detectedPrimary, ...detected.secondary].filter(s => s.type !== typeOverride).slice(0, 2);
+  } else {
+    analysis.type = detected.primary;
+    analysis.typeConfidence = detected.confidence;
+    analysis.secondaryTypes = detected.secondary;
+  }
+  analysis.typeSignals = detected.signals;
+
+  // Ranked source files
+  const primaryLanguage = analysis.languages.find(l => !NON_CODE.has(l.language))?.language || null;
+  analysis.sourceFiles = selectSourceFiles(repoPath, files, {
+    entryPoints: analysis.entryPoints,
+    type: analysis.type,
+    primaryLanguage,
+    tokenBudget,
+  });
+
+  Object.assign(analysis, describeRepo(repoPath, analysis));
+  return analysis;
+}
@@ -0,0 +1,258 @@
+/**
+ * lib/autoregen.js — Automatic regeneration: GitHub webhooks and per-page schedules
+ *
+ * Two triggers feed server.js's job queue:
+ *   - POST /api/webhooks/github: a push to a repo's default branch or a
+ *     published release, signed with GITHUB_WEBHOOK_SECRET (X-Hub-Signature-256)
+ *   - a page's `schedule` in the manifest (hourly, daily, weekly, monthly or a
+ *     five-field cron expression in the server's local time), set with
+ *     `node generate.js --schedule <when> owner/repo`
+ *
+ * Both go through one debouncer keyed by page: every trigger restarts the
+ * repo's quiet period (AUTOREGEN_DEBOUNCE seconds, default 120), so a burst of
+ * pushes becomes a single regeneration. Scheduled runs are due once the next
+ * occurrence after the page's last generation (or last scheduled run, in
+ * tmp/schedule.json) has passed, so a run missed while the server was down
+ * happens on the next start.
+ *
+ * Verified deliveries are recorded in tmp/webhooks/ (newest WEBHOOK_RECORD_KEEP)
+ * and can be sent again with `just replay-webhook <file>`.
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { readFileSync, writeFileSync, mkdirSync, readdirSync, rmSync, renameSync } from 'fs';
+import { join } from 'path';
+
+export const SCHEDULE_PRESETS = {
+  hourly:  '0 * * * *',
+  daily:   '0 3 * * *',
+  weekly:  '0 3 * * 1',
+  monthly: '0 3 1 * *',
+};
+
+export const DEBOUNCE_MS = Math.max(0, Number(process.env.AUTOREGEN_DEBOUNCE ?? 120)) * 1000;
+
+const WEBHOOK_RECORD_KEEP = 50;
+
+// ============================================================
+// Webhooks
+// ============================================================
+
+/** True if `header` (X-Hub-Signature-256) is the HMAC-SHA256 of the raw body under `secret`. */
+export function verifySignature(secret, rawBody, header) {
+  const given = String(header || '').match(/^sha256=([0-9a-f]{64})$/i)?.[1];
+  if (!secret || !rawBody || !given) return false;
+  const expected = createHmac('sha256', secret).update(rawBody).digest();
+  return timingSafeEqual(Buffer.from(given, 'hex'), expected);
+}
+
+/**
+ * What a GitHub event asks for.
+ * @returns {{ fullName: string, reason: string, force: boolean } | { ignored: string }}
+ *   force  regenerate even if the commit is unchanged (a release of an already-pushed commit)
+ */
+export function webhookTrigger(event, payload) {
+  const fullName = payload?.repository?.full_name;
+  if (!fullName) return { ignored: `${event || 'unknown'} event without a repository` };
+
+  if (event === 'push') {
+    const branch = payload.repository.default_branch;
+    if (payload.deleted) return { ignored: `${payload.ref} was deleted` };
+    if (payload.ref !== `refs/heads/${branch}`) return { ignored: `push to ${payload.ref}, not ${branch}` };
+    const sha = String(payload.after || '').slice(0, 7);
+    return { fullName, reason: `push to ${branch}${sha ? ` (${sha})` : ''}`, force: false };
+  }
+  if (event === 'release') {
+    if (payload.action !== 'published') return { ignored: `release ${payload.action}` };
+    return { fullName, reason: `release ${payload.release?.tag_name || ''}`.trim(), force: true };
+  }
+  return { ignored: `${event} events don't regenerate pages` };
+}
+
+/** Keep a verified delivery in `dir` for `just replay-webhook`; only the newest ones are kept. */
+export function recordDelivery(dir, { event, delivery, payload }) {
+  mkdirSync(dir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const file  = join(dir, `${stamp}-${event}-${String(delivery || 'unknown').replace(/[^\w-]/g, '')}.json`);
+  writeFileSync(file, JSON.stringify({ event, delivery, receivedAt: new Date().toISOString(), payload }, null, 2));
+  const files = readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+  for (const old of files.slice(0, -WEBHOOK_RECORD_KEEP)) rmSync(join(dir, old), { force: true });
+  return file;
+}
+
+// ============================================================
+// Debounce
+// ============================================================
+
+/**
+ * Collapse bursts of triggers per key: `fire(key, reasons)` runs once `delayMs`
+ * after the last trigger for that key, with every reason seen since.
+ */
+export function createDebouncer(delayMs, fire) {
+  const pending = new Map(); // key → { timer, reasons, force }
+
+  function trigger(key, reason, { force = false } = {}) {
+    const entry = pending.get(key) || { timer: null, reasons: [], force: false };
+    clearTimeout(entry.timer);
+    entry.reasons.push(reason);
+    entry.force ||= force;
+    entry.timer = setTimeout(() => {
+      pending.delete(key);
+      fire(key, entry.reasons, { force: entry.force });
+    }, delayMs);
+    entry.timer.unref?.();
+    pending.set(key, entry);
+    return entry.reasons.length;
+  }
+
+  /** Keys waiting to fire, with their reasons. */
+  function list() {
+    return [...pending].map(([key, { reasons }]) => ({ key, reasons }));
+  }
+
+  function cancelAll() {
+    for (const { timer } of pending.values()) clearTimeout(timer);
+    pending.clear();
+  }
+
+  return { trigger, list, cancelAll };
+}
+
+// ============================================================
+// Schedules (cron)
+// ============================================================
+
+// minute hour day-of-month month day-of-week
+const FIELDS = [['minute', 0, 59], ['hour', 0, 23], ['day of month', 1, 31], ['month', 1, 12], ['day of week', 0, 7]];
+
+function parseField(text, [name, min, max]) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const m = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`bad ${name} "${part}"`);
+    const from = m[1] === '*' ? min : Number(m[2]);
+    const to   = m[1] === '*' ? max : m[3] !== undefined ? Number(m[3]) : m[4] ? max : from;
+    const step = m[4] ? Number(m[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) throw new Error(`${name} "${part}" is out of range ${min}–${max}`);
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a schedule: a preset name or a five-field cron expression
+ * ("minute hour day-of-month month day-of-week"; *, lists, ranges and steps).
+ * Throws with a readable message when it isn't one.
+ */
+export function parseSchedule(spec) {
+  const text   = String(spec ?? '').trim();
+  const cron   = SCHEDULE_PRESETS[text.toLowerCase()] || text;
+  const fields = cron.split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`"${text}" is not a schedule — use ${Object.keys(SCHEDULE_PRESETS).join(', ')} or a cron expression like "0 6 * * 1"`);
+  }
+  const [minute, hour, dom, month, dow] = fields.map((f, i) => parseField(f, FIELDS[i]));
+  if (dow.has(7)) dow.add(0); // 0 and 7 are both Sunday
+  return {
+    spec: text, cron, minute, hour, dom, month, dow,
+    // As in cron: when both day fields are restricted, either may match
+    domAny: fields[2] === '*',
+    dowAny: fields[4] === '*',
+  };
+}
+
+function dayMatches(s, t) {
+  const dom = s.dom.has(t.getDate());
+  const dow = s.dow.has(t.getDay());
+  if (s.domAny || s.dowAny) return dom && dow;
+  return dom || dow;
+}
+
+/** First time strictly after `after` that `schedule` (spec or parsed) fires, or null within five years. */
+export function nextRun(schedule, after = new Date()) {
+  const s = typeof schedule === 'string' ? parseSchedule(schedule) : schedule;
+  const t = new Date(after);
+  t.setSeconds(0, 0);
+  t.setMinutes(t.getMinutes() + 1);
+  const limit = new Date(t).setFullYear(t.getFullYear() + 5);
+  while (t <= limit) {
+    if (!s.month.has(t.getMonth() + 1)) { t.setMonth(t.getMonth() + 1, 1); t.setHours(0, 0, 0, 0); continue; }
+    if (!dayMatches(s, t))              { t.setDate(t.getDate() + 1); t.setHours(0, 0, 0, 0); continue; }
+    if (!s.hour.has(t.getHours()))      { t.setHours(t.getHours() + 1, 0, 0, 0); continue; }
+    if (!s.minute.has(t.getMinutes()))  { t.setMinutes(t.getMinutes() + 1, 0, 0); continue; }
+    return t;
+  }
+  return null;
+}
+
+// ============================================================
+// Scheduler
+// ============================================================
+
+/**
+ * Check the manifest's schedules every `intervalMs` and call `onDue(entry)`
+ * for pages whose next run has passed.
+ * @param {object} opts
+ * @param {() => object[]} opts.entries   manifest entries (re-read every check)
+ * @param {string} opts.stateFile         last scheduled run per page (tmp/schedule.json)
+ * @param {(entry: object, when: Date) => void} opts.onDue
+ * @param {(msg: string) => void} [opts.log]
+ */
+export function createScheduler({ entries, stateFile, onDue, log = () => {}, intervalMs = 60_000 }) {
+  let lastRuns = {};
+  try { lastRuns = JSON.parse(readFileSync(stateFile, 'utf8')); } catch {}
+  const warned = new Set();
+  let timer = null;
+
+  function save() {
+    mkdirSync(join(stateFile, '..'), { recursive: true });
+    writeFileSync(stateFile + '.tmp', JSON.stringify(lastRuns, null, 2));
+    renameSync(stateFile + '.tmp', stateFile);
+  }
+
+  /** The page's last run: its newest generation or scheduled run, whichever is later. */
+  function lastRun(entry) {
+    const times = [entry.generatedAt, lastRuns[entry.fullName]].filter(Boolean).map(t => new Date(t).getTime());
+    return new Date(Math.max(0, ...times));
+  }
+
+  function check(now = new Date()) {
+    for (const entry of entries()) {
+      if (!entry.schedule) continue;
+      let schedule;
+      try {
+        schedule = parseSchedule(entry.schedule);
+      } catch (err) {
+        if (!warned.has(entry.fullName)) log(`⚠️  ${entry.fullName}: ${err.message} — not scheduled`);
+        warned.add(entry.fullName);
+        continue;
+      }
+      const due = nextRun(schedule, lastRun(entry));
+      if (!due || due > now) continue;
+      lastRuns[entry.fullName] = now.toISOString();
+      save();
+      onDue(entry, due);
+    }
+  }
+
+  /** Scheduled pages with their next run. */
+  function list() {
+    return entries().filter(e => e.schedule).map(entry => {
+      let next = null;
+      try { next = nextRun(entry.schedule, lastRun(entry))?.toISOString() ?? null; } catch {}
+      return { fullName: entry.fullName, schedule: entry.schedule, lastRun: lastRuns[entry.fullName] ?? null, nextRun: next };
+    });
+  }
+
+  function start() {
+    check();
+    timer = setInterval(() => check(), intervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    clearInterval(timer);
+  }
+
+  return { start, stop, check, list };
+}
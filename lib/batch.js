@@ -0,0 +1,89 @@
+/**
+ * lib/batch.js — Repo lists and bounded concurrency for batch runs
+ *
+ * generate.js takes repos from the command line, a list file (--from-file),
+ * the manifest (--from-manifest) or every repo a GitHub user owns
+ * (--from-user); lib/sources.js parses each one. Clones and LLM calls then
+ * run through separate limiters, so a large batch clones several repos while
+ * a few pages generate.
+ */
+
+import { readFileSync } from 'fs';
+import { parseRepoRef, hostToken } from './sources.js';
+import { listOwnerRepos } from './github.js';
+
+// ============================================================
+// Concurrency
+// ============================================================
+
+/**
+ * Limit how many async tasks run at once.
+ * @param {number} concurrency
+ * @returns {(fn: () => Promise<any>) => Promise<any>} run(fn) — resolves with fn's result once a slot frees up
+ */
+export function createLimiter(concurrency) {
+  let active = 0;
+  const waiting = [];
+
+  const next = () => {
+    if (active >= concurrency || !waiting.length) return;
+    active++;
+    const { fn, resolve, reject } = waiting.shift();
+    Promise.resolve().then(fn).then(resolve, reject).finally(() => { active--; next(); });
+  };
+
+  return (fn) => new Promise((resolve, reject) => {
+    waiting.push({ fn, resolve, reject });
+    next();
+  });
+}
+
+/** Parse a concurrency setting; null if it isn't a whole number from 1 to 32. */
+export function parseConcurrency(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 1 && n <= 32 ? n : null;
+}
+
+// ============================================================
+// Repo sources
+// ============================================================
+
+/**
+ * Read a repo list: one repo per line — owner/repo, a repo URL on any git
+ * host, or a local path (see lib/sources.js); blank lines and `#` comments
+ * are ignored. Throws listing the lines it couldn't parse.
+ */
+export function readRepoList(file) {
+  const repos = [];
+  const bad   = [];
+  readFileSync(file, 'utf8').split('\n').forEach((line, i) => {
+    const text = line.replace(/(^|\s)#.*$/, '').trim();
+    if (!text) return;
+    if (parseRepoRef(text)) repos.push(text);
+    else bad.push(`line ${i + 1}: "${text}"`);
+  });
+  if (bad.length) throw new Error(`${file}: not a repo — ${bad.slice(0, 5).join(', ')}${bad.length > 5 ? ', …' : ''}`);
+  return repos;
+}
+
+/**
+ * Public, non-fork, non-archived repos owned by a GitHub user or organisation,
+ * most recently pushed first. Uses the GitHub token when there is one (higher rate limit).
+ */
+export async function listUserRepos(user, { forks = false, archived = false } = {}) {
+  const { repos } = await listOwnerRepos(user, { token: await hostToken('github.com') });
+  return repos
+    .filter(r => !r.private && (forks || !r.fork) && (archived || !r.archived))
+    .map(r => r.full_name);
+}
+
+/** Drop repeats (repo names are case-insensitive), keeping the first spelling. */
+export function dedupeRepos(repos) {
+  const seen = new Set();
+  return repos.filter(name => {
+    const key = name.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
@@ -0,0 +1,190 @@
+/**
+ * lib/branding.js — Loads and validates config.js, derives the theme
+ *
+ * config.js exports plain values; everything is optional:
+ *   brandName       Site title (gallery + manager), named in the generation prompt
+ *   accentColor     #rgb / #rrggbb / rgb(r, g, b) — light and dark accent variables are derived from it
+ *   logoDark        Logo shown in dark mode (repo-relative path)
+ *   logoLight       Logo shown in light mode
+ *   githubUsername  Home user: the manager's default, and owners other than this get the "External" badge
+ *   attribution     Footer credit on generated pages and both apps
+ *   siteUrl         Public URL of the gallery, for canonical links, the sitemap and social cards
+ *                   (generate.js --build; SITE_URL overrides it)
+ *
+ * The gallery is static on GitHub Pages, so the public part of the branding is
+ * also written to config.json (see writePublicConfig); the manager reads
+ * GET /api/config. config.json is generated, never committed: the site build
+ * and exports write their own, and generate.js keeps the one in the repo root
+ * current for opening index.html locally.
+ */
+
+import { existsSync, readFileSync, writeFileSync, statSync } from 'fs';
+import { join } from 'path';
+import { pathToFileURL } from 'url';
+import { ROOT_DIR } from './manifest.js';
+
+const CONFIG_PATH        = join(ROOT_DIR, 'config.js');
+export const PUBLIC_CONFIG_PATH = join(ROOT_DIR, 'config.json');
+
+export const DEFAULT_BRANDING = {
+  brandName:      'Repository Explorer',
+  accentColor:    '#E06439',
+  logoDark:       'assets/logo-dark-mode.png',
+  logoLight:      'assets/logo-light-mode.png',
+  githubUsername: '',
+  attribution:    'Generated by Cerebras',
+  siteUrl:        '',
+};
+
+// Hand-tuned shades for the default accent; other accents are derived
+const DEFAULT_THEME = {
+  light: { 'accent-color': 'rgb(224,100,57)', 'accent-hover': 'rgb(200,85,45)', 'accent-subtle': 'rgba(224,100,57,0.1)', 'accent-rgb': '224,100,57' },
+  dark:  { 'accent-color': 'rgb(224,100,57)', 'accent-hover': 'rgb(240,115,70)', 'accent-subtle': 'rgba(224,100,57,0.15)', 'accent-rgb': '224,100,57' },
+};
+
+// ============================================================
+// Colors
+// ============================================================
+
+/** Parse #rgb, #rrggbb or rgb(r, g, b) into [r, g, b]; null if invalid. */
+export function parseColor(value) {
+  const v = String(value).trim();
+  let m = v.match(/^#([0-9a-f]{3})$/i);
+  if (m) return [...m[1]].map(c => parseInt(c + c, 16));
+  m = v.match(/^#([0-9a-f]{6})$/i);
+  if (m) return [0, 2, 4].map(i => parseInt(m[1].slice(i, i + 2), 16));
+  m = v.match(/^rgb\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*\)$/i);
+  if (m && m.slice(1).every(n => Number(n) <= 255)) return m.slice(1).map(Number);
+  return null;
+}
+
+function rgbToHsl([r, g, b]) {
+  r /= 255; g /= 255; b /= 255;
+  const max = Math.max(r, g, b), min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  if (max === min) return [0, 0, l];
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  const h = max === r ? (g - b) / d + (g < b ? 6 : 0) : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+  return [h / 6, s, l];
+}
+
+function hslToRgb([h, s, l]) {
+  if (!s) return [l, l, l].map(v => Math.round(v * 255));
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const hue = (t) => {
+    t = (t + 1) % 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+  return [hue(h + 1 / 3), hue(h), hue(h - 1 / 3)].map(v => Math.round(v * 255));
+}
+
+const shade = (rgb, dl) => {
+  const [h, s, l] = rgbToHsl(rgb);
+  return hslToRgb([h, s, Math.min(1, Math.max(0, l + dl))]);
+};
+
+/**
+ * Light and dark accent variables for an accent color. Hover darkens in light
+ * mode and lightens in dark mode; `accent-rgb` lets CSS build rgba() tints.
+ */
+export function deriveTheme(accentColor) {
+  const rgb = parseColor(accentColor);
+  const def = parseColor(DEFAULT_BRANDING.accentColor);
+  if (!rgb || rgb.every((c, i) => c === def[i])) return DEFAULT_THEME;
+
+  const css = (c) => `rgb(${c.join(',')})`;
+  const channels = rgb.join(',');
+  return {
+    light: { 'accent-color': css(rgb), 'accent-hover': css(shade(rgb, -0.07)), 'accent-subtle': `rgba(${channels},0.1)`,  'accent-rgb': channels },
+    dark:  { 'accent-color': css(rgb), 'accent-hover': css(shade(rgb, +0.07)), 'accent-subtle': `rgba(${channels},0.15)`, 'accent-rgb': channels },
+  };
+}
+
+/**
+ * Rewrite the accent declarations in design.css (`:root` and `[data-theme="dark"]`)
+ * with the derived theme. Variables the stylesheet doesn't declare are left out.
+ */
+export function applyTheme(designCSS, theme) {
+  const [light, ...rest] = designCSS.split('[data-theme="dark"]');
+  const swap = (css, vars) => Object.entries(vars)
+    .reduce((out, [name, value]) => out.replace(new RegExp(`--${name}:[^;}]+`), `--${name}:${value}`), css);
+  return [swap(light, theme.light), ...rest.map(part => swap(part, theme.dark))].join('[data-theme="dark"]');
+}
+
+// ============================================================
+// Loading + validation
+// ============================================================
+
+/** Validate raw config values; returns a list of problems (empty when valid). */
+export function validateBranding(config) {
+  const problems = [];
+  const known = new Set(Object.keys(DEFAULT_BRANDING));
+  for (const key of Object.keys(config)) {
+    if (!known.has(key)) problems.push(`unknown key "${key}" (expected one of: ${[...known].join(', ')})`);
+  }
+  for (const key of ['brandName', 'attribution', 'logoDark', 'logoLight', 'githubUsername', 'accentColor', 'siteUrl']) {
+    if (config[key] !== undefined && typeof config[key] !== 'string') problems.push(`${key} must be a string`);
+  }
+  if (typeof config.brandName === 'string' && !config.brandName.trim()) problems.push('brandName must not be empty');
+  if (typeof config.accentColor === 'string' && !parseColor(config.accentColor)) {
+    problems.push(`accentColor "${config.accentColor}" is not #rgb, #rrggbb or rgb(r, g, b)`);
+  }
+  if (typeof config.githubUsername === 'string' && config.githubUsername &&
+      !/^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i.test(config.githubUsername)) {
+    problems.push(`githubUsername "${config.githubUsername}" is not a valid GitHub username`);
+  }
+  if (typeof config.siteUrl === 'string' && config.siteUrl && !/^https?:\/\/[^\s/]+(\/\S*)?$/i.test(config.siteUrl)) {
+    problems.push(`siteUrl "${config.siteUrl}" is not an http(s) URL`);
+  }
+  for (const key of ['logoDark', 'logoLight']) {
+    const path = config[key];
+    if (typeof path !== 'string') continue;
+    if (/^[a-z]+:|^\/|\.\./i.test(path)) problems.push(`${key} must be a path inside the repo (got "${path}")`);
+    else if (!existsSync(join(ROOT_DIR, path))) problems.push(`${key} file not found: ${path}`);
+  }
+  return problems;
+}
+
+/**
+ * Load config.js (missing file → defaults). Throws an error with code
+ * 'INVALID_CONFIG' listing every problem.
+ * @returns {Promise<object>} branding with defaults applied, plus `theme` and `overrides` (keys set in config.js)
+ */
+export async function loadBranding() {
+  let config = {};
+  if (existsSync(CONFIG_PATH)) {
+    // Query string busts the module cache so a long-running server can reload
+    const mod = await import(`${pathToFileURL(CONFIG_PATH).href}?v=${statSync(CONFIG_PATH).mtimeMs}`);
+    config = mod.default ?? {};
+    if (typeof config !== 'object' || Array.isArray(config)) config = { __invalid: true };
+  }
+
+  const problems = config.__invalid ? ['config.js must `export default { … }`'] : validateBranding(config);
+  if (problems.length) {
+    const err = new Error(`Invalid config.js:\n  - ${problems.join('\n  - ')}`);
+    err.code = 'INVALID_CONFIG';
+    throw err;
+  }
+
+  const branding = { ...DEFAULT_BRANDING, ...config };
+  return { ...branding, theme: deriveTheme(branding.accentColor), overrides: Object.keys(config) };
+}
+
+/** The part of the branding the browser apps need. */
+export function publicBranding(branding) {
+  const { brandName, accentColor, logoDark, logoLight, githubUsername, attribution, theme, overrides } = branding;
+  return { brandName, accentColor, logoDark, logoLight, githubUsername, attribution, theme, overrides };
+}
+
+/** Write config.json for the static gallery (the repo root's by default); returns true if it changed. */
+export function writePublicConfig(branding, path = PUBLIC_CONFIG_PATH) {
+  const json = JSON.stringify(publicBranding(branding), null, 2) + '\n';
+  if (existsSync(path) && readFileSync(path, 'utf8') === json) return false;
+  writeFileSync(path, json);
+  return true;
+}
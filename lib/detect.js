@@ -0,0 +1,136 @@
+/**
+ * lib/detect.js — Scored, multi-label project type detection
+ *
+ * Every type collects weighted signals (dependencies, files, entry points,
+ * language mix). The highest score becomes the primary type; other types that
+ * score well become secondary tags, so an API with one example notebook is an
+ * `api` page with an `ml` aspect rather than a data-science page.
+ *
+ * detectTypes({ files, entryPoints, readText }) →
+ *   { primary, confidence, secondary: [{ type, confidence }], scores, signals }
+ */
+
+export const PROJECT_TYPES = ['ml', 'api', 'cli', 'frontend', 'library', 'infra', 'monorepo', 'generic'];
+
+const MIN_PRIMARY_SCORE   = 2;    // below this everything is `generic`
+const MIN_SECONDARY_SCORE = 2.5;
+const SECONDARY_RATIO     = 0.4;  // secondary must reach 40% of the primary score
+const MAX_SECONDARY       = 2;
+const FULL_CONFIDENCE     = 8;    // score at which confidence reaches 1.0
+
+const MANIFESTS = ['package.json', 'requirements.txt', 'Cargo.toml', 'pyproject.toml', 'go.mod',
+  'setup.py', 'setup.cfg', 'Gemfile', 'composer.json', 'environment.yml'];
+
+// Dependency names, matched as whole words in any manifest
+const DEPS = {
+  mlCore:   /\b(torch|pytorch|tensorflow|keras|scikit[-_]learn|sklearn|xgboost|lightgbm|transformers|jax|catboost|pytorch-lightning)\b/i,
+  mlData:   /\b(pandas|numpy|scipy|matplotlib|seaborn|polars)\b/i,
+  server:   /\b(fastapi|flask|express|fastify|django|gin-gonic|actix-web|axum|gofiber|hono|koa|@nestjs\/core|rails|sinatra|laravel|spring-boot)\b/i,
+  cli:      /\b(commander|yargs|clap|argparse|click|typer|cobra|oclif|urfave\/cli|thor)\b/i,
+  frontend: /["'](react|vue|svelte|next|nuxt|@angular\/core|solid-js|preact|astro)["']/i,
+};
+
+/**
+ * @param {object} input
+ * @param {{ path: string, language: string|null }[]} input.files  repo-relative files
+ * @param {{ kind: string, path: string }[]} [input.entryPoints]
+ * @param {(relPath: string, maxChars?: number) => string|null} input.readText
+ */
+export function detectTypes({ files, entryPoints = [], readText }) {
+  const scores  = Object.fromEntries(PROJECT_TYPES.map(t => [t, 0]));
+  const signals = Object.fromEntries(PROJECT_TYPES.map(t => [t, []]));
+  const add = (type, weight, reason) => { scores[type] += weight; signals[type].push(reason); };
+
+  const paths  = new Set(files.map(f => f.path));
+  const has    = (p) => paths.has(p);
+  const under  = (dir) => files.filter(f => f.path.startsWith(dir + '/'));
+  const byExt  = (ext) => files.filter(f => f.path.endsWith(ext));
+  const manifests = MANIFESTS.map(f => readText(f, 20_000)).filter(Boolean).join('\n');
+  const pkg = parseJSON(readText('package.json', 200_000));
+
+  // Share of code files per language family — how much of the repo is what
+  const codeFiles = files.filter(f => f.language && !['Markdown', 'JSON', 'YAML', 'TOML', 'XML', 'reStructuredText'].includes(f.language));
+  const share = (pred) => codeFiles.length ? codeFiles.filter(pred).length / codeFiles.length : 0;
+
+  // --- ML / data science ---
+  const notebooks = byExt('.ipynb').length;
+  if (notebooks) {
+    const nbShare = share(f => f.language === 'Jupyter Notebook');
+    // A single example notebook says little; a notebook-heavy repo says a lot
+    add('ml', nbShare >= 0.3 ? 4 : nbShare >= 0.1 ? 2 : 1, `${notebooks} notebook(s), ${Math.round(nbShare * 100)}% of code files`);
+  }
+  if (DEPS.mlCore.test(manifests)) add('ml', 4, 'ML framework dependency');
+  else if (DEPS.mlData.test(manifests)) add('ml', 1, 'data library dependency');
+  if (['train.py', 'src/train.py', 'model.py', 'src/model.py'].some(has)) add('ml', 1.5, 'training/model script');
+
+  // --- API server ---
+  if (DEPS.server.test(manifests)) add('api', 4, 'web framework dependency');
+  if (files.some(f => /(^|\/)(routes|controllers|handlers|endpoints)\//.test(f.path))) add('api', 1.5, 'routes/handlers directory');
+  if (files.some(f => /(^|\/)(openapi|swagger)\.(ya?ml|json)$/i.test(f.path))) add('api', 2, 'OpenAPI spec');
+
+  // --- CLI tool ---
+  const bins = entryPoints.filter(e => e.kind === 'bin');
+  if (bins.length) add('cli', 3, `declared executable(s): ${bins.map(e => e.name).slice(0, 3).join(', ')}`);
+  if (DEPS.cli.test(manifests)) add('cli', 3, 'argument-parser dependency');
+  if (under('bin').length && !bins.length) add('cli', 1.5, 'bin/ directory');
+
+  // --- Frontend ---
+  if (DEPS.frontend.test(manifests)) add('frontend', 4, 'UI framework dependency');
+  const uiShare = share(f => /\.(vue|svelte|tsx|jsx|astro)$/.test(f.path));
+  if (uiShare >= 0.2) add('frontend', 2, `${Math.round(uiShare * 100)}% component files`);
+  if (files.some(f => /(^|\/)(vite|next|nuxt|svelte|astro)\.config\.\w+$/.test(f.path))) add('frontend', 1.5, 'frontend build config');
+
+  // --- Library / SDK ---
+  if (pkg && (pkg.main || pkg.exports || pkg.module || pkg.types) && !pkg.private) add('library', 3, 'package.json exports a module');
+  if (has('src/lib.rs') || /^\[lib\]/m.test(readText('Cargo.toml', 20_000) || '')) add('library', 3, 'Rust library crate');
+  if ((has('pyproject.toml') || has('setup.py')) && !bins.length) add('library', 1.5, 'Python package without scripts');
+  if (has('go.mod') && !bins.length) add('library', 1.5, 'Go module without main package');
+
+  // --- Infrastructure ---
+  const tfFiles = byExt('.tf').length;
+  if (tfFiles) add('infra', 4, `${tfFiles} Terraform file(s)`);
+  if (files.some(f => /(^|\/)(Chart\.yaml|kustomization\.ya?ml)$/.test(f.path)) ||
+      under('k8s').length || under('kubernetes').length || under('helm').length) add('infra', 3, 'Kubernetes manifests');
+  if (files.some(f => /(^|\/)(playbook|site)\.ya?ml$/.test(f.path)) && under('roles').length) add('infra', 2, 'Ansible playbooks');
+  // Dockerfiles are everywhere; they only count when little else is there
+  if (has('Dockerfile') || has('docker-compose.yml') || has('docker-compose.yaml') || has('compose.yaml')) {
+    add('infra', 1, 'Dockerfile / compose file');
+  }
+  const opsShare = share(f => ['HCL', 'Dockerfile', 'Shell', 'Makefile'].includes(f.language));
+  if (opsShare >= 0.5) add('infra', 2, `${Math.round(opsShare * 100)}% infrastructure/shell files`);
+
+  // --- Monorepo ---
+  if (['lerna.json', 'turbo.json', 'pnpm-workspace.yaml', 'nx.json'].some(has)) add('monorepo', 4, 'workspace tool config');
+  if (pkg?.workspaces) add('monorepo', 4, 'package.json workspaces');
+  const workspaceDirs = ['packages', 'apps', 'crates', 'services'].flatMap(dir => {
+    const children = new Set(under(dir)
+      .filter(f => MANIFESTS.includes(f.path.split('/').pop()) && f.path.split('/').length === 3)
+      .map(f => f.path.split('/')[1]));
+    return [...children];
+  });
+  if (workspaceDirs.length >= 2) add('monorepo', 3, `${workspaceDirs.length} packages with their own manifest`);
+  if (/^\[workspace\]/m.test(readText('Cargo.toml', 20_000) || '')) add('monorepo', 4, 'Cargo workspace');
+
+  // --- Rank ---
+  const ranked = PROJECT_TYPES.filter(t => t !== 'generic')
+    .map(type => ({ type, score: scores[type] }))
+    .sort((a, b) => b.score - a.score);
+  const top = ranked[0];
+  const confidence = (score) => Math.round(Math.min(1, score / FULL_CONFIDENCE) * 100) / 100;
+
+  if (!top || top.score < MIN_PRIMARY_SCORE) {
+    return { primary: 'generic', confidence: 0, secondary: [], scores, signals };
+  }
+
+  const secondary = ranked.slice(1)
+    .filter(r => r.score >= MIN_SECONDARY_SCORE && r.score >= top.score * SECONDARY_RATIO)
+    .slice(0, MAX_SECONDARY)
+    .map(r => ({ type: r.type, confidence: confidence(r.score) }));
+
+  return { primary: top.type, confidence: confidence(top.score), secondary, scores, signals };
+}
+
+function parseJSON(text) {
+  if (!text) return null;
+  try { return JSON.parse(text); } catch { return null; }
+}
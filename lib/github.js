@@ -0,0 +1,168 @@
+/**
+ * lib/github.js — GitHub REST API repo listings, cached on disk
+ *
+ * Used by --from-user (lib/batch.js), the manager's repo browser
+ * (GET /api/github/repos in server.js) and generate.js, which records each
+ * repo's stars and topics in the manifest for the gallery. With a token (see hostToken in
+ * lib/sources.js):
+ *   - the token owner's own listing goes through /user/repos, which includes private repos
+ *   - an organisation's listing includes the private repos the token can see
+ * Without one, only public repos are listed (and the limit is 60 requests an hour).
+ *
+ * Every response is cached in tmp/github-cache/ with its ETag. Within
+ * GITHUB_CACHE_TTL seconds (default 60) a cached page is used as is; after
+ * that it's revalidated with If-None-Match, and a 304 doesn't count against
+ * the rate limit. If GitHub can't be reached or the limit is hit, the last
+ * cached copy is served and the result is marked `stale`.
+ *
+ * GITHUB_API_URL points it at GitHub Enterprise (https://github.example.com/api/v3).
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, renameSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { ROOT_DIR } from './manifest.js';
+
+const API       = (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+const CACHE_DIR = join(ROOT_DIR, 'tmp', 'github-cache');
+const CACHE_TTL = Math.max(0, Number(process.env.GITHUB_CACHE_TTL ?? 60)) * 1000;
+
+// ============================================================
+// Cache
+// ============================================================
+
+/** Cache file for a URL as seen with a token — listings differ by token, so tokens never share entries. */
+function cacheFile(url, token) {
+  const who = token ? createHash('sha256').update(token).digest('hex').slice(0, 16) : 'anonymous';
+  return join(CACHE_DIR, createHash('sha256').update(`${who}\n${url}`).digest('hex').slice(0, 32) + '.json');
+}
+
+function readCache(file) {
+  try { return JSON.parse(readFileSync(file, 'utf8')); } catch { return null; }
+}
+
+function writeCache(file, entry) {
+  mkdirSync(CACHE_DIR, { recursive: true });
+  writeFileSync(file + '.tmp', JSON.stringify(entry));
+  renameSync(file + '.tmp', file);
+}
+
+// ============================================================
+// Requests
+// ============================================================
+
+/**
+ * GET one GitHub API URL through the cache.
+ * @returns {Promise<{ data: any, next: string | null, stale: boolean, fetchedAt: number }>}
+ *   next   the following page's URL (Link: rel="next")
+ *   stale  served from the cache because GitHub couldn't be asked
+ * Throws a readable error (with `status`) for 404s, rate limits and other failures.
+ */
+async function githubGet(url, { token, notFound }) {
+  const file   = cacheFile(url, token);
+  const cached = readCache(file);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL) return { ...cached, stale: false };
+
+  const headers = { Accept: 'application/vnd.github+json', 'User-Agent': 'meta-repo-generator' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (cached?.etag) headers['If-None-Match'] = cached.etag;
+
+  let res;
+  try {
+    res = await fetch(url, { headers, signal: AbortSignal.timeout(30_000) });
+  } catch (err) {
+    if (cached) return { ...cached, stale: true };
+    throw Object.assign(new Error(`GitHub API unreachable: ${err.message}`), { status: 502 });
+  }
+
+  if (res.status === 304 && cached) {
+    const entry = { ...cached, fetchedAt: Date.now() };
+    writeCache(file, entry);
+    return { ...entry, stale: false };
+  }
+  if (res.status === 404 && notFound) throw Object.assign(new Error(notFound), { status: 404 });
+  if (!res.ok) {
+    const limited = (res.status === 403 || res.status === 429) && res.headers.get('x-ratelimit-remaining') === '0';
+    if (limited && cached) return { ...cached, stale: true };
+    const reset = Number(res.headers.get('x-ratelimit-reset')) * 1000;
+    throw Object.assign(new Error(limited
+      ? `GitHub API rate limit reached${reset ? ` until ${new Date(reset).toLocaleTimeString()}` : ''} — set GITHUB_TOKEN (or run \`gh auth login\`) to raise it`
+      : `GitHub API HTTP ${res.status}: ${(await res.text()).slice(0, 200)}`), { status: limited ? 429 : res.status });
+  }
+
+  const entry = {
+    url,
+    etag:      res.headers.get('etag'),
+    next:      res.headers.get('link')?.match(/<([^>]+)>;\s*rel="next"/)?.[1] || null,
+    data:      await res.json(),
+    fetchedAt: Date.now(),
+  };
+  writeCache(file, entry);
+  return { ...entry, stale: false };
+}
+
+// ============================================================
+// Listings
+// ============================================================
+
+/** The login a token belongs to, or null if there's no token or it doesn't work. */
+export async function tokenLogin(token) {
+  if (!token) return null;
+  try { return (await githubGet(`${API}/user`, { token })).data.login || null; } catch { return null; }
+}
+
+/**
+ * One repo's API object (stars, topics, description, …), or null if GitHub
+ * can't be asked or doesn't show it to this token.
+ */
+export async function getRepo(fullName, { token = null } = {}) {
+  const [owner, repo] = fullName.split('/');
+  try {
+    return (await githubGet(`${API}/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`, { token, notFound: `${fullName} not found` })).data;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Every repo a GitHub user or organisation owns (raw API objects), across all
+ * pages, most recently pushed first.
+ * @returns {Promise<{ owner: string, ownerType: 'User' | 'Organization', includesPrivate: boolean,
+ *                     repos: object[], stale: boolean, fetchedAt: number }>}
+ *   includesPrivate  whether private repos could be listed (the token's own account, or an org with a token)
+ *   fetchedAt        when the oldest page in the result was fetched from GitHub
+ */
+export async function listOwnerRepos(owner, { token = null } = {}) {
+  const login = await tokenLogin(token);
+  const own   = Boolean(login) && login.toLowerCase() === owner.toLowerCase();
+  let ownerType = 'User';
+  let url;
+  if (own) {
+    owner = login;
+    url   = `${API}/user/repos?affiliation=owner&sort=pushed&per_page=100`;
+  } else {
+    const { data } = await githubGet(`${API}/users/${encodeURIComponent(owner)}`, { token, notFound: `GitHub user or organisation "${owner}" not found` });
+    ownerType = data.type === 'Organization' ? 'Organization' : 'User';
+    owner     = data.login || owner;
+    url = ownerType === 'Organization'
+      ? `${API}/orgs/${encodeURIComponent(owner)}/repos?type=all&sort=pushed&per_page=100`
+      : `${API}/users/${encodeURIComponent(owner)}/repos?type=owner&sort=pushed&per_page=100`;
+  }
+
+  const result = {
+    owner,
+    ownerType,
+    includesPrivate: own || (Boolean(login) && ownerType === 'Organization'),
+    repos: [],
+    stale: false,
+    fetchedAt: Date.now(),
+  };
+  while (url) {
+    const page = await githubGet(url, { token, notFound: `GitHub user or organisation "${owner}" not found` });
+    result.repos.push(...page.data);
+    result.stale   ||= page.stale;
+    result.fetchedAt = Math.min(result.fetchedAt, page.fetchedAt);
+    url = page.next;
+  }
+  return result;
+}
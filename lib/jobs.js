@@ -0,0 +1,354 @@
+/**
+ * lib/jobs.js — Persistent generation job queue
+ *
+ * Jobs are saved to a JSON file (tmp/jobs.json) so history survives restarts.
+ * At most `concurrency` generate.js workers run at once, and a job waits while
+ * any of its repos is being generated by another job (per-repo lock).
+ *
+ * Lifecycle: queued → running → success | error | cancelled
+ * Jobs that were running when the server stopped are marked `error` on load;
+ * jobs that were still queued are picked up again.
+ *
+ * Workers run `generate.js --json`; its events become typed state instead of
+ * scraped log text:
+ *   job.repoState[repo]  { outcome, phase, status, type, secondaryTypes, template, tokens, tps,
+ *                          repaired, score, candidates, edits, path, url, bytes, version, reason, error, commit, updatedAt }
+ *                        outcome: pending → running → generated | skipped | failed | cancelled
+ *                        (a --refine --draft run ends `skipped`: the write phase is skipped;
+ *                        --set and --delete runs end `updated` / `deleted`)
+ *   job.result           the run's `summary` event
+ *   job.error            { code, message } when the run couldn't start
+ */
+
+import { spawn } from 'child_process';
+import { readFileSync, writeFileSync, renameSync, mkdirSync, existsSync } from 'fs';
+import { dirname } from 'path';
+import crypto from 'crypto';
+
+const FINISHED = new Set(['success', 'error', 'cancelled']);
+
+// Phase event details copied into a repo's state
+const STATE_DETAILS = ['type', 'typeConfidence', 'secondaryTypes', 'template', 'tokens', 'tps', 'repaired',
+  'score', 'candidates', 'edits', 'path', 'url', 'bytes', 'version', 'reason', 'error'];
+
+/**
+ * @param {object} opts
+ * @param {string} opts.file          JSON file the queue persists to
+ * @param {string} opts.script        generate.js path
+ * @param {string} opts.cwd           working directory for workers
+ * @param {number} [opts.concurrency] max workers running at once
+ * @param {number} [opts.historyLimit] finished jobs kept on disk
+ */
+export function createJobQueue({ file, script, cwd, concurrency = 1, historyLimit = 200 }) {
+  const jobs = new Map();        // id → job
+  const activeRepos = new Set(); // repos held by running jobs
+  let saveTimer = null;
+
+  // ============================================================
+  // Persistence
+  // ============================================================
+  function load() {
+    if (!existsSync(file)) return;
+    let saved;
+    try { saved = JSON.parse(readFileSync(file, 'utf8')).jobs || []; }
+    catch { return; }
+    for (const data of saved) {
+      const job = { repoState: {}, result: null, error: null, ...data, progress: {}, listeners: new Set(), child: null };
+      for (const [repo, p] of Object.entries(data.progress || {})) job.progress[repo] = { ...p, html: '' };
+      jobs.set(job.id, job);
+      if (job.status === 'running') {
+        job.status     = 'error';
+        job.finishedAt = Date.now();
+        job.durationMs = job.finishedAt - job.startedAt;
+        job.logs.push({ type: 'error', message: 'Interrupted: the server stopped while this job was running', ts: job.finishedAt });
+        settleRepos(job, 'failed');
+      }
+    }
+    persistNow();
+  }
+
+  function toJSON(job) {
+    const { listeners, child, progress, ...rest } = job;
+    return {
+      ...rest,
+      progress: Object.fromEntries(
+        Object.entries(progress).map(([repo, p]) => [repo, { tokens: p.tokens, tps: p.tps }])
+      ),
+    };
+  }
+
+  function persistNow() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+
+    // Trim history: drop the oldest finished jobs beyond the limit
+    const finished = [...jobs.values()].filter(j => FINISHED.has(j.status))
+      .sort((a, b) => a.createdAt - b.createdAt);
+    finished.slice(0, Math.max(0, finished.length - historyLimit)).forEach(j => jobs.delete(j.id));
+
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file + '.tmp', JSON.stringify({ jobs: [...jobs.values()].map(toJSON) }, null, 2));
+    renameSync(file + '.tmp', file);
+  }
+
+  /** Coalesce bursts of log lines into one write. */
+  function save() {
+    if (!saveTimer) saveTimer = setTimeout(persistNow, 250);
+  }
+
+  // ============================================================
+  // Job state + SSE fan-out
+  // ============================================================
+  function broadcast(job, event, data) {
+    const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of job.listeners) res.write(payload);
+  }
+
+  function pushLog(job, type, message, repo = null) {
+    const entry = { type, message, ts: Date.now(), ...(repo && { repo }) };
+    job.logs.push(entry);
+    broadcast(job, 'log', entry);
+    save();
+  }
+
+  /** Apply one `generate.js --json` event; lines that aren't events are kept as plain log output. */
+  function applyEvent(job, line) {
+    let event;
+    try { event = JSON.parse(line); } catch { event = null; }
+    if (!event?.event) return pushLog(job, 'stdout', line);
+
+    switch (event.event) {
+      case 'log':      return pushLog(job, 'stdout', event.message, event.repo);
+      case 'progress': return applyProgress(job, event);
+      case 'phase':    return applyPhase(job, event);
+      case 'summary': {
+        const { event: _, ts, ...result } = event;
+        job.result = result;
+        broadcast(job, 'summary', result);
+        return save();
+      }
+      case 'error':
+        job.error = { code: event.code, message: event.message };
+        return save();
+    }
+  }
+
+  /** Stream chunk of a page being generated. */
+  function applyProgress(job, p) {
+    const state = job.progress[p.repo] ||= { tokens: 0, tps: 0, html: '' };
+    if (p.reset) state.html = '';
+    state.html  += p.delta || '';
+    state.tokens = p.tokens;
+    state.tps    = p.tps;
+    broadcast(job, 'progress', { repo: p.repo, tokens: p.tokens, tps: p.tps, delta: p.delta || '', reset: Boolean(p.reset) });
+  }
+
+  /** A repo entered or left a phase; `commit` events carry the batch's repos instead of one. */
+  function applyPhase(job, e) {
+    for (const repo of e.repo ? [e.repo] : e.repos || []) {
+      const state = job.repoState[repo] ||= { outcome: 'pending' };
+      state.updatedAt = e.ts;
+      if (e.phase === 'commit') {
+        state.commit = e.status;
+      } else {
+        state.phase  = e.phase;
+        state.status = e.status;
+        for (const key of STATE_DETAILS) if (e[key] !== undefined) state[key] = e[key];
+        state.outcome = e.status === 'failed' ? 'failed'
+          : (e.phase === 'generate' || e.phase === 'write') && e.status === 'skipped' ? 'skipped'
+          : e.phase === 'write' && e.status === 'done' ? ({ updated: 'updated', deleted: 'deleted' }[e.reason] || 'generated')
+          : 'running';
+      }
+      broadcast(job, 'repo', { repo, ...state });
+    }
+    save();
+  }
+
+  /** Repos still pending or running when the job ends didn't get a page. */
+  function settleRepos(job, outcome) {
+    for (const state of Object.values(job.repoState || {})) {
+      if (state.outcome === 'pending' || state.outcome === 'running') state.outcome = outcome;
+    }
+  }
+
+  function finish(job, status, message, { exitCode = null, signal = null } = {}) {
+    job.status     = status;
+    job.finishedAt = Date.now();
+    job.durationMs = job.startedAt ? job.finishedAt - job.startedAt : 0;
+    job.exitCode   = exitCode;
+    job.signal     = signal;
+    settleRepos(job, status === 'cancelled' ? 'cancelled' : 'failed');
+    for (const [repo, state] of Object.entries(job.repoState)) broadcast(job, 'repo', { repo, ...state });
+    pushLog(job, status, message);
+    broadcast(job, 'status', { status, finishedAt: job.finishedAt, exitCode });
+    for (const res of job.listeners) res.end();
+    job.listeners.clear();
+    persistNow();
+  }
+
+  // ============================================================
+  // Scheduling
+  // ============================================================
+  const running = () => [...jobs.values()].filter(j => j.status === 'running').length;
+  const isBlocked = (job) => job.repos.some(r => activeRepos.has(r.toLowerCase()));
+
+  /** Start queued jobs (oldest first) while workers and repo locks allow. */
+  function pump() {
+    const queued = [...jobs.values()].filter(j => j.status === 'queued')
+      .sort((a, b) => a.createdAt - b.createdAt);
+    for (const job of queued) {
+      if (running() >= concurrency) break;
+      if (!isBlocked(job)) start(job);
+    }
+  }
+
+  function start(job) {
+    job.status    = 'running';
+    job.startedAt = Date.now();
+    job.repos.forEach(r => activeRepos.add(r.toLowerCase()));
+    broadcast(job, 'status', { status: 'running' });
+
+    const child = spawn(process.execPath, [script, '--json', '--progress', ...job.args, ...(job.sources || job.repos)], {
+      cwd,
+      env: { ...process.env },
+    });
+    job.child = child;
+    job.pid   = child.pid;
+    persistNow();
+
+    onLines(child.stdout, (line) => applyEvent(job, line));
+    onLines(child.stderr, (line) => pushLog(job, 'stderr', line));
+
+    const release = () => {
+      job.child = null;
+      job.repos.forEach(r => activeRepos.delete(r.toLowerCase()));
+      pump();
+    };
+
+    child.on('close', (code, signal) => {
+      if (FINISHED.has(job.status)) return release();
+      if (job.cancelRequested) {
+        finish(job, 'cancelled', 'Generation cancelled', { exitCode: code, signal });
+      } else if (code === 0) {
+        finish(job, 'success', 'Generation completed successfully!', { exitCode: code, signal });
+      } else {
+        finish(job, 'error', `Generation failed (exit code ${code}, signal ${signal})`, { exitCode: code, signal });
+      }
+      release();
+    });
+
+    child.on('error', (err) => {
+      finish(job, 'error', `Failed to start: ${err.message}`);
+      release();
+    });
+  }
+
+  // ============================================================
+  // Public API
+  // ============================================================
+  /**
+   * @param {string[]} repos   page names (owner/repo) — locks and repoState are keyed by these
+   * @param {object}   [opts]
+   * @param {string[]} [opts.args]    extra generate.js flags
+   * @param {string[]} [opts.sources] what to pass generate.js instead of `repos` (URLs, local paths)
+   * @param {object}   [opts.trigger] what queued it when nobody clicked: { kind: 'webhook' | 'schedule', reasons }
+   */
+  function enqueue(repos, { args = [], sources = null, trigger = null } = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      repos,
+      sources,
+      args,
+      trigger,
+      status: 'queued',
+      logs: [],
+      progress: {},         // repo → { tokens, tps, html } while streaming
+      repoState: Object.fromEntries(repos.map(r => [r, { outcome: 'pending' }])),
+      result: null,         // summary event from generate.js
+      error: null,          // { code, message } if the run couldn't start
+      listeners: new Set(), // open SSE responses
+      child: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      durationMs: null,
+      exitCode: null,
+      signal: null,
+    };
+    jobs.set(job.id, job);
+
+    const ahead = running() + [...jobs.values()].filter(j => j.status === 'queued' && j !== job).length;
+    if (ahead) pushLog(job, 'info', `Queued — ${ahead} job(s) ahead or holding the same repos`);
+    persistNow();
+    pump();
+    return job;
+  }
+
+  /** Cancel a queued job, or kill a running job's generate.js process. */
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job || FINISHED.has(job.status)) return job || null;
+    if (job.status === 'queued') {
+      finish(job, 'cancelled', 'Cancelled before it started');
+    } else {
+      job.cancelRequested = true;
+      pushLog(job, 'info', 'Cancelling…');
+      job.child?.kill('SIGTERM');
+    }
+    return job;
+  }
+
+  function summary(job) {
+    return {
+      id: job.id,
+      repos: job.repos,
+      status: job.status,
+      trigger: job.trigger ?? null,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      durationMs: job.durationMs ?? (job.startedAt ? Date.now() - job.startedAt : null),
+      exitCode: job.exitCode,
+      signal: job.signal,
+      repoState: job.repoState,
+      result: job.result,
+      error: job.error,
+    };
+  }
+
+  function list() {
+    return [...jobs.values()].sort((a, b) => b.createdAt - a.createdAt).map(summary);
+  }
+
+  /** Stop workers on shutdown; their jobs are marked interrupted on next load. */
+  function shutdown() {
+    if (saveTimer) persistNow();
+    for (const job of jobs.values()) job.child?.kill('SIGTERM');
+  }
+
+  load();
+  pump();
+
+  /** True if a job that hasn't started yet will generate `repo` (case-insensitive, like the repo locks). */
+  function isQueued(repo) {
+    const key = repo.toLowerCase();
+    return [...jobs.values()].some(j => j.status === 'queued' && j.repos.some(r => r.toLowerCase() === key));
+  }
+
+  return { enqueue, cancel, get: (id) => jobs.get(id), list, summary, isQueued, shutdown, concurrency };
+}
+
+/** Split a child stream into whole lines (chunks may end mid-line). */
+function onLines(stream, handler) {
+  let buffer = '';
+  stream.on('data', (data) => {
+    buffer += data.toString();
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.filter(l => l.trim()).forEach(handler);
+  });
+  stream.on('end', () => {
+    if (buffer.trim()) handler(buffer);
+    buffer = '';
+  });
+}
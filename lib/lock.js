@@ -0,0 +1,57 @@
+/**
+ * lib/lock.js — Cross-process file locks
+ *
+ * Several generate.js processes can run at once (server workers, the CLI,
+ * regen-all.sh). Anything that read-modify-writes shared state — the manifest,
+ * the git index — runs inside withFileLock() so only one process touches it.
+ */
+
+import { openSync, writeSync, closeSync, readFileSync, statSync, unlinkSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/** True if the lock's owner is gone or the lock is older than staleMs. */
+function isStale(lockPath, staleMs) {
+  try {
+    const pid = parseInt(readFileSync(lockPath, 'utf8'), 10);
+    if (pid) {
+      try { process.kill(pid, 0); } catch (err) { if (err.code === 'ESRCH') return true; }
+    }
+    return Date.now() - statSync(lockPath).mtimeMs > staleMs;
+  } catch {
+    return false; // vanished between checks — just retry
+  }
+}
+
+/**
+ * Run fn while holding an exclusive lock file (created with O_EXCL).
+ * Waits up to timeoutMs; locks whose owner died or older than staleMs are broken.
+ */
+export async function withFileLock(lockPath, fn, { timeoutMs = 120_000, staleMs = 10 * 60_000 } = {}) {
+  mkdirSync(dirname(lockPath), { recursive: true });
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    try {
+      const fd = openSync(lockPath, 'wx');
+      writeSync(fd, String(process.pid));
+      closeSync(fd);
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      if (isStale(lockPath, staleMs)) {
+        try { unlinkSync(lockPath); } catch {}
+        continue;
+      }
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for lock ${lockPath}`);
+      await sleep(100);
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    try { unlinkSync(lockPath); } catch {}
+  }
+}
@@ -0,0 +1,323 @@
+/**
+ * lib/manifest.js — repos/manifest.json and the generated-page layout
+ *
+ * Pages live at repos/<owner>/<repo>/index.html so repos with the same name
+ * under different owners never collide. Entries are keyed by fullName
+ * (case-insensitive, like GitHub).
+ *
+ * Older trees wrote repos/<repo>/index.html; migrateLayout() moves those pages,
+ * rewrites their manifest entries and leaves a redirect stub at the old URL.
+ *
+ * The manifest carries a `schemaVersion`; older ones are upgraded as they're
+ * read (see Schema). Gallery curation — hidden, pinned, order, a custom title,
+ * description and tags — lives in each entry's `curation`, apart from the
+ * fields generation rewrites.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync, renameSync, rmSync, readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { withFileLock } from './lock.js';
+
+export const ROOT_DIR  = join(dirname(fileURLToPath(import.meta.url)), '..');
+export const REPOS_DIR = join(ROOT_DIR, 'repos');
+const MANIFEST_PATH    = join(REPOS_DIR, 'manifest.json');
+const LOCK_PATH        = join(ROOT_DIR, 'tmp', 'manifest.lock');
+
+/** Link from a generated page back to the gallery (repos/<owner>/<repo>/ → root). */
+export const BACK_LINK = '../../../index.html';
+
+// ============================================================
+// Paths
+// ============================================================
+
+/** Repo-relative locations of a page (as stored in the manifest). */
+export function pagePaths(owner, repo) {
+  return {
+    dir:  `repos/${owner}/${repo}`,
+    path: `repos/${owner}/${repo}/index.html`,
+    url:  `repos/${owner}/${repo}/`,
+  };
+}
+
+export const sameRepo = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// ============================================================
+// Schema
+// ============================================================
+
+/**
+ * Current manifest schema. readManifest() runs the migrations above a
+ * manifest's `schemaVersion` (none means 1) in order, and the next write saves
+ * the result. A manifest from a newer checkout is read as is but never
+ * written, so fields this one doesn't know about aren't dropped.
+ *   1  unversioned: `generated` entries
+ *   2  `curation` per entry (hidden, pinned, order, title, description, tags)
+ *   3  `display` per entry: what the gallery shows, rewritten on every save (displayFields)
+ */
+export const MANIFEST_SCHEMA = 3;
+
+const MIGRATIONS = {
+  // Curation fields added to an entry by hand move under `curation`
+  2: (manifest) => {
+    for (const e of manifest.generated) {
+      for (const key of ['hidden', 'pinned', 'order', 'title']) {
+        if (!(key in e)) continue;
+        e.curation = { ...e.curation, [key]: e[key] };
+        delete e[key];
+      }
+    }
+  },
+};
+
+/** Upgrade a parsed manifest in place to MANIFEST_SCHEMA; returns the version it had. */
+export function migrateManifest(manifest) {
+  const from = manifest.schemaVersion ?? 1;
+  manifest.generated ||= [];
+  for (let v = from + 1; v <= MANIFEST_SCHEMA; v++) MIGRATIONS[v]?.(manifest);
+  manifest.schemaVersion = Math.max(from, MANIFEST_SCHEMA);
+  return from;
+}
+
+/** The schemaVersion repos/manifest.json has on disk (1 when unversioned or missing). */
+export function storedSchemaVersion() {
+  try { return JSON.parse(readFileSync(MANIFEST_PATH, 'utf8')).schemaVersion ?? 1; }
+  catch { return 1; }
+}
+
+// ============================================================
+// Read / write
+// ============================================================
+export function readManifest() {
+  let manifest;
+  try { manifest = JSON.parse(readFileSync(MANIFEST_PATH, 'utf8')); }
+  catch { manifest = { generated: [] }; }
+  migrateManifest(manifest);
+  return manifest;
+}
+
+export function writeManifest(manifest) {
+  if (manifest.schemaVersion > MANIFEST_SCHEMA) {
+    throw new Error(`repos/manifest.json uses schema v${manifest.schemaVersion}, newer than this checkout (v${MANIFEST_SCHEMA}) — update it before writing`);
+  }
+  const { schemaVersion, ...rest } = manifest;
+  manifest = { schemaVersion: schemaVersion ?? MANIFEST_SCHEMA, ...rest }; // version first, for people reading the file
+  // The static gallery reads `display` as is, so it never has to know how curation applies
+  manifest.generated = (manifest.generated || []).map(e => ({ ...e, display: displayFields(e) }));
+  mkdirSync(REPOS_DIR, { recursive: true });
+  writeFileSync(MANIFEST_PATH + '.tmp', JSON.stringify(manifest, null, 2));
+  renameSync(MANIFEST_PATH + '.tmp', MANIFEST_PATH); // atomic — readers never see a half-written file
+}
+
+/**
+ * Read-modify-write the manifest under a cross-process lock, so concurrent
+ * generate.js runs merge their entries instead of overwriting each other's.
+ */
+export async function updateManifest(mutate) {
+  return withFileLock(LOCK_PATH, () => {
+    const manifest = readManifest();
+    mutate(manifest);
+    writeManifest(manifest);
+    return manifest;
+  });
+}
+
+export function findManifestEntry(manifest, fullName) {
+  return manifest.generated.find(e => sameRepo(e.fullName, fullName)) || null;
+}
+
+/** Insert or update an entry; fields the new entry doesn't set (e.g. legacyUrl) are kept. */
+export function upsertManifestEntry(manifest, entry) {
+  const idx = manifest.generated.findIndex(e => sameRepo(e.fullName, entry.fullName));
+  if (idx >= 0) manifest.generated[idx] = { ...manifest.generated[idx], ...entry };
+  else manifest.generated.push(entry);
+}
+
+// ============================================================
+// Curation (--set field=value, PATCH /api/pages/:owner/:repo)
+// ============================================================
+
+export const CURATION_FIELDS = ['hidden', 'pinned', 'order', 'title', 'description', 'tags'];
+const MAX_TITLE       = 80;
+const MAX_DESCRIPTION = 300;
+const MAX_TAGS        = 10;
+const TAG             = /^[\w][\w .+#-]{0,29}$/;
+
+/**
+ * Validate curation changes. A null (or empty) value clears the field, which
+ * falls back to the generated one. Throws with a readable message.
+ * @param {{ hidden?: boolean, pinned?: boolean, order?: number, title?: string,
+ *           description?: string, tags?: string[] }} patch
+ * @returns {object} the changes, normalized (trimmed, de-duplicated tags; null to clear)
+ */
+export function normalizeCuration(patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) throw new Error('expected an object of curation fields');
+  const changes = {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (!CURATION_FIELDS.includes(key)) throw new Error(`unknown field "${key}" (${CURATION_FIELDS.join(', ')})`);
+    if (value === null || value === '') { changes[key] = null; continue; }
+
+    if (key === 'hidden' || key === 'pinned') {
+      if (typeof value !== 'boolean') throw new Error(`${key} must be true or false`);
+      changes[key] = value || null;
+    } else if (key === 'order') {
+      if (!Number.isInteger(value) || Math.abs(value) > 9999) throw new Error('order must be a whole number from -9999 to 9999');
+      changes[key] = value;
+    } else if (key === 'title' || key === 'description') {
+      const max  = key === 'title' ? MAX_TITLE : MAX_DESCRIPTION;
+      const text = typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : null;
+      if (text === null || text.length > max) throw new Error(`${key} must be text of up to ${max} characters`);
+      changes[key] = text || null;
+    } else {
+      if (!Array.isArray(value) || !value.every(t => typeof t === 'string')) throw new Error('tags must be a list of words');
+      const tags = [...new Set(value.map(t => t.trim().toLowerCase()).filter(Boolean))];
+      const bad  = tags.find(t => !TAG.test(t));
+      if (bad) throw new Error(`tag "${bad}" must be up to 30 letters, digits, spaces or . + # - _`);
+      if (tags.length > MAX_TAGS) throw new Error(`at most ${MAX_TAGS} tags`);
+      changes[key] = tags.length ? tags : null;
+    }
+  }
+  return changes;
+}
+
+/** An entry's `curation` after `changes` (cleared fields removed; undefined when nothing is left). */
+export function applyCuration(entry, changes) {
+  const curation = Object.fromEntries(Object.entries({ ...entry.curation, ...changes }).filter(([, v]) => v !== null));
+  return Object.keys(curation).length ? curation : undefined;
+}
+
+/** What the gallery shows for an entry: curation over generated fields. Saved as the entry's `display`. */
+export function displayFields(e) {
+  const c = e.curation || {};
+  return {
+    title:       c.title || e.repo,
+    description: c.description ?? e.description ?? null,
+    tags:        c.tags ?? e.tags ?? [],
+    hidden:      Boolean(c.hidden),
+    pinned:      Boolean(c.pinned),
+    order:       c.order ?? null,
+  };
+}
+
+/** An entry as the site build and the manager show it, with its display fields on top. */
+export function displayEntry(e) {
+  return { ...e, ...displayFields(e) };
+}
+
+/**
+ * Delete a page's files: its directory (versions included), its owner
+ * directory when that's left empty, and the redirect stub at its legacy URL.
+ * A legacy directory can also be an owner's (repos/foo/foo/), so only an
+ * unchanged stub is removed there. Returns the removed paths.
+ */
+export function removePageFiles(entry) {
+  const removed = [];
+  const { dir } = pagePaths(entry.owner, entry.repo);
+  if (existsSync(join(ROOT_DIR, dir))) {
+    rmSync(join(ROOT_DIR, dir), { recursive: true, force: true });
+    removed.push(`${dir}/`);
+  }
+  if (entry.legacyUrl) {
+    const stub = join(ROOT_DIR, entry.legacyUrl, 'index.html');
+    if (existsSync(stub) && readFileSync(stub, 'utf8') === redirectStub(entry.owner, entry.repo)) {
+      rmSync(stub);
+      removed.push(`${entry.legacyUrl}index.html`);
+    }
+  }
+  for (const parent of [join(REPOS_DIR, entry.owner), entry.legacyUrl && join(ROOT_DIR, entry.legacyUrl)].filter(Boolean)) {
+    if (existsSync(parent) && !readdirSync(parent).length) rmSync(parent, { recursive: true });
+  }
+  return removed;
+}
+
+// ============================================================
+// Legacy layout migration (repos/<repo>/ → repos/<owner>/<repo>/)
+// ============================================================
+const isLegacyEntry = (e) => e.path === `repos/${e.repo}/index.html`;
+
+/** Entries still on the old repos/<repo>/ layout. */
+export function legacyEntries(manifest) {
+  return manifest.generated.filter(isLegacyEntry);
+}
+
+/** Small page that forwards an old shared URL to the page's new home. */
+export function redirectStub(owner, repo) {
+  const target = `../${owner}/${repo}/`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${owner}/${repo} — moved</title>
+<meta http-equiv="refresh" content="0; url=${target}">
+<link rel="canonical" href="${target}">
+<script>location.replace(${JSON.stringify(target)} + location.hash);</script>
+</head>
+<body>
+<p>This page moved to <a href="${target}">${owner}/${repo}</a>.</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Move legacy pages under their owner, rewrite the manifest and leave redirect
+ * stubs. When several owners shared one legacy directory, only the most
+ * recently generated page survived on disk — the other entries are dropped and
+ * reported so they can be regenerated.
+ *
+ * @param {{ dryRun?: boolean, log?: (msg: string) => void }} [opts]
+ * @returns {Promise<{ moved: string[], dropped: string[] }>}
+ */
+export async function migrateLayout({ dryRun = false, log = () => {} } = {}) {
+  const moved = [];
+  const dropped = [];
+
+  await withFileLock(LOCK_PATH, () => {
+    const manifest = readManifest();
+    const byDir = new Map();
+    for (const e of legacyEntries(manifest)) {
+      const list = byDir.get(e.repo) || [];
+      list.push(e);
+      byDir.set(e.repo, list);
+    }
+
+    for (const [legacyRepo, entries] of byDir) {
+      entries.sort((a, b) => String(b.generatedAt).localeCompare(String(a.generatedAt)));
+      const [owner, ...losers] = entries;
+      const legacyDir = join(REPOS_DIR, legacyRepo);
+      const next = pagePaths(owner.owner, owner.repo);
+      const newDir = join(ROOT_DIR, next.dir);
+
+      if (!existsSync(join(legacyDir, 'index.html'))) {
+        log(`  ⚠  ${owner.fullName}: repos/${legacyRepo}/index.html is missing — skipped`);
+        continue;
+      }
+
+      log(`  →  repos/${legacyRepo}/ → ${next.url}${dryRun ? '  (dry run)' : ''}`);
+      if (!dryRun) {
+        // Only index.html moves: repos/<name>/ may also be an owner directory (repos/foo/foo/)
+        mkdirSync(newDir, { recursive: true });
+        const page = join(newDir, 'index.html');
+        renameSync(join(legacyDir, 'index.html'), page);
+        // One level deeper now — fix the gallery back link
+        writeFileSync(page, readFileSync(page, 'utf8').replaceAll('href="../../index.html"', `href="${BACK_LINK}"`));
+        writeFileSync(join(legacyDir, 'index.html'), redirectStub(owner.owner, owner.repo));
+
+        Object.assign(owner, { path: next.path, url: next.url, legacyUrl: `repos/${legacyRepo}/` });
+      }
+      moved.push(owner.fullName);
+
+      for (const loser of losers) {
+        log(`  ✗  ${loser.fullName}: page was overwritten by ${owner.fullName} — entry dropped, regenerate it`);
+        dropped.push(loser.fullName);
+      }
+    }
+
+    if (!dryRun) {
+      manifest.generated = manifest.generated.filter(e => !dropped.includes(e.fullName));
+      writeManifest(manifest);
+    }
+  });
+
+  return { moved, dropped };
+}
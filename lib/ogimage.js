@@ -0,0 +1,202 @@
+/**
+ * lib/ogimage.js — Social preview cards and the favicon, rendered offline as PNG
+ *
+ * Link previews (Slack, X, LinkedIn, …) need a raster og:image, and the build
+ * runs without a browser or native image libraries. So this draws onto a plain
+ * RGB buffer with a built-in 5×7 bitmap font (printable ASCII; other characters
+ * are folded to ASCII or dropped) and encodes it with zlib.
+ */
+
+import { deflateSync } from 'zlib';
+import { parseColor } from './branding.js';
+
+export const CARD_WIDTH  = 1200;
+export const CARD_HEIGHT = 630;
+
+// ============================================================
+// Font — 5×7 glyphs for ASCII 32–126, seven rows of five bits each
+// ============================================================
+const FONT = [
+  '00000000000000040404040400040a0a00000000000a0a1f0a1f0a0a040f140e051e04181902040813030c12140815120d04040000000000',
+  '02040808080402080402020204080004150e1504000004041f040400000000000c04080000001f00000000000000000c0c00010204081000',
+  '0e11131519110e040c040404040e0e11010204081f1f02040201110e02060a121f02021f101e0101110e0608101e11110e1f010204080808',
+  '0e11110e11110e0e11110f01020c000c0c000c0c00000c0c000c04080204081008040200001f001f0000080402010204080e110102040004',
+  '0e11010d15150e0e11111f1111111e11111e11111e0e11101010110e1c12111111121c1f10101e10101f1f10101e1010100e11101711110f',
+  '1111111f1111110e04040404040e0702020202120c111214181412111010101010101f111b1515111111111119151311110e11111111110e',
+  '1e11111e1010100e11111115120d1e11111e1412110f10100e01011e1f0404040404041111111111110e11111111110a041111111515150a',
+  '11110a040a111111110a040404041f01020408101f0e08080808080e001008040201000e02020202020e040a11000000000000000000001f',
+  '0804000000000000000e010f110f1010161911111e00000e1010110e01010d1311110f00000e111f100e0609081c080808000f11110f010e',
+  '1010161911111104000c0404040e0200060202120c101012141814120c04040404040e00001a151511110000161911111100000e1111110e',
+  '00001e111e101000000d130f01010000161910101000000e100e011e08081c080809060000111111130d00001111110a040000111115150a',
+  '0000110a040a11000011110f010e00001f0204081f02040408040402040404040404040804040204040800000815020000',
+].join('');
+
+const GLYPH_W = 5;
+const GLYPH_H = 7;
+const ADVANCE = GLYPH_W + 1; // one column of spacing
+
+function glyphRows(ch) {
+  const code = ch.charCodeAt(0);
+  const i    = (code >= 32 && code <= 126 ? code : 63) - 32; // anything else draws as "?"
+  return Array.from({ length: GLYPH_H }, (_, row) => parseInt(FONT.slice((i * GLYPH_H + row) * 2, (i * GLYPH_H + row) * 2 + 2), 16));
+}
+
+/** Fold text to what the font can draw: accents stripped, typographic punctuation simplified, the rest dropped. */
+export function toAscii(text) {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/[·•]/g, '-')
+    .replace(/…/g, '...')
+    .replace(/[^\x20-\x7e]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const textWidth = (text, scale) => (text.length ? text.length * ADVANCE - 1 : 0) * scale;
+
+/** Greedy word wrap to `maxChars` per line; the last line ends in "..." if text was cut. */
+function wrap(text, maxChars, maxLines) {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(' ')) {
+    const next = line ? `${line} ${word}` : word;
+    if (next.length <= maxChars) { line = next; continue; }
+    if (line) lines.push(line);
+    line = word.length > maxChars ? word.slice(0, maxChars) : word;
+  }
+  if (line) lines.push(line);
+  if (lines.length <= maxLines) return lines;
+  const kept = lines.slice(0, maxLines);
+  kept[maxLines - 1] = kept[maxLines - 1].slice(0, maxChars - 3).replace(/\s+\S*$/, '') + '...';
+  return kept;
+}
+
+// ============================================================
+// Canvas
+// ============================================================
+
+function createCanvas(width, height, [r, g, b]) {
+  const data = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < data.length; i += 3) { data[i] = r; data[i + 1] = g; data[i + 2] = b; }
+  return { width, height, data };
+}
+
+function fillRect(canvas, x, y, w, h, [r, g, b]) {
+  for (let py = Math.max(0, y); py < Math.min(canvas.height, y + h); py++) {
+    for (let px = Math.max(0, x); px < Math.min(canvas.width, x + w); px++) {
+      const i = (py * canvas.width + px) * 3;
+      canvas.data[i] = r; canvas.data[i + 1] = g; canvas.data[i + 2] = b;
+    }
+  }
+}
+
+function drawText(canvas, text, x, y, scale, color) {
+  [...text].forEach((ch, n) => {
+    glyphRows(ch).forEach((bits, row) => {
+      for (let col = 0; col < GLYPH_W; col++) {
+        if (bits & (1 << (GLYPH_W - 1 - col))) fillRect(canvas, x + (n * ADVANCE + col) * scale, y + row * scale, scale, scale, color);
+      }
+    });
+  });
+}
+
+// ============================================================
+// PNG encoding (8-bit RGB, no filtering)
+// ============================================================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, body) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(body.length, 0);
+  head.write(type, 4, 'ascii');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), body])), 0);
+  return Buffer.concat([head, body, crc]);
+}
+
+function encodePng({ width, height, data }) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr.set([8, 2, 0, 0, 0], 8); // 8-bit, truecolor, deflate, no filter, no interlace
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    chunk('IDAT', deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// ============================================================
+// Images
+// ============================================================
+
+const BACKGROUND = [20, 22, 28];
+const FOREGROUND = [245, 246, 248];
+const MUTED      = [150, 156, 168];
+const MARGIN     = 80;
+
+/**
+ * 1200×630 social card: brand, title (scaled to fit), subtitle, up to three
+ * lines of description and a footer line.
+ * @param {{ brand: string, title: string, subtitle?: string, description?: string, footer?: string, accentColor: string }} card
+ * @returns {Buffer} PNG
+ */
+export function renderSocialCard({ brand, title, subtitle = '', description = '', footer = '', accentColor }) {
+  const accent = parseColor(accentColor) || [224, 100, 57];
+  const canvas = createCanvas(CARD_WIDTH, CARD_HEIGHT, BACKGROUND);
+  const width  = CARD_WIDTH - MARGIN * 2;
+  fillRect(canvas, 0, 0, CARD_WIDTH, 12, accent);
+
+  drawText(canvas, toAscii(brand).toUpperCase(), MARGIN, 72, 4, accent);
+
+  // Largest scale (up to 14) that fits the title on one line; very long names are cut
+  let heading = toAscii(title) || '?';
+  const scale = Math.max(6, Math.min(14, Math.floor((width + 6) / (heading.length * ADVANCE))));
+  while (textWidth(heading, scale) > width) heading = heading.slice(0, -4) + '...';
+  let y = 150;
+  drawText(canvas, heading, MARGIN, y, scale, FOREGROUND);
+  y += GLYPH_H * scale + 28;
+
+  if (subtitle) {
+    drawText(canvas, toAscii(subtitle), MARGIN, y, 4, MUTED);
+    y += GLYPH_H * 4 + 40;
+  }
+  const perLine = Math.floor((width + 4) / (ADVANCE * 4));
+  for (const line of wrap(toAscii(description), perLine, 3)) {
+    drawText(canvas, line, MARGIN, y, 4, FOREGROUND);
+    y += GLYPH_H * 4 + 16;
+  }
+
+  if (footer) drawText(canvas, toAscii(footer), MARGIN, CARD_HEIGHT - MARGIN - GLYPH_H * 3, 3, MUTED);
+  fillRect(canvas, MARGIN, CARD_HEIGHT - MARGIN + 24, 160, 6, accent);
+  return encodePng(canvas);
+}
+
+/** Square favicon: the brand's first letter on its accent color. */
+export function renderFavicon({ brand, accentColor, size = 64 }) {
+  const accent = parseColor(accentColor) || [224, 100, 57];
+  const canvas = createCanvas(size, size, accent);
+  const letter = (toAscii(brand).match(/[a-z0-9]/i)?.[0] || '?').toUpperCase();
+  const scale  = Math.max(1, Math.floor(size * 0.7 / GLYPH_H));
+  drawText(canvas, letter, Math.round((size - GLYPH_W * scale) / 2), Math.round((size - GLYPH_H * scale) / 2), scale, [255, 255, 255]);
+  return encodePng(canvas);
+}
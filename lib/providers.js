@@ -0,0 +1,299 @@
+/**
+ * lib/providers.js — Pluggable LLM providers
+ *
+ * Every provider exposes the same shape:
+ *   { name, model, baseUrl, complete(messages, opts?) → Promise<{ content, tps, tokens }> }
+ *
+ * Pass `opts.onProgress` to stream: it receives `{ delta, tokens, tps }` for each
+ * chunk of generated text, and `{ reset: true }` when a retry restarts the output.
+ * `opts.temperature` overrides LLM_TEMPERATURE for one call (e.g. 0 for the --judge pass).
+ *
+ * Built-in providers:
+ *   cerebras   Cerebras Cloud (default) — needs CEREBRAS_API_KEY
+ *   openai     Any OpenAI-compatible endpoint (OpenAI, llama.cpp, vLLM, LM Studio…)
+ *   ollama     Local Ollama server via its OpenAI-compatible /v1 API
+ *   fixture    Deterministic canned HTML (and a canned edit for --refine) — no network, no API key
+ *
+ * Selection (first match wins): CLI flag → environment → default.
+ *   --provider / LLM_PROVIDER     --model / LLM_MODEL
+ *   --base-url / LLM_BASE_URL     LLM_API_KEY (falls back to the provider's own key var)
+ *   LLM_TEMPERATURE               LLM_FIXTURE (HTML file served by the fixture provider)
+ *
+ * Failed calls are retried. An HTTP 429 waits for the server's Retry-After (or
+ * an exponential backoff) and pauses every other call on the same provider
+ * until then, so parallel generations back off together instead of piling on.
+ */
+
+import { readFileSync } from 'fs';
+
+// ============================================================
+// Provider presets
+// ============================================================
+export const PROVIDER_PRESETS = {
+  cerebras: { baseUrl: 'https://api.cerebras.ai/v1', model: 'zai-glm-4.7', keyEnv: 'CEREBRAS_API_KEY', requiresKey: true },
+  openai:   { baseUrl: 'https://api.openai.com/v1',  model: 'gpt-4o-mini', keyEnv: 'OPENAI_API_KEY',   requiresKey: false },
+  ollama:   { baseUrl: 'http://localhost:11434/v1',  model: 'llama3.1',    keyEnv: null,               requiresKey: false },
+  fixture:  { baseUrl: null,                         model: 'fixture',     keyEnv: null,               requiresKey: false },
+};
+
+export const DEFAULT_PROVIDER = 'cerebras';
+
+const MAX_ATTEMPTS       = 3;         // network errors, 5xx, empty responses
+const MAX_RATE_LIMITED   = 6;         // 429s — the server said when to come back, so keep coming back
+const MAX_RETRY_AFTER_MS = 5 * 60_000;
+const RETRY_BASE_MS      = 2000;      // first backoff step; tests set retryBaseMs: 0
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/** Retry-After header (delay-seconds or HTTP-date) in ms, capped at 5 minutes; null if absent/invalid. */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - now;
+  if (Number.isNaN(ms)) return null;
+  return Math.min(Math.max(0, ms), MAX_RETRY_AFTER_MS);
+}
+
+/**
+ * Resolve provider options from CLI flags and environment.
+ * @param {{ provider?: string, model?: string, baseUrl?: string }} flags
+ * @param {NodeJS.ProcessEnv} env
+ */
+export function resolveProviderOptions(flags = {}, env = process.env) {
+  const name   = (flags.provider || env.LLM_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+  const preset = PROVIDER_PRESETS[name];
+  if (!preset) {
+    throw new Error(`Unknown provider "${name}" (available: ${Object.keys(PROVIDER_PRESETS).join(', ')})`);
+  }
+
+  const temperature = env.LLM_TEMPERATURE !== undefined ? Number(env.LLM_TEMPERATURE) : 1.0;
+  if (Number.isNaN(temperature)) throw new Error(`Invalid LLM_TEMPERATURE: "${env.LLM_TEMPERATURE}"`);
+
+  return {
+    name,
+    model:   flags.model   || env.LLM_MODEL    || preset.model,
+    baseUrl: (flags.baseUrl || env.LLM_BASE_URL || preset.baseUrl || '').replace(/\/+$/, ''),
+    apiKey:  env.LLM_API_KEY || (preset.keyEnv ? env[preset.keyEnv] : '') || '',
+    keyEnv:  preset.keyEnv,
+    requiresKey: preset.requiresKey,
+    temperature,
+    fixturePath: env.LLM_FIXTURE || null,
+    retryBaseMs: RETRY_BASE_MS,
+  };
+}
+
+/**
+ * Create a provider instance from resolved options.
+ * Throws if a required API key is missing.
+ */
+export function createProvider(options) {
+  if (options.name === 'fixture') return createFixtureProvider(options);
+
+  if (options.requiresKey && !options.apiKey) {
+    const err = new Error(`${options.keyEnv} not set.`);
+    err.code = 'MISSING_API_KEY';
+    throw err;
+  }
+  if (!options.baseUrl) throw new Error(`Provider "${options.name}" needs a base URL (--base-url or LLM_BASE_URL)`);
+
+  return createOpenAICompatibleProvider(options);
+}
+
+// ============================================================
+// OpenAI-compatible chat completions (Cerebras, OpenAI, Ollama, vLLM…)
+// ============================================================
+function createOpenAICompatibleProvider({ name, model, baseUrl, apiKey, temperature, retryBaseMs = RETRY_BASE_MS }) {
+  const endpoint = `${baseUrl}/chat/completions`;
+
+  let resumeAt = 0; // shared by every call: nobody sends before a 429's Retry-After is up
+
+  async function complete(messages, { onProgress, temperature: callTemperature } = {}) {
+    const stream = typeof onProgress === 'function';
+    let failures    = 0;
+    let rateLimited = 0;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const wait = resumeAt - Date.now();
+        if (wait > 0) await sleep(wait);
+
+        const t0 = Date.now();
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+        const res = await fetch(endpoint, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({
+            model,
+            messages,
+            max_tokens: 60384,
+            temperature: callTemperature ?? temperature,
+            stream,
+          }),
+          signal: AbortSignal.timeout(300_000), // 5-minute timeout
+        });
+
+        if (!res.ok) {
+          const body = await res.text();
+          const err = new Error(`HTTP ${res.status}: ${body.slice(0, 200)}`);
+          err.status = res.status;
+          err.retryAfterMs = parseRetryAfter(res.headers.get('retry-after'));
+          throw err;
+        }
+
+        if (stream) {
+          if (attempt > 1) onProgress({ reset: true });
+          return await readStream(res, t0, onProgress);
+        }
+
+        const data = await res.json();
+        const content = data.choices?.[0]?.message?.content;
+        if (!content) throw new Error('Empty response from API');
+
+        // tokens/sec — prefer Cerebras time_info, fall back to wall clock
+        const completionTokens = data.usage?.completion_tokens ?? 0;
+        const elapsedSec = data.time_info?.completion_time ?? ((Date.now() - t0) / 1000);
+        const tps = elapsedSec > 0 ? Math.round(completionTokens / elapsedSec) : 0;
+
+        return { content, tps, tokens: completionTokens };
+      } catch (err) {
+        if (err.status === 429) {
+          if (++rateLimited >= MAX_RATE_LIMITED) throw err;
+          const delay = err.retryAfterMs ?? Math.min(60_000, retryBaseMs * 2 ** (rateLimited - 1));
+          resumeAt = Math.max(resumeAt, Date.now() + delay);
+          process.stderr.write(`    ⏳ Rate limited — waiting ${Math.ceil(delay / 1000)}s` +
+            `${err.retryAfterMs != null ? ' (Retry-After)' : ''}…\n`);
+          continue;
+        }
+        if (++failures >= MAX_ATTEMPTS) throw err;
+        process.stderr.write(`    ⚠  API attempt ${attempt} failed (${err.message}), retrying…\n`);
+        await sleep(err.retryAfterMs ?? retryBaseMs * failures);
+      }
+    }
+  }
+
+  return { name, model, baseUrl, complete };
+}
+
+/**
+ * Consume an OpenAI-style `text/event-stream` response.
+ * Token count is one per content chunk until the server reports `usage`.
+ */
+async function readStream(res, t0, onProgress) {
+  const decoder = new TextDecoder();
+  let buffer  = '';
+  let content = '';
+  let tokens  = 0;
+  let firstTokenAt = null;
+  let usage    = null;
+  let timeInfo = null;
+
+  const handleLine = (line) => {
+    if (!line.startsWith('data:')) return;
+    const payload = line.slice(5).trim();
+    if (!payload || payload === '[DONE]') return;
+    let chunk;
+    try { chunk = JSON.parse(payload); } catch { return; }
+    if (chunk.error) throw new Error(chunk.error.message || 'Stream error');
+    if (chunk.usage)     usage = chunk.usage;
+    if (chunk.time_info) timeInfo = chunk.time_info;
+
+    const delta = chunk.choices?.[0]?.delta?.content;
+    if (!delta) return;
+    if (firstTokenAt === null) firstTokenAt = Date.now();
+    content += delta;
+    tokens++;
+    const elapsedSec = (Date.now() - firstTokenAt) / 1000;
+    onProgress({ delta, tokens, tps: elapsedSec > 0 ? Math.round(tokens / elapsedSec) : 0 });
+  };
+
+  for await (const bytes of res.body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  if (buffer) handleLine(buffer);
+
+  if (!content) throw new Error('Empty response from API');
+
+  const completionTokens = usage?.completion_tokens ?? tokens;
+  const elapsedSec = timeInfo?.completion_time ?? ((Date.now() - (firstTokenAt ?? t0)) / 1000);
+  const tps = elapsedSec > 0 ? Math.round(completionTokens / elapsedSec) : 0;
+  return { content, tps, tokens: completionTokens };
+}
+
+// ============================================================
+// Fixture provider — deterministic, offline
+// ============================================================
+function createFixtureProvider({ model, fixturePath }) {
+  async function complete(messages, { onProgress } = {}) {
+    let content;
+    const instruction = messages.at(-1).content.match(/\n## Instruction\n([\s\S]*?)\n\nReply only with SEARCH\/REPLACE edits\.$/)?.[1];
+    if (instruction !== undefined) {
+      content = fixtureEdit(instruction); // a --refine request (lib/refine.js)
+    } else if (fixturePath) {
+      content = readFileSync(fixturePath, 'utf8');
+    } else {
+      const prompt = messages.map(m => m.content).join('\n');
+      const fullName = prompt.match(/## Repository: (\S+)/)?.[1] || 'unknown/unknown';
+      const url      = prompt.match(/## (?:GitHub|Repository) URL: (https?:\S+)/)?.[1] || null;
+      const type     = prompt.match(/## Detected Project Type: (\S+)/)?.[1] || 'generic';
+      const external = prompt.match(/"External — ([^"]+)" badge/)?.[1] || null;
+      const backLink = prompt.match(/Back to Explorer" link at the top \(href="([^"]+)"\)/)?.[1] || '../../../index.html';
+      content = fixtureHTML({ fullName, url, type, external, backLink });
+    }
+
+    // Replay the page line by line so streaming consumers see progress too
+    const lines = content.split(/(?<=\n)/);
+    if (typeof onProgress === 'function') {
+      lines.forEach((delta, i) => onProgress({ delta, tokens: i + 1, tps: 0 }));
+    }
+    return { content, tps: 0, tokens: lines.length };
+  }
+
+  return { name: 'fixture', model, baseUrl: null, complete };
+}
+
+/** One SEARCH/REPLACE edit that notes the instruction below the fixture page's header. */
+function fixtureEdit(instruction) {
+  const text = instruction.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return `<<<<<<< SEARCH
+</header>
+=======
+<p class="refined">Refined: ${text}</p>
+</header>
+>>>>>>> REPLACE`;
+}
+
+function fixtureHTML({ fullName, url, type, external, backLink }) {
+  const repo = fullName.split('/').pop();
+  return `<!DOCTYPE html>
+<html lang="en" data-theme="light">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${repo}</title>
+<style>
+:root{--bg-primary:#f5f5f7;--text-primary:rgb(43,25,16);--accent-color:rgb(224,100,57)}
+[data-theme="dark"]{--bg-primary:#000000;--text-primary:#f5f5f7}
+body{background:var(--bg-primary);color:var(--text-primary);font-family:-apple-system,sans-serif;padding:32px}
+a{color:var(--accent-color)}
+.badge{color:#ff9500}
+</style>
+</head>
+<body>
+<nav><a href="${backLink}">← Back to Explorer</a> <button id="theme">Toggle theme</button></nav>
+<header>
+<h1>${repo}</h1>${external ? `\n<span class="badge">External — ${external}</span>` : ''}
+<p>Fixture page for a ${type} project.</p>
+</header>
+${url ? `<section><a href="${url}">View source</a></section>
+` : ''}<footer>${url ? `<a href="${url}">${fullName}</a>` : fullName} · Generated by fixture provider · <a href="${backLink}">← Back to Explorer</a></footer>
+<script>
+const root=document.documentElement;root.dataset.theme=localStorage.getItem('theme')||'light';
+document.getElementById('theme').onclick=()=>{root.dataset.theme=root.dataset.theme==='dark'?'light':'dark';localStorage.setItem('theme',root.dataset.theme);};
+</script>
+</body>
+</html>`;
+}
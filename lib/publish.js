@@ -0,0 +1,305 @@
+/**
+ * lib/publish.js — Pluggable publish strategies
+ *
+ * A run ends by publishing what it changed in repos/. Every
+ * strategy exposes the same shape:
+ *   { name, label, publish({ message, repos, confirmed }) → Promise<result> }
+ * where result is the summary's `commit`: { status, strategy, message, … }.
+ *
+ * Built-in strategies:
+ *   push      Commit on the current branch and push it (default)
+ *   pr        Commit the changes on top of origin/<base>, push that commit to a new
+ *             pages/<timestamp> branch and open a pull request with `gh pr create` —
+ *             for a protected default branch. The commit is built in a temporary
+ *             index, so the local branch doesn't move and the pages stay uncommitted
+ *   export    Copy the gallery (index.html, assets/ and repos/ with the manifest, plus a
+ *             config.json written from config.js) to a directory, or bundle it as .zip /
+ *             .tar.gz; nothing is committed
+ *   dry-run   Print the diff a commit would contain; nothing is committed
+ *
+ * Selection (first match wins): --publish → --out (implies export) → PUBLISH_STRATEGY → push.
+ *   --out / PUBLISH_OUT   export target: a directory, or a file ending in .zip, .tar.gz or .tgz
+ *   PUBLISH_BASE          base branch for pr (default: the current branch)
+ *
+ * Every strategy but dry-run refuses a private repo's page with uncommitted
+ * changes unless it's in `confirmed` (--publish-private) — including pages left
+ * over from earlier --no-push runs. Failures throw with a `code` (PRIVATE_REPO,
+ * GIT_FAILED, PR_FAILED, EXPORT_FAILED) and `hints`, lines that say how to finish by hand.
+ */
+
+import { execFileSync } from 'child_process';
+import { existsSync, mkdirSync, rmSync, cpSync, statSync } from 'fs';
+import { join, resolve, relative, dirname, isAbsolute } from 'path';
+import { ROOT_DIR, readManifest, findManifestEntry, pagePaths, sameRepo } from './manifest.js';
+import { loadBranding, writePublicConfig } from './branding.js';
+
+export const PUBLISH_STRATEGIES = ['push', 'pr', 'export', 'dry-run'];
+export const DEFAULT_STRATEGY   = 'push';
+
+// What the static gallery needs: the gallery page, assets, and every page with the manifest — plus
+// config.json, which is generated (lib/branding.js) and written next to them rather than copied.
+// The site build (lib/site.js) publishes these too, plus slides/ — nothing else in the repo.
+export const EXPORT_ITEMS = ['index.html', 'assets', 'repos'];
+
+const BUNDLE = /\.(zip|tar\.gz|tgz)$/i;
+
+function run(cmd, args, opts = {}) {
+  return execFileSync(cmd, args, { cwd: ROOT_DIR, stdio: ['pipe', 'pipe', 'pipe'], maxBuffer: 256 * 1024 * 1024, ...opts })
+    .toString().trimEnd(); // not trim(): `git status` lines start with a status column
+}
+
+const git = (args) => run('git', args);
+
+/** Run `fn`; a failure becomes an Error with `code`, the command's last stderr line and `hints`. */
+function step(code, fn, hints = []) {
+  try {
+    return fn();
+  } catch (err) {
+    const message = err.code === 'ENOENT' ? `${err.path} is not installed`
+      : String(err.stderr || err.message).trim().split('\n').pop();
+    throw Object.assign(new Error(message), { code, hints });
+  }
+}
+
+/**
+ * Resolve publish options from CLI flags and environment.
+ * @param {{ publish?: string, out?: string }} flags
+ * @param {NodeJS.ProcessEnv} env
+ */
+export function resolvePublishOptions(flags = {}, env = process.env) {
+  const strategy = (flags.publish || (flags.out && 'export') || env.PUBLISH_STRATEGY || DEFAULT_STRATEGY).toLowerCase();
+  if (!PUBLISH_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown publish strategy "${strategy}" (available: ${PUBLISH_STRATEGIES.join(', ')})`);
+  }
+
+  let out = null;
+  if (strategy === 'export') {
+    const target = flags.out || env.PUBLISH_OUT;
+    if (!target) throw new Error('--publish export needs --out <directory | file.zip | file.tar.gz> (or PUBLISH_OUT)');
+    out = resolve(target);
+    const inside = (dir) => { const rel = relative(dir, out); return !rel.startsWith('..') && !isAbsolute(rel); };
+    if (out === ROOT_DIR || EXPORT_ITEMS.some(item => inside(join(ROOT_DIR, item)))) {
+      throw new Error(`--out ${target} would export the gallery into itself — pick a directory outside ${EXPORT_ITEMS.join(', ')}`);
+    }
+  }
+  return { strategy, out, base: env.PUBLISH_BASE || null };
+}
+
+// ============================================================
+// Working tree
+// ============================================================
+
+/** Files under repos/ that differ from HEAD: new, modified or deleted. */
+export function changedFiles() {
+  const entries = git(['status', '--porcelain', '-z', '-uall', '--', 'repos/']).split('\0');
+  const files = [];
+  for (let i = 0; i < entries.length; i++) {
+    if (!entries[i]) continue;
+    files.push(entries[i].slice(3));
+    if (/^[RC]/.test(entries[i])) i++; // a rename's original path follows it
+  }
+  return files;
+}
+
+/** Private repos (manifest `private`) with uncommitted page changes that aren't in `confirmed`. */
+export function unconfirmedPrivatePages(confirmed = [], files = changedFiles()) {
+  return readManifest().generated
+    .filter(e => e.private && !confirmed.some(name => sameRepo(name, e.fullName)))
+    .filter(e => files.some(file => file.startsWith(`${pagePaths(e.owner, e.repo).dir}/`)))
+    .map(e => e.fullName);
+}
+
+function assertConfirmed(confirmed) {
+  const unconfirmed = unconfirmedPrivatePages(confirmed);
+  if (!unconfirmed.length) return;
+  throw Object.assign(
+    new Error(`${unconfirmed.join(', ')} ${unconfirmed.length === 1 ? 'is a private repo' : 'are private repos'} — not publishing without --publish-private`),
+    { code: 'PRIVATE_REPO', hints: ['Re-run with --publish-private to publish them, or keep using --no-push.'] },
+  );
+}
+
+/**
+ * Commit `files` as they are in the working tree on top of `parent`, without
+ * touching HEAD or the real index. Returns the new commit, or null when
+ * `parent` already has them.
+ */
+function commitOnto(parent, files, message) {
+  const index = join(ROOT_DIR, 'tmp', `publish-index-${process.pid}`);
+  const env   = { ...process.env, GIT_INDEX_FILE: index };
+  mkdirSync(dirname(index), { recursive: true });
+  try {
+    run('git', ['read-tree', parent], { env });
+    // --remove: a file deleted here is deleted in the commit too
+    run('git', ['update-index', '--add', '--remove', '-z', '--stdin'], { env, input: files.join('\0') });
+    const tree = run('git', ['write-tree'], { env });
+    if (tree === git(['rev-parse', `${parent}^{tree}`])) return null;
+    return run('git', ['commit-tree', tree, '-p', parent, '-m', message], { env });
+  } finally {
+    rmSync(index, { force: true });
+  }
+}
+
+function commit(message) {
+  step('GIT_FAILED', () => {
+    git(['add', '--', 'repos/']);
+    git(['commit', '-m', message]);
+  }, [`Commit by hand: git add repos/ && git commit -m "${message}"`]);
+  return git(['rev-parse', 'HEAD']);
+}
+
+// ============================================================
+// Strategies
+// ============================================================
+
+function createPushStrategy(options, { log }) {
+  async function publish({ message, confirmed = [] }) {
+    assertConfirmed(confirmed);
+    const sha = commit(message);
+    step('GIT_FAILED', () => git(['push']), [
+      'The commit is saved locally. Push it by hand with: git push',
+      'If the branch is protected, publish through a pull request instead: --publish pr (or PUBLISH_STRATEGY=pr)',
+    ]);
+    log('✅ Pushed!');
+    return { status: 'done', strategy: 'push', message, sha };
+  }
+  return { name: 'push', label: 'Committing and pushing to GitHub', publish };
+}
+
+/** Pull request body: the pages the commit adds, changes or removes. */
+function pullRequestBody(repos) {
+  const manifest = readManifest();
+  const lines = repos.map(name => {
+    const e = findManifestEntry(manifest, name);
+    if (!e) return `- **${name}** — removed`;
+    const details = [e.type, typeof e.score === 'number' && `score ${e.score}`].filter(Boolean).join(', ');
+    return `- **${e.fullName}** → \`${e.path}\`${details ? ` (${details})` : ''}`;
+  });
+  return `Pages from \`node generate.js\`:\n\n${lines.join('\n')}\n\nMerging this publishes them.`;
+}
+
+function createPullRequestStrategy(options, { log }) {
+  async function publish({ message, repos = [], confirmed = [] }) {
+    assertConfirmed(confirmed);
+    const base   = options.base || step('GIT_FAILED', () => git(['rev-parse', '--abbrev-ref', 'HEAD']));
+    const branch = `pages/${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    const files  = step('GIT_FAILED', () => changedFiles());
+    // Built on what's upstream, not on the local branch: nothing to rebase after the merge,
+    // and no unmerged commit for a later push or pull request to carry along
+    let sha = null;
+    if (files.length) {
+      const upstream = step('GIT_FAILED', () => {
+        git(['fetch', '--quiet', 'origin', `refs/heads/${base}`]);
+        return git(['rev-parse', 'FETCH_HEAD']);
+      }, [`Check that origin has a ${base} branch, or pick the base with PUBLISH_BASE.`]);
+      sha = step('GIT_FAILED', () => commitOnto(upstream, files, message));
+    }
+    if (!sha) {
+      log(`📝 Nothing to commit — origin/${base} already has these pages.`);
+      return { status: 'skipped', strategy: 'pr', reason: 'nothing-to-commit', message, base };
+    }
+
+    step('GIT_FAILED', () => git(['push', 'origin', `${sha}:refs/heads/${branch}`]), [
+      `Nothing was committed on ${base}. Push the prepared commit by hand: git push origin ${sha}:refs/heads/${branch}`,
+    ]);
+    const url = step('PR_FAILED', () => run('gh', ['pr', 'create', '--base', base, '--head', branch, '--title', message, '--body', pullRequestBody(repos)]), [
+      `${branch} is pushed. Open the pull request by hand: gh pr create --base ${base} --head ${branch} --fill`,
+    ]).split('\n').pop();
+    log(`✅ Opened ${url}`);
+    log(`   Merge it to publish. The pages stay uncommitted here; once it's merged, sync ${base} with:`);
+    log('   git stash push -u -- repos/ && git pull');
+    return { status: 'done', strategy: 'pr', message, sha, base, branch, url };
+  }
+  return { name: 'pr', label: 'Committing and opening a pull request', publish };
+}
+
+/**
+ * Copy `items` — the files git would publish: tracked or new, not ignored — into
+ * `dir`, with a config.json for `branding`. Returns the file count.
+ */
+export function copyGallery(dir, branding, items = EXPORT_ITEMS) {
+  const files = git(['ls-files', '-z', '--cached', '--others', '--exclude-standard', '--', ...items])
+    .split('\0').filter(file => file && existsSync(join(ROOT_DIR, file)));
+  for (const item of items) rmSync(join(dir, item), { recursive: true, force: true });
+  for (const file of new Set(files)) {
+    mkdirSync(dirname(join(dir, file)), { recursive: true });
+    cpSync(join(ROOT_DIR, file), join(dir, file));
+  }
+  mkdirSync(dir, { recursive: true });
+  writePublicConfig(branding, join(dir, 'config.json'));
+  return files.length + 1;
+}
+
+function createExportStrategy(options, { log }) {
+  async function publish({ message, confirmed = [] }) {
+    assertConfirmed(confirmed);
+    const { out } = options;
+    const format  = out.match(BUNDLE)?.[1].toLowerCase();
+    const branding = await loadBranding();
+    const files   = step('EXPORT_FAILED', () => {
+      if (!format) return copyGallery(out, branding);
+      const staging = join(ROOT_DIR, 'tmp', `export-${process.pid}`);
+      try {
+        rmSync(staging, { recursive: true, force: true });
+        const count = copyGallery(staging, branding);
+        const items = [...EXPORT_ITEMS, 'config.json'].filter(item => existsSync(join(staging, item)));
+        mkdirSync(dirname(out), { recursive: true });
+        rmSync(out, { force: true });
+        if (format === 'zip') run('zip', ['-qr', '-X', out, ...items], { cwd: staging });
+        else run('tar', ['-czf', out, '-C', staging, ...items]);
+        return count;
+      } finally {
+        rmSync(staging, { recursive: true, force: true });
+      }
+    });
+    const bytes = format ? statSync(out).size : null;
+    log(`✅ Exported ${files} file(s) to ${out}${bytes ? ` (${(bytes / 1024 / 1024).toFixed(1)} MB)` : ''} — nothing was committed`);
+    return { status: 'done', strategy: 'export', message, path: out, files, ...(bytes && { bytes }) };
+  }
+  return { name: 'export', label: `Exporting the gallery to ${options.out}`, publish };
+}
+
+/** Unified diff of one file against HEAD; new files are diffed against nothing. */
+function fileDiff(file, tracked) {
+  if (tracked) return git(['diff', 'HEAD', '--', file]);
+  try {
+    return git(['diff', '--no-index', '--', '/dev/null', file]);
+  } catch (err) {
+    return String(err.stdout || '').trimEnd(); // exit code 1 means "differs"
+  }
+}
+
+function createDryRunStrategy(options, { log }) {
+  async function publish({ message, confirmed = [] }) {
+    const files = step('GIT_FAILED', () => changedFiles());
+    if (!files.length) {
+      log('📝 Nothing would be committed.');
+      return { status: 'skipped', strategy: 'dry-run', reason: 'dry-run', message, files };
+    }
+    const untracked = new Set(git(['ls-files', '-z', '--others', '--exclude-standard', '--', 'repos/']).split('\0'));
+    log(`📝 The commit "${message}" would change ${files.length} file(s):`);
+    log(git(['status', '--short', '-uall', '--', 'repos/']));
+    log('');
+    for (const file of files) log(fileDiff(file, !untracked.has(file)));
+
+    const unconfirmed = unconfirmedPrivatePages(confirmed, files);
+    if (unconfirmed.length) log(`🔒 ${unconfirmed.join(', ')} would need --publish-private`);
+    log('\n⏭  Dry run — nothing was committed or pushed.');
+    return { status: 'skipped', strategy: 'dry-run', reason: 'dry-run', message, files };
+  }
+  return { name: 'dry-run', label: 'Preparing the commit (dry run)', publish };
+}
+
+/**
+ * Create a publish strategy from resolved options.
+ * @param {ReturnType<typeof resolvePublishOptions>} options
+ * @param {{ log?: (msg: string) => void }} [io]
+ */
+export function createPublisher(options, { log = () => {} } = {}) {
+  const create = {
+    'push':    createPushStrategy,
+    'pr':      createPullRequestStrategy,
+    'export':  createExportStrategy,
+    'dry-run': createDryRunStrategy,
+  }[options.strategy];
+  return create(options, { log });
+}
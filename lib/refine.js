@@ -0,0 +1,146 @@
+/**
+ * lib/refine.js — Targeted edits to an existing page (generate.js --refine)
+ *
+ * Regenerating a page that is 90% right tends to make it worse, so a
+ * refinement sends the current page with one instruction ("make the hero
+ * shorter") and asks for edits, not a new document:
+ *
+ *   <<<<<<< SEARCH
+ *   lines copied exactly from the page
+ *   =======
+ *   the lines that replace them
+ *   >>>>>>> REPLACE
+ *
+ * applyEdits() replaces each SEARCH block where it occurs exactly once, so
+ * everything the instruction doesn't touch stays byte for byte the same.
+ * A block that matches nowhere (or in several places) is reported back to the
+ * model once (buildRetryPrompt) before the refinement fails.
+ */
+
+import { BACK_LINK } from './manifest.js';
+
+export const MAX_INSTRUCTION_LENGTH = 2000;
+export const REFINE_TEMPERATURE     = 0.2; // edits should follow the instruction, not explore
+
+const EDIT_BLOCK = /<{5,9} ?SEARCH[^\n]*\n([\s\S]*?)\n?={5,9}[^\n]*\n([\s\S]*?)\n?>{5,9} ?REPLACE/g;
+
+// ============================================================
+// Prompts
+// ============================================================
+
+/**
+ * Messages for one refinement.
+ * @param {{ html: string, instruction: string, context: string }} opts
+ *   context  the repo's (scrubbed) buildContext() output, so new sections can use real facts
+ */
+export function buildRefineMessages({ html, instruction, context }) {
+  const SYSTEM = `You edit existing single-file HTML showcase pages for repositories. Change only what the instruction asks for and leave everything else exactly as it is.
+
+Reply with one or more edits in this format, and nothing else:
+
+<<<<<<< SEARCH
+lines copied exactly from the current page
+=======
+the lines that replace them
+>>>>>>> REPLACE
+
+Rules:
+1. SEARCH must match the current page character for character, including indentation, and must match only one place. Keep it short — a few lines — but long enough to be unique.
+2. To add something, SEARCH for the lines where it goes and repeat them in REPLACE together with the new content.
+3. To remove something, leave REPLACE empty.
+4. Keep all CSS and JavaScript inline (no external resources), keep using the page's CSS variables, class names and components, and keep the "← Back to Explorer" link (${BACK_LINK}), the dark/light toggle and the repository links.
+5. Use only facts from the repository context — don't invent features, numbers or URLs. Never link to "#".`;
+
+  return [
+    { role: 'system', content: SYSTEM },
+    { role: 'user', content: `Repository context:
+${context}
+
+## Current page
+\`\`\`html
+${html}
+\`\`\`
+
+## Instruction
+${instruction}
+
+Reply only with SEARCH/REPLACE edits.` },
+  ];
+}
+
+/** Follow-up listing the edits that couldn't be applied, with the page as it is now. */
+export function buildRetryPrompt(failures, html) {
+  return `These edits could not be applied:
+${failures.map((f, i) => `${i + 1}. SEARCH starting "${f.search.split('\n')[0].trim().slice(0, 80)}" — ${f.reason}`).join('\n')}
+
+The other edits were applied; the page now reads as below. Send corrected edits for the failed ones only, copying each SEARCH block exactly from this page.
+
+\`\`\`html
+${html}
+\`\`\``;
+}
+
+// ============================================================
+// Edits
+// ============================================================
+
+/** SEARCH/REPLACE blocks in a reply, in order. */
+export function parseEdits(content) {
+  return [...String(content || '').matchAll(EDIT_BLOCK)].map(m => ({ search: m[1], replace: m[2] }));
+}
+
+const lines = (text) => text.split('\n');
+const trimEnd = (line) => line.replace(/\s+$/, '');
+
+/**
+ * Where `search` occurs in `html`: exactly, or else line by line ignoring
+ * indentation and trailing spaces (models often re-indent what they copy).
+ * @returns {{ start: number, end: number }[]}
+ */
+function locate(html, search) {
+  const exact = [];
+  for (let i = html.indexOf(search); i !== -1 && exact.length < 2; i = html.indexOf(search, i + 1)) {
+    exact.push({ start: i, end: i + search.length });
+  }
+  if (exact.length) return exact;
+
+  const want = lines(search).map(l => l.trim());
+  while (want.length && !want.at(-1)) want.pop();
+  while (want.length && !want[0]) want.shift();
+  if (!want.length) return [];
+  const page   = lines(html);
+  const offset = [];
+  page.reduce((pos, line, i) => { offset[i] = pos; return pos + line.length + 1; }, 0);
+  const found = [];
+  for (let i = 0; i + want.length <= page.length && found.length < 2; i++) {
+    if (want.every((w, j) => page[i + j].trim() === w)) {
+      const last = i + want.length - 1;
+      found.push({ start: offset[i], end: offset[last] + trimEnd(page[last]).length });
+    }
+  }
+  return found;
+}
+
+/**
+ * Apply edits in order, each to the result of the previous ones.
+ * @returns {{ html: string, applied: number, failures: { search: string, reason: string }[] }}
+ */
+export function applyEdits(html, edits) {
+  let applied = 0;
+  const failures = [];
+  for (const { search, replace } of edits) {
+    if (!search.trim()) {
+      failures.push({ search, reason: 'the SEARCH block is empty' });
+      continue;
+    }
+    const found = locate(html, search);
+    if (found.length !== 1) {
+      failures.push({ search, reason: found.length ? 'it matches more than one place — include more surrounding lines' : 'not found in the page' });
+      continue;
+    }
+    const [{ start, end }] = found;
+    html = html.slice(0, start) + replace + html.slice(end);
+    applied++;
+  }
+  return { html, applied, failures };
+}
@@ -0,0 +1,244 @@
+/**
+ * lib/sanitize.js — Strips what a prompt-injected page could use against visitors
+ *
+ * Pages are generated from README and source text of repos we don't control,
+ * then published on our domain. Before a page is archived or published,
+ * sanitizePage() rewrites it so that only inline script and style run:
+ *   removed   external scripts, iframes/objects/embeds, <base>, meta refresh,
+ *             form actions and password fields, remote src/srcset/poster,
+ *             remote <link>s, remote url()/@import in CSS, javascript:/data:
+ *             links, any link that isn't on the allowlist, and any tag the
+ *             scanner can't parse
+ *   flagged   network APIs in inline scripts and handlers (fetch, XMLHttpRequest,
+ *             sendBeacon, WebSocket, EventSource, import()) — left in place,
+ *             and blocked by the CSP
+ *   added     a Content-Security-Policy meta tag (CSP below)
+ *
+ * Allowed links: the repo URL (and anything under it), the owner's profile on
+ * the same host, URLs that appear in the README, the back link to the gallery
+ * and in-page #fragments.
+ */
+
+import { scanTags } from './validate.js';
+import { BACK_LINK } from './manifest.js';
+
+export const CSP = [
+  "default-src 'none'",
+  "script-src 'unsafe-inline'",
+  "style-src 'unsafe-inline'",
+  "img-src 'self' data:",
+  "font-src 'self' data:",
+  "media-src 'self' data:",
+  "connect-src 'none'",
+  "frame-src 'none'",
+  "object-src 'none'",
+  "base-uri 'none'",
+  "form-action 'none'",
+].join('; ');
+
+// Elements removed with everything inside them
+const DROP_ELEMENTS = new Set(['iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'portal', 'base']);
+// Attributes that load a resource when the page renders
+const RESOURCE_ATTRS = ['src', 'srcset', 'poster', 'data', 'background', 'action', 'formaction'];
+const NETWORK_APIS = [
+  ['fetch',          /\bfetch\s*\(/],
+  ['XMLHttpRequest', /\bXMLHttpRequest\b/],
+  ['sendBeacon',     /\bsendBeacon\s*\(/],
+  ['WebSocket',      /\bWebSocket\s*\(/],
+  ['EventSource',    /\bEventSource\s*\(/],
+  ['import()',       /\bimport\s*\(/],
+];
+const MAX_FINDINGS = 50;
+
+// ============================================================
+// URLs
+// ============================================================
+
+const ENTITIES = { amp: '&', colon: ':', tab: '\t', newline: '\n', sol: '/', lpar: '(', rpar: ')', period: '.', quot: '"', apos: "'", lt: '<', gt: '>' };
+
+/** Attribute value as the browser reads it: entities decoded, surrounding whitespace trimmed. */
+function decode(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&([a-z]+);/gi, (m, name) => ENTITIES[name.toLowerCase()] ?? m)
+    .trim();
+}
+
+/** URL scheme ("http", "javascript", …) or null for a relative URL. Browsers ignore tabs and newlines inside it. */
+const scheme = (url) => url.replace(/[\x00-\x20]/g, '').match(/^([a-z][a-z\d+.-]*):/i)?.[1].toLowerCase() ?? null;
+
+const isRemote = (url) => /^(https?:)?\/\//i.test(url.replace(/[\x00-\x20]/g, ''));
+
+const normalize = (url) => url.replace(/[#?].*$/, '').replace(/\/+$/, '').toLowerCase();
+
+/** http(s) URLs and mailto: addresses in a piece of text (a README). */
+export function linksIn(text) {
+  const links = new Set();
+  for (const m of String(text || '').matchAll(/https?:\/\/[^\s<>"'`)\]]+/gi)) links.add(m[0].replace(/[.,;:!?]+$/, ''));
+  for (const m of String(text || '').matchAll(/mailto:[^\s<>"'`)\]]+/gi)) links.add(m[0]);
+  return [...links];
+}
+
+/** Decide whether a page may link somewhere; returns the rule it breaks, or null. */
+function linkProblem(href, { repoUrl, allowed }) {
+  const url = decode(href);
+  const kind = scheme(url);
+  if (kind && !['http', 'https', 'mailto'].includes(kind)) return 'unsafe-link';
+  if (!kind && !url.startsWith('//')) {
+    return url === BACK_LINK || (url.startsWith('#') && url.length > 1) ? null : 'relative-link';
+  }
+  const target = normalize(url.startsWith('//') ? `https:${url}` : url);
+  if (repoUrl && (target === normalize(repoUrl) || target.startsWith(normalize(repoUrl) + '/'))) return null;
+  return allowed.has(target) ? null : 'unlisted-link';
+}
+
+// ============================================================
+// Rewriting
+// ============================================================
+
+/** Re-serialize a start tag from its (raw, still-escaped) attribute values. */
+function serializeTag(tag) {
+  const attrs = Object.entries(tag.attrs).map(([name, value]) =>
+    value === '' ? name : value.includes('"') ? `${name}='${value}'` : `${name}="${value}"`);
+  return `<${tag.name}${attrs.length ? ' ' + attrs.join(' ') : ''}${tag.selfClosing ? ' /' : ''}>`;
+}
+
+/** Drop remote url(…) and @import from CSS; calls `found` for each one. */
+function cleanCss(css, found) {
+  return css
+    .replace(/@import\s+[^;]+;?/gi, (rule) => { found(rule.trim()); return ''; })
+    .replace(/url\(\s*(['"]?)([^'")]*)\1\s*\)/gi, (whole, _, url) => {
+      if (!isRemote(decode(url))) return whole;
+      found(url);
+      return 'none';
+    });
+}
+
+/**
+ * Sanitize a generated page.
+ * @param {string} html
+ * @param {{ repoUrl: string | null, readme?: string }} opts
+ *   repoUrl  the repository link (null for repos without one)
+ *   readme   README text whose URLs may be linked
+ * @returns {{ html: string, report: { removed: { rule, detail }[], flagged: { rule, detail }[] } }}
+ */
+export function sanitizePage(html, { repoUrl = null, readme = '' } = {}) {
+  const removed = [];
+  const flagged = [];
+  const remove  = (rule, detail) => removed.length < MAX_FINDINGS && removed.push({ rule, detail: String(detail).slice(0, 200) });
+  const flag    = (rule, detail) => flagged.length < MAX_FINDINGS && flagged.push({ rule, detail: String(detail).slice(0, 200) });
+
+  const allowed = new Set(linksIn(readme).map(normalize));
+  if (repoUrl) allowed.add(normalize(repoUrl.replace(/\/[^/]+\/?$/, ''))); // the owner's profile
+  const policy = { repoUrl, allowed };
+
+  const { tags, invalid } = scanTags(html);
+  const edits = []; // { start, end, text } — applied back to front
+  let skipUntil = -1;
+
+  const closingAfter = (i, name) => tags.findIndex((t, j) => j > i && t.closing && t.name === name);
+
+  tags.forEach((tag, i) => {
+    if (tag.index < skipUntil || tag.closing) return;
+    const dropThrough = (rule, detail) => {
+      const close = tag.selfClosing ? -1 : closingAfter(i, tag.name);
+      const end   = close === -1 ? tag.end : tags[close].end;
+      edits.push({ start: tag.index, end, text: '' });
+      skipUntil = end;
+      remove(rule, detail);
+    };
+
+    // --- Whole elements ---
+    if (DROP_ELEMENTS.has(tag.name)) return dropThrough('embedded-content', `<${tag.name}${tag.attrs.src ? ` src="${tag.attrs.src}"` : ''}>`);
+    if (tag.name === 'script' && tag.attrs.src !== undefined) return dropThrough('external-script', tag.attrs.src);
+    if (tag.name === 'meta' && /^(refresh|content-security-policy)$/i.test(tag.attrs['http-equiv'] || '')) {
+      if (/refresh/i.test(tag.attrs['http-equiv'])) remove('meta-refresh', tag.attrs.content || '');
+      // With its line break, so re-sanitizing a page (--refine) doesn't leave a blank line each time
+      edits.push({ start: tag.index, end: html[tag.end] === '\n' ? tag.end + 1 : tag.end, text: '' });
+      return;
+    }
+    if (tag.name === 'link' && tag.attrs.href && isRemote(decode(tag.attrs.href)) && !/\b(canonical|alternate)\b/i.test(tag.attrs.rel || '')) {
+      edits.push({ start: tag.index, end: tag.end, text: '' });
+      return remove('external-resource', tag.attrs.href);
+    }
+    if (tag.name === 'input' && /^password$/i.test(tag.attrs.type || '')) {
+      edits.push({ start: tag.index, end: tag.end, text: '' });
+      return remove('password-field', serializeTag(tag));
+    }
+
+    // --- Inline code: flagged, not rewritten (the CSP blocks the requests) ---
+    if (tag.name === 'script') {
+      for (const [api, re] of NETWORK_APIS) if (re.test(tag.text || '')) flag('network-api', `${api} in an inline <script>`);
+    }
+    if (tag.name === 'style' && tag.text) {
+      const css = cleanCss(tag.text, (url) => remove('external-resource', url));
+      if (css !== tag.text) edits.push({ start: tag.end, end: tag.end + tag.text.length, text: css });
+    }
+
+    // --- Attributes ---
+    let changed = false;
+    for (const [name, value] of Object.entries(tag.attrs)) {
+      if (name.startsWith('on')) {
+        for (const [api, re] of NETWORK_APIS) if (re.test(value)) flag('network-api', `${api} in ${name}="…" on <${tag.name}>`);
+        continue;
+      }
+      if (name === 'style') {
+        const css = cleanCss(value, (url) => remove('external-resource', url));
+        if (css !== value) { tag.attrs.style = css; changed = true; }
+      } else if (name === 'action' || name === 'formaction') {
+        delete tag.attrs[name]; changed = true;
+        remove('form-action', `<${tag.name} ${name}="${value}">`);
+      } else if (RESOURCE_ATTRS.includes(name) && (isRemote(decode(value)) || /^\s*javascript:/i.test(decode(value)) ||
+                 (name === 'srcset' && /(^|,)\s*(https?:)?\/\//i.test(decode(value))))) {
+        delete tag.attrs[name]; changed = true;
+        remove('external-resource', `<${tag.name} ${name}="${value}">`);
+      } else if ((name === 'href' || name === 'xlink:href') && tag.name !== 'link') {
+        const rule = tag.name === 'a' || tag.name === 'area'
+          ? linkProblem(value, policy)
+          : (isRemote(decode(value)) || scheme(decode(value)) === 'javascript' ? 'external-resource' : null);
+        if (rule) {
+          delete tag.attrs[name]; changed = true;
+          remove(rule, value);
+        }
+      }
+    }
+    if ((tag.name === 'a' || tag.name === 'area') && tag.attrs.target && tag.attrs.href !== undefined && !/noopener/i.test(tag.attrs.rel || '')) {
+      tag.attrs.rel = `${tag.attrs.rel ? tag.attrs.rel + ' ' : ''}noopener noreferrer`;
+      changed = true;
+    }
+    if (tag.name === 'form') {
+      tag.attrs.onsubmit = 'return false'; // nothing a generated page collects should leave it
+      changed = true;
+    }
+    if (changed) edits.push({ start: tag.index, end: tag.end, text: serializeTag(tag) });
+  });
+
+  // A "<" the scanner can't read as a tag may still be one to a browser — drop it rather than guess
+  for (const bad of invalid) {
+    if (edits.some(e => e.text === '' && e.start <= bad.index && bad.index < e.end)) continue;
+    edits.push({ start: bad.index, end: bad.end, text: '' });
+    remove('unparsed-tag', bad.text);
+  }
+
+  let out = html;
+  for (const { start, end, text } of edits.sort((a, b) => b.start - a.start)) {
+    out = out.slice(0, start) + text + out.slice(end);
+  }
+  return { html: addCsp(out), report: { removed, flagged } };
+}
+
+/** Put the CSP meta tag at the top of <head>, after <meta charset> — before any script can run. */
+function addCsp(html) {
+  const meta = `<meta http-equiv="Content-Security-Policy" content="${CSP}">`;
+  if (/<meta\s+charset=[^>]*>/i.test(html)) return html.replace(/<meta\s+charset=[^>]*>/i, (charset) => `${charset}\n${meta}`);
+  if (/<head\b[^>]*>/i.test(html)) return html.replace(/<head\b[^>]*>/i, (open) => `${open}\n${meta}`);
+  if (/<html\b[^>]*>/i.test(html)) return html.replace(/<html\b[^>]*>/i, (open) => `${open}\n<head>\n${meta}\n</head>`);
+  return html.replace(/^(\s*<!DOCTYPE html>)?/i, (doctype) => `${doctype}\n${meta}\n`);
+}
+
+/** One line for the log: "removed 2 (external-script, unlisted-link) · flagged 1 (network-api)". */
+export function summarizeReport({ removed, flagged }) {
+  const part = (label, list) => list.length ? `${label} ${list.length} (${[...new Set(list.map(f => f.rule))].join(', ')})` : null;
+  return [part('removed', removed), part('flagged', flagged)].filter(Boolean).join(' · ') || 'clean';
+}
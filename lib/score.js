@@ -0,0 +1,71 @@
+/**
+ * lib/score.js — Deterministic quality rubric for generated pages
+ *
+ * scorePage(html, { owner, repo, isExternal, repoUrl }) → { score, checks }
+ *   score   0–100, the sum of the checks below
+ *   checks  { parse, rules, budget, sections, links } — points earned per check
+ *
+ *   parse     20  Starts with <!DOCTYPE html> and runs through </html>
+ *   rules     30  SYSTEM prompt rules kept (validatePage failures, −10 each)
+ *   budget    15  600–1,000 lines and under 80 KB, as the prompt asks
+ *   sections  25  Stat tiles, a flow diagram, code blocks and several <section>s
+ *   links     10  Repo links use the exact repository URL (no guessed owner or casing)
+ *
+ * Used to pick the best of several candidates (--candidates); the optional
+ * LLM judge in generate.js is blended in on top.
+ */
+
+import { scanTags, validatePage, repoUrlFor, MAX_BYTES, MAX_LINES } from './validate.js';
+
+export const RUBRIC = { parse: 20, rules: 30, budget: 15, sections: 25, links: 10 };
+
+const PARSE_RULES  = ['doctype', 'truncated'];
+const TARGET_LINES = [600, 1000];
+
+/** Elements whose class attribute matches a pattern. */
+const withClass = (tags, re) => tags.filter(t => !t.closing && re.test(t.attrs.class || '')).length;
+
+/**
+ * Score one page. Pass the page's validation result when it's already known.
+ * @returns {{ score: number, checks: Record<keyof RUBRIC, number> }}
+ */
+export function scorePage(html, target, validation = validatePage(html, target)) {
+  const { tags } = scanTags(html);
+  const failed   = validation.failures.map(f => f.id);
+  const checks   = {};
+
+  checks.parse = Math.max(0, RUBRIC.parse - 10 * failed.filter(id => PARSE_RULES.includes(id)).length);
+
+  const broken = failed.filter(id => !PARSE_RULES.includes(id) && id !== 'budget').length;
+  checks.rules = Math.max(0, RUBRIC.rules - 10 * broken);
+
+  const { bytes, lines } = validation.stats;
+  checks.budget = bytes > MAX_BYTES || lines > MAX_LINES ? 0
+    : lines > TARGET_LINES[1] ? Math.round(RUBRIC.budget * 2 / 3)
+    : lines < TARGET_LINES[0] ? Math.round(RUBRIC.budget * lines / TARGET_LINES[0])
+    : RUBRIC.budget;
+
+  const stats    = withClass(tags, /\bstat/i);
+  const flow     = withClass(tags, /flow|pipeline|diagram|arch|step/i);
+  const code     = tags.filter(t => t.name === 'pre' && !t.closing).length;
+  const sections = tags.filter(t => t.name === 'section' && !t.closing).length;
+  checks.sections = (stats >= 3 ? 7 : stats ? 3 : 0)
+    + (flow >= 3 ? 7 : flow ? 3 : 0)
+    + (code ? 6 : 0)
+    + (sections >= 4 ? 5 : sections >= 2 ? 2 : 0);
+
+  // Near misses: the right repo under another owner, or the right URL in the wrong case
+  const repoUrl = repoUrlFor(target);
+  const host    = repoUrl && new URL(repoUrl).host;
+  const hrefs   = tags.filter(t => !t.closing && t.attrs.href).map(t => t.attrs.href.trim());
+  const guessed = hrefs.filter(h => {
+    if (!repoUrl || h.startsWith(repoUrl) || !/^https?:\/\//i.test(h)) return false;
+    let url;
+    try { url = new URL(h); } catch { return false; }
+    if (url.host.replace(/^www\./, '') !== host) return false;
+    return url.pathname.split('/').slice(2).some(s => s.replace(/\.git$/, '').toLowerCase() === target.repo.toLowerCase());
+  }).length;
+  checks.links = failed.includes('repo-url') ? 0 : Math.max(0, RUBRIC.links - 4 * guessed);
+
+  return { score: Object.values(checks).reduce((a, b) => a + b, 0), checks };
+}
@@ -0,0 +1,260 @@
+/**
+ * lib/scrub.js — Redacts secrets and personal data before repo text leaves the machine
+ *
+ * buildContext() sends the README, the package file, the directory tree and
+ * source files to the model's API. scrubAnalysis() runs over those pieces of
+ * an analysis first and replaces what looks sensitive with `[REDACTED <kind>]`:
+ *   private-key        PEM / OpenSSH / PGP private key blocks
+ *   api-key            well-known token formats (AWS, GitHub, GitLab, Slack, Stripe,
+ *                      Google, OpenAI/Anthropic, npm, SendGrid, Cerebras)
+ *   jwt                JSON Web Tokens
+ *   connection-string  database / queue / mail URLs (postgres://, mongodb+srv://, …)
+ *                      unless they point at localhost without a password
+ *   url-credentials    user:password@ inside any other URL
+ *   secret             values assigned to password / token / secret / api_key / …
+ *                      keys (quoted or in config files; elsewhere only random-looking ones)
+ *   high-entropy       long random-looking quoted strings (Shannon entropy)
+ *   email              email addresses (example domains and GitHub noreply excepted)
+ *   ip                 IPv4 addresses (loopback, 0.0.0.0 and documentation ranges excepted)
+ *
+ * The allowlist (SCRUB_ALLOWLIST, comma-separated, and scrub-allowlist.txt,
+ * one entry per line with # comments) keeps matches as they are. An entry is
+ * the exact text to keep, a /regular expression/ tested against each match,
+ * or `kind:<kind>` to turn a rule off.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { ROOT_DIR } from './manifest.js';
+
+export const ALLOWLIST_FILE = join(ROOT_DIR, 'scrub-allowlist.txt');
+export const KINDS = ['private-key', 'api-key', 'jwt', 'connection-string', 'url-credentials', 'secret', 'high-entropy', 'email', 'ip'];
+
+const MIN_SECRET_LENGTH  = 6;
+const MIN_RANDOM_LENGTH  = 20;
+const RANDOM_ENTROPY     = 3.5; // bits per character — words and identifiers stay well below
+const MIN_HIGH_ENTROPY   = 32;
+const HIGH_ENTROPY       = 4.3; // above what hex (≤ 4) can reach, so commit SHAs and hashes pass
+
+// ============================================================
+// Allowlist
+// ============================================================
+
+/** Parse allowlist entries; throws on an invalid /regex/. */
+function parseAllowlist(entries, origin) {
+  return entries.map(e => e.trim()).filter(Boolean).map((entry) => {
+    if (entry.startsWith('kind:')) {
+      const kind = entry.slice(5).trim();
+      if (!KINDS.includes(kind)) throw new Error(`${origin}: unknown kind "${kind}" (available: ${KINDS.join(', ')})`);
+      return { kind };
+    }
+    const re = entry.match(/^\/(.+)\/([a-z]*)$/);
+    if (!re) return { literal: entry };
+    try {
+      return { pattern: new RegExp(re[1], re[2].replace(/[gy]/g, '')) };
+    } catch (err) {
+      throw new Error(`${origin}: invalid pattern ${entry} — ${err.message}`);
+    }
+  });
+}
+
+/**
+ * The allowlist from SCRUB_ALLOWLIST and scrub-allowlist.txt.
+ * @returns {{ kind?: string, literal?: string, pattern?: RegExp }[]}
+ */
+export function loadAllowlist() {
+  const entries = parseAllowlist((process.env.SCRUB_ALLOWLIST || '').split(','), 'SCRUB_ALLOWLIST');
+  if (existsSync(ALLOWLIST_FILE)) {
+    const lines = readFileSync(ALLOWLIST_FILE, 'utf8').split('\n').map(l => l.replace(/(^|\s)#.*$/, ''));
+    entries.push(...parseAllowlist(lines, 'scrub-allowlist.txt'));
+  }
+  return entries;
+}
+
+const allowed = (allowlist, kind, value) => allowlist.some(a =>
+  a.kind === kind || a.literal === value || (a.pattern && a.pattern.test(value)));
+
+// ============================================================
+// Heuristics
+// ============================================================
+
+/** Shannon entropy in bits per character. */
+export function entropy(text) {
+  const counts = new Map();
+  for (const ch of text) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let bits = 0;
+  for (const n of counts.values()) bits -= (n / text.length) * Math.log2(n / text.length);
+  return bits;
+}
+
+/** Made of words, CamelCase, CAPS and short numbers — a module path or a name, however high its entropy. */
+const wordy = (value) => value.split(/[/._-]+/).every(part => /^([A-Z]?[a-z]+)+$|^[A-Z]+$|^\d{1,4}$|^$/.test(part));
+
+/** Mixed letters and digits with high entropy — a generated key rather than a word or a name. */
+const looksRandom = (value, min = MIN_RANDOM_LENGTH, threshold = RANDOM_ENTROPY) =>
+  value.length >= min && /\d/.test(value) && /[a-z]/i.test(value) && entropy(value) >= threshold && !wordy(value);
+
+// Values that stand for a secret instead of being one: env lookups, templates, examples
+const PLACEHOLDER = /^(\$|\{\{|<|%|\[|\()|process\.env|os\.environ|getenv|secrets\.|your[_-]|example|changeme|change[_-]me|placeholder|xxxx|\*\*\*|\.\.\.|dummy|redacted|^(true|false|null|none|nil|undefined|required|optional|string|str|number|int|bool|boolean|secret|password|token)$/i;
+
+// Files whose `key: value` / `KEY=value` lines are configuration rather than code
+const CONFIG_FILE = /(^|\/)(\.env[\w.-]*|[\w.-]*\.(env|ya?ml|toml|ini|cfg|conf|properties|json)|Dockerfile[\w.-]*|docker-compose[\w.-]*|\.npmrc|\.pypirc|\.netrc)$/i;
+
+const LOCAL_HOST   = /^(localhost|127\.\d+\.\d+\.\d+|0\.0\.0\.0|\[::1\])$/i;
+const EXAMPLE_MAIL = /@((?:[\w-]+\.)*example\.(com|org|net)|(?:[\w-]+\.)*example|localhost|(users\.)?noreply\.github\.com)$/i;
+const FILE_SUFFIX  = /\.(png|jpe?g|gif|svg|webp|avif|ico|js|mjs|ts|css|json|md)$/i;
+// Loopback, netmasks, the private ranges themselves (10.0.0.0/8, …) and documentation addresses
+const SAFE_IP      = /^(0\.0\.0\.0|127\.|255\.|10\.0\.0\.0$|172\.16\.0\.0$|192\.168\.0\.0$|192\.0\.2\.|198\.51\.100\.|203\.0\.113\.)/;
+// Text right before a dotted quad that makes it a version number: v1.2.3.4, "version": "1.2.3.4", FileVersion("1.2.3.4")
+const VERSION_LEAD = /(?:\bv|\bver|version|release|build)["']?[\s:=(]*["']?$/i;
+
+// ============================================================
+// Rules — applied in order, so each sees the text the previous ones left
+// ============================================================
+
+const API_KEYS = [
+  /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g,
+  /\bgithub_pat_[A-Za-z0-9_]{50,}\b/g,
+  /\bglpat-[A-Za-z0-9_-]{20,}/g,
+  /\bxox[abprs]-[A-Za-z0-9-]{10,}/g,
+  /https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9/]+/g,
+  /\b[sr]k_(?:live|test)_[A-Za-z0-9]{16,}\b/g,
+  /\bAIza[0-9A-Za-z_-]{35}/g,
+  /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g,
+  /\bnpm_[A-Za-z0-9]{36}\b/g,
+  /\bSG\.[\w-]{22}\.[\w-]{43}/g,
+  /\bcsk-[A-Za-z0-9]{20,}/g,
+];
+
+/**
+ * Each rule finds matches in `text` and returns [{ index, length, value, keep? }].
+ * `value` is what the allowlist is checked against and what gets redacted;
+ * `keep` is the [prefix, suffix] of the match that stays around the marker.
+ */
+const RULES = [
+  ['private-key', (text) => matches(text,
+    /-----BEGIN [A-Z ]*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY(?: BLOCK)?-----|$)/g)],
+
+  ['api-key', (text) => API_KEYS.flatMap(re => matches(text, re))],
+
+  ['jwt', (text) => matches(text, /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g)],
+
+  ['connection-string', (text) => matches(text,
+    /\b(?:postgres(?:ql)?|mysql|mariadb|mongodb(?:\+srv)?|rediss?|amqps?|mssql|sqlserver|jdbc:[a-z]+|ldaps?|smtps?|s?ftp|nats|kafka):\/\/[^\s'"`<>)]+/gi)
+    .filter(m => {
+      const auth = m.value.match(/^[^:]+(?::[a-z]+)?:\/\/(?:([^@/]*)@)?([^/:?]+)/i);
+      return !auth || /:/.test(auth[1] || '') || !LOCAL_HOST.test(auth[2]);
+    })],
+
+  ['url-credentials', (text) => matches(text, /\b(https?:\/\/)([^\s/:@'"`<>]+:[^\s/@'"`<>]+)@/gi)
+    .map(m => ({ ...m, value: m.groups[1], keep: [m.groups[0], '@'] }))],
+
+  ['secret', (text, { file }) => matches(text,
+    /\b([\w.-]*(?:api[_-]?key|apikey|secret|token|passw(?:or)?d|pwd|private[_-]?key|access[_-]?key|auth[_-]?key|credentials?))(["']?\s*(?::|=|:=|=>)\s*)(["'`]?)([^\s"'`,;()]+)\3/gi)
+    .filter(m => {
+      const [key, , quote, value] = m.groups;
+      if (value.length < MIN_SECRET_LENGTH || PLACEHOLDER.test(value)) return false;
+      if (/^[A-Z][A-Z\d]*(_[A-Z\d]+)+$/.test(value)) return false; // names another variable: token: GITHUB_TOKEN
+      if (/^[a-z]/.test(key) && !quote && /^[A-Za-z_$][\w$]*(\.[\w$]+)+$/.test(value)) return false; // token = req.headers.authorization
+      return quote || CONFIG_FILE.test(file || '') || looksRandom(value);
+    })
+    .map(m => ({ ...m, value: m.groups[3], keep: [m.groups[0] + m.groups[1] + m.groups[2], m.groups[2]] }))],
+
+  ['high-entropy', (text) => matches(text, /(["'`])([A-Za-z0-9+/=_-]{32,})\1/g)
+    .filter(m => /[A-Z]/.test(m.groups[1]) && /[a-z]/.test(m.groups[1]) &&
+                 looksRandom(m.groups[1], MIN_HIGH_ENTROPY, HIGH_ENTROPY))
+    .map(m => ({ ...m, value: m.groups[1], keep: [m.groups[0], m.groups[0]] }))],
+
+  ['email', (text) => matches(text, /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g)
+    .filter(m => !EXAMPLE_MAIL.test(m.value) && !FILE_SUFFIX.test(m.value) && !/^git@/i.test(m.value))],
+
+  ['ip', (text) => matches(text, /(?<![\w.])(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?![\w.]*\d)/g)
+    .filter(m => !SAFE_IP.test(m.value) && !VERSION_LEAD.test(text.slice(Math.max(0, m.index - 16), m.index)))],
+];
+
+function matches(text, re) {
+  return [...text.matchAll(re)].map(m => ({ index: m.index, length: m[0].length, value: m[0], groups: m.slice(1) }));
+}
+
+/** Enough of a value to find it again in the source, never enough to use it. */
+const mask = (value) => `${value.slice(0, 3)}…(${value.length} chars)`;
+
+// ============================================================
+// Scrubbing
+// ============================================================
+
+/**
+ * Redact one piece of text.
+ * @param {string} text
+ * @param {{ file?: string, allowlist?: object[] }} opts  file decides whether config-style `key: value` lines count
+ * @returns {{ text: string, redactions: { kind: string, file: string | null, preview: string }[] }}
+ */
+export function scrubText(text, { file = null, allowlist = [] } = {}) {
+  const redactions = [];
+  let out = String(text ?? '');
+  for (const [kind, find] of RULES) {
+    const found = find(out, { file })
+      .filter(m => !allowed(allowlist, kind, m.value))
+      .sort((a, b) => b.index - a.index);
+    const done = [];
+    let last = Infinity;
+    for (const m of found) {
+      if (m.index + m.length > last) continue; // overlaps one already replaced
+      const [before, after] = m.keep || ['', ''];
+      out  = out.slice(0, m.index) + before + `[REDACTED ${kind}]` + after + out.slice(m.index + m.length);
+      last = m.index;
+      done.push({ kind, file, preview: mask(m.value) });
+    }
+    redactions.push(...done.reverse());
+  }
+  return { text: out, redactions };
+}
+
+/**
+ * Scrub every string of an analysis that reaches the model or the public
+ * manifest: README, package file, directory tree, languages, entry points,
+ * source file names and contents, description and tags.
+ * @returns {{ analysis: object, redactions: { kind, file, preview }[] }} a copy of the analysis
+ */
+export function scrubAnalysis(analysis, { allowlist = [] } = {}) {
+  const redactions = [];
+  const scrub = (text, file) => {
+    if (!text) return text;
+    const result = scrubText(text, { file, allowlist });
+    redactions.push(...result.redactions);
+    return result.text;
+  };
+  const scrubbed = {
+    ...analysis,
+    readme:         scrub(analysis.readme, 'README'),
+    packageFile:    scrub(analysis.packageFile, 'file names'),
+    packageContent: scrub(analysis.packageContent, analysis.packageFile),
+    structure:      scrub(analysis.structure, 'directory tree'),
+    languages:      (analysis.languages || []).map(l => ({ ...l, language: scrub(l.language, 'languages') })),
+    language:       scrub(analysis.language, 'languages'),
+    entryPoints:    (analysis.entryPoints || []).map(e => ({
+      ...e,
+      name:   scrub(e.name, 'entry points'),
+      path:   scrub(e.path, 'entry points'),
+      source: scrub(e.source, 'entry points'),
+    })),
+    sourceFiles:    analysis.sourceFiles.map(sf => ({ ...sf, name: scrub(sf.name, 'file names'), content: scrub(sf.content, sf.name) })),
+    description:    scrub(analysis.description, 'description'),
+    tags:           (analysis.tags || []).map(t => scrub(t, 'tags')),
+  };
+  return { analysis: scrubbed, redactions };
+}
+
+/** "5 — email ×2, api-key, connection-string ×2 (README, docker-compose.yml)" */
+export function summarizeRedactions(redactions) {
+  const count = (values) => [...values.reduce((m, v) => m.set(v, (m.get(v) || 0) + 1), new Map())];
+  const kinds = count(redactions.map(r => r.kind)).map(([k, n]) => n > 1 ? `${k} ×${n}` : k);
+  const files = [...new Set(redactions.map(r => r.file).filter(Boolean))];
+  return `${redactions.length} — ${kinds.join(', ')}${files.length ? ` (${files.join(', ')})` : ''}`;
+}
+
+/** Redactions per kind, for --json events and the manifest: { email: 2, … } */
+export function countRedactions(redactions) {
+  return redactions.reduce((counts, r) => ({ ...counts, [r.kind]: (counts[r.kind] || 0) + 1 }), {});
+}
@@ -0,0 +1,237 @@
+/**
+ * lib/site.js — Static site build (generate.js --build)
+ *
+ * Generated pages carry whatever <head> the model wrote. The build copies the
+ * site — only SITE_ITEMS, never the tooling, sources or stray files next to
+ * them — to _site/ (what the deploy workflow uploads) and, from
+ * repos/manifest.json, adds:
+ *   - per page: canonical URL, meta description, Open Graph and Twitter tags,
+ *     the favicon and a 1200×630 social card (repos/<owner>/<repo>/og.png)
+ *   - the same for the gallery, plus a link to the feed
+ *   - sitemap.xml, robots.txt, feed.xml (Atom, newest pages first) and favicon.png
+ *   - config.json, the public branding from config.js (never committed)
+ * Archived versions get `noindex` and point their canonical URL at the live page.
+ * Curated titles and descriptions (manifest `curation`) win over generated
+ * ones; hidden pages get `noindex` and are left out of the sitemap and feed.
+ *
+ * Absolute URLs need the site's public address: SITE_URL, else siteUrl in
+ * config.js, else the GitHub Pages URL of the `origin` remote.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync, readdirSync, rmSync } from 'fs';
+import { join } from 'path';
+import { execSync } from 'child_process';
+import { ROOT_DIR, readManifest, pagePaths, displayEntry } from './manifest.js';
+import { EXPORT_ITEMS, copyGallery } from './publish.js';
+import { renderSocialCard, renderFavicon, CARD_WIDTH, CARD_HEIGHT } from './ogimage.js';
+
+export const SITE_DIR = join(ROOT_DIR, '_site');
+
+// Everything copied into the site: the export's gallery items and the slides. The build adds
+// favicon.png, og.png, sitemap.xml, robots.txt and feed.xml.
+export const SITE_ITEMS = [...EXPORT_ITEMS, 'slides'];
+const FEED_SIZE = 30;
+
+// ============================================================
+// Site URL
+// ============================================================
+
+/** https://<owner>.github.io/<repo>/ for a GitHub `origin`, else null. */
+function pagesUrlFromOrigin() {
+  try {
+    const origin = execSync('git remote get-url origin', { cwd: ROOT_DIR, stdio: ['pipe', 'pipe', 'pipe'] }).toString().trim();
+    const m = origin.match(/github\.com[:/]([^/]+)\/([^/]+?)(?:\.git)?$/);
+    if (!m) return null;
+    const owner = m[1].toLowerCase();
+    return m[2].toLowerCase() === `${owner}.github.io` ? `https://${owner}.github.io/` : `https://${owner}.github.io/${m[2]}/`;
+  } catch {
+    return null;
+  }
+}
+
+/** The site's public base URL, always ending in "/"; null if it can't be worked out. */
+export function resolveSiteUrl(branding) {
+  const url = (process.env.SITE_URL || '').trim() || branding.siteUrl || pagesUrlFromOrigin();
+  return url ? url.replace(/\/*$/, '/') : null;
+}
+
+// ============================================================
+// <head> tags
+// ============================================================
+
+const esc = (s) => String(s ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Tags the build owns — removed from the page first so they're never doubled
+const OWNED_TAGS = [
+  /<!-- site:build -->[\s\S]*?<!-- \/site:build -->\s*/g,
+  /<link\b[^>]*\brel=["']?(?:canonical|(?:shortcut )?icon|apple-touch-icon)["']?[^>]*>\s*/gi,
+  /<meta\b[^>]*\b(?:name|property)=["']?(?:description|robots|og:[\w:]+|twitter:[\w:]+)["']?[^>]*>\s*/gi,
+];
+
+/**
+ * Replace a page's SEO tags with `meta`. The page's own <title> is kept (one is
+ * added if it has none).
+ */
+export function injectHead(html, { title, description, url, image, favicon, feed, siteName, noindex = false }) {
+  for (const re of OWNED_TAGS) html = html.replace(re, '');
+  const tags = [
+    !/<title[\s>]/i.test(html) && `<title>${esc(title)}</title>`,
+    noindex && '<meta name="robots" content="noindex">',
+    description && `<meta name="description" content="${esc(description)}">`,
+    `<link rel="canonical" href="${esc(url)}">`,
+    `<link rel="icon" type="image/png" href="${esc(favicon)}">`,
+    feed && `<link rel="alternate" type="application/atom+xml" title="${esc(siteName)}" href="${esc(feed)}">`,
+    '<meta property="og:type" content="website">',
+    `<meta property="og:site_name" content="${esc(siteName)}">`,
+    `<meta property="og:title" content="${esc(title)}">`,
+    description && `<meta property="og:description" content="${esc(description)}">`,
+    `<meta property="og:url" content="${esc(url)}">`,
+    image && `<meta property="og:image" content="${esc(image)}">`,
+    image && `<meta property="og:image:width" content="${CARD_WIDTH}">`,
+    image && `<meta property="og:image:height" content="${CARD_HEIGHT}">`,
+    `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">`,
+    `<meta name="twitter:title" content="${esc(title)}">`,
+    description && `<meta name="twitter:description" content="${esc(description)}">`,
+    image && `<meta name="twitter:image" content="${esc(image)}">`,
+  ].filter(Boolean);
+  const block = `<!-- site:build -->\n  ${tags.join('\n  ')}\n  <!-- /site:build -->\n`;
+
+  if (/<\/head>/i.test(html)) return html.replace(/<\/head>/i, `  ${block}</head>`);
+  if (/<html[^>]*>/i.test(html)) return html.replace(/<html[^>]*>/i, (open) => `${open}\n<head>\n  ${block}</head>`);
+  return `<head>\n  ${block}</head>\n${html}`;
+}
+
+/** What a page's description, card and feed entry say when the repo has no description. */
+const describe = (e) => e.description || `A visual overview of the ${e.fullName} repository${e.type && e.type !== 'generic' ? ` (${e.type} project)` : ''}.`;
+
+// ============================================================
+// Sitemap, robots.txt, feed
+// ============================================================
+
+const day = (iso) => (iso || '').slice(0, 10);
+
+function sitemap(siteUrl, entries) {
+  const urls = [
+    { loc: siteUrl, lastmod: day(entries.map(e => e.generatedAt).sort().at(-1)) },
+    ...entries.map(e => ({ loc: siteUrl + e.url, lastmod: day(e.generatedAt) })),
+  ];
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(u => `  <url><loc>${esc(u.loc)}</loc>${u.lastmod ? `<lastmod>${u.lastmod}</lastmod>` : ''}</url>`).join('\n')}
+</urlset>
+`;
+}
+
+/** Crawlers only read robots.txt at a domain's root, so rules use the site's full path. */
+function robots(siteUrl) {
+  const base = new URL(siteUrl).pathname;
+  return `User-agent: *
+Allow: ${base}
+Disallow: ${base}repos/*/*/versions/
+Disallow: ${base}local-manager.html
+
+Sitemap: ${siteUrl}sitemap.xml
+`;
+}
+
+/** Atom feed of the newest pages. */
+function feed(siteUrl, entries, branding) {
+  const newest  = [...entries].sort((a, b) => String(b.generatedAt || '').localeCompare(String(a.generatedAt || ''))).slice(0, FEED_SIZE);
+  const updated = newest[0]?.generatedAt || new Date().toISOString();
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${esc(branding.brandName)}</title>
+  <subtitle>Newly generated repository pages</subtitle>
+  <link href="${esc(siteUrl)}"/>
+  <link rel="self" href="${esc(siteUrl)}feed.xml"/>
+  <id>${esc(siteUrl)}</id>
+  <updated>${updated}</updated>
+${newest.map(e => `  <entry>
+    <title>${esc(e.title === e.repo ? e.fullName : e.title)}</title>
+    <link href="${esc(siteUrl + e.url)}"/>
+    <id>${esc(siteUrl + e.url)}</id>
+    <updated>${e.generatedAt || updated}</updated>
+    <summary>${esc(describe(e))}</summary>
+${(e.tags || []).map(t => `    <category term="${esc(t)}"/>\n`).join('')}  </entry>`).join('\n')}
+</feed>
+`;
+}
+
+// ============================================================
+// Build
+// ============================================================
+
+/**
+ * Build the site into `out` (default _site/, replacing it).
+ * @returns {{ pages: number, versions: number, dir: string }}
+ */
+export function buildSite({ branding, siteUrl, log = () => {}, out = SITE_DIR }) {
+  rmSync(out, { recursive: true, force: true });
+  mkdirSync(out, { recursive: true });
+  copyGallery(out, branding, SITE_ITEMS);
+
+  const siteName = branding.brandName;
+  const card     = (fields) => renderSocialCard({ brand: siteName, accentColor: branding.accentColor, ...fields });
+  writeFileSync(join(out, 'favicon.png'), renderFavicon({ brand: siteName, accentColor: branding.accentColor }));
+
+  // --- Pages ---
+  // Hidden pages (curation) stay at their URL but leave the sitemap, the feed and search results
+  const entries = readManifest().generated.map(displayEntry).filter(e => existsSync(join(out, e.path)));
+  const listed  = entries.filter(e => !e.hidden);
+  let versions = 0;
+  for (const e of entries) {
+    const { dir } = pagePaths(e.owner, e.repo);
+    const url     = siteUrl + e.url;
+    const meta    = {
+      title:       `${e.title} — ${e.owner}`,
+      description: describe(e),
+      url,
+      image:       `${url}og.png`,
+      favicon:     '../../../favicon.png',
+      siteName,
+      noindex:     e.hidden,
+    };
+    const file = join(out, e.path);
+    writeFileSync(file, injectHead(readFileSync(file, 'utf8'), meta));
+    writeFileSync(join(out, dir, 'og.png'), card({
+      title:       e.title,
+      subtitle:    e.isExternal || e.owner.includes('@') ? e.fullName : `by ${e.owner}`,
+      description: meta.description,
+      footer:      [e.type !== 'generic' && e.type, e.language, typeof e.stars === 'number' && `${e.stars.toLocaleString('en-US')} stars`]
+        .filter(Boolean).join('  ·  '),
+    }));
+
+    // Archived versions stay reachable for rollback links, but out of search results
+    const versionsDir = join(out, dir, 'versions');
+    if (!existsSync(versionsDir)) continue;
+    for (const name of readdirSync(versionsDir).filter(n => n.endsWith('.html'))) {
+      const path = join(versionsDir, name);
+      writeFileSync(path, injectHead(readFileSync(path, 'utf8'), { ...meta, favicon: '../../../../favicon.png', noindex: true }));
+      versions++;
+    }
+  }
+  log(`  📄 ${entries.length} page(s) tagged${entries.length > listed.length ? ` (${entries.length - listed.length} hidden, noindex)` : ''}, ${versions} archived version(s) marked noindex`);
+
+  // --- Gallery ---
+  const description = `AI-generated visual pages for ${listed.length} repositor${listed.length === 1 ? 'y' : 'ies'}.`;
+  const gallery     = join(out, 'index.html');
+  if (existsSync(gallery)) {
+    writeFileSync(gallery, injectHead(readFileSync(gallery, 'utf8'), {
+      title: siteName, description, url: siteUrl, image: `${siteUrl}og.png`,
+      favicon: 'favicon.png', feed: `${siteUrl}feed.xml`, siteName,
+    }));
+  }
+  writeFileSync(join(out, 'og.png'), card({ brand: new URL(siteUrl).host, title: siteName, description, footer: branding.attribution }));
+
+  // --- Crawlers and feed readers ---
+  writeFileSync(join(out, 'sitemap.xml'), sitemap(siteUrl, listed));
+  writeFileSync(join(out, 'robots.txt'), robots(siteUrl));
+  writeFileSync(join(out, 'feed.xml'), feed(siteUrl, listed, branding));
+  log('  🗺  sitemap.xml, robots.txt, feed.xml, favicon.png and social cards written');
+
+  return { pages: entries.length, versions, dir: out };
+}
@@ -0,0 +1,261 @@
+/**
+ * lib/sources.js — Where a repo lives, how to reach it and who can see it
+ *
+ * A repo can be given as:
+ *   owner/repo                           GitHub
+ *   https://github.com/owner/repo        any https or ssh URL (git@host:group/repo.git) on GitHub,
+ *                                        GitLab, Gitea, Bitbucket or another git host
+ *   ./repo, /path/to/repo, file:///path  a local checkout — analysed in place, never cloned
+ *
+ * Pages are still keyed by a two-part name (repos/<owner>/<repo>/): owner/repo
+ * on GitHub, <namespace>@<host>/<repo> elsewhere (nested groups joined with
+ * "-") and <parent dir>@local/<dir> for local checkouts. The manifest keeps
+ * the original location as `source`, so --from-manifest finds the repo again.
+ *
+ * Tokens are read from the environment (.env) and handed to git as an HTTP
+ * header through GIT_CONFIG_* variables — never put in a URL, .git/config or
+ * on the command line:
+ *   github.com     GITHUB_TOKEN, else `gh auth token`
+ *   gitlab.com     GITLAB_TOKEN (or GITLAB_HOST for a self-hosted GitLab)
+ *   bitbucket.org  BITBUCKET_TOKEN
+ *   GITEA_HOST     GITEA_TOKEN
+ *   any host       GIT_TOKENS="git.example.com=token,other.host=token"
+ */
+
+import { execFile, execFileSync } from 'child_process';
+import { existsSync, statSync, realpathSync } from 'fs';
+import { homedir } from 'os';
+import { basename, dirname, resolve, relative, isAbsolute } from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import { findManifestEntry } from './manifest.js';
+
+const execFileAsync = promisify(execFile);
+
+// A name segment: no "."/".." (page paths are built from it) and no leading "-" (git would read an option)
+const SEGMENT = /^(?!\.{1,2}$)(?!-)[\w.-]+$/;
+
+// ============================================================
+// Hosts
+// ============================================================
+
+const envHost = (name) => (process.env[name] || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/+$/, '') || null;
+
+/** github | gitlab | gitea | bitbucket | git (anything else) */
+export function hostKind(host) {
+  if (host === 'github.com') return 'github';
+  if (host === 'bitbucket.org') return 'bitbucket';
+  if (host === 'gitlab.com' || host === envHost('GITLAB_HOST') || host.startsWith('gitlab.')) return 'gitlab';
+  if (host === 'codeberg.org' || host === envHost('GITEA_HOST') || host.startsWith('gitea.')) return 'gitea';
+  return 'git';
+}
+
+/** HTTP usernames each host expects alongside a token. */
+const TOKEN_USERS = { github: 'x-access-token', gitlab: 'oauth2', bitbucket: 'x-token-auth', gitea: 'token', git: 'token' };
+
+/**
+ * Path segments that name the repo in a web URL. GitHub, Gitea and Bitbucket
+ * URLs are always owner/repo (anything after is a file or branch view); GitLab
+ * nests groups and ends the project path at "/-/".
+ */
+function repoSegments(host, segments) {
+  if (hostKind(host) === 'gitlab' || hostKind(host) === 'git') {
+    const end = segments.indexOf('-');
+    return end === -1 ? segments : segments.slice(0, end);
+  }
+  return segments.slice(0, 2);
+}
+
+// ============================================================
+// Parsing
+// ============================================================
+
+/**
+ * Parse one repo reference. Returns null when it isn't one.
+ * @returns {null | {
+ *   spec: string, source: string, fullName: string, owner: string, repo: string,
+ *   host: string, namespace: string, local: boolean, localPath: string | null,
+ *   cloneUrl: string | null, webUrl: string | null
+ * }}
+ *   owner/repo   the page's two-part name (see the header); `namespace` is the real owner or group path
+ *   source       where the repo lives, for the manifest: its URL, or the checkout's absolute path
+ *   cloneUrl     what git clones (null for local checkouts)
+ *   webUrl       the public repository link for the page (null for a local checkout without an http remote)
+ */
+export function parseRepoRef(input) {
+  const spec = String(input ?? '').trim().replace(/\/+$/, '');
+  if (!spec || spec.startsWith('-') || /[\0-\x1f]/.test(spec)) return null;
+
+  if (/^file:\/\//i.test(spec)) {
+    try { return localRef(spec, fileURLToPath(spec)); } catch { return null; }
+  }
+  if (/^(\.{1,2}|~)?\//.test(spec) || /^\.{1,2}$/.test(spec) || /^[a-z]:[\\/]/i.test(spec)) {
+    return localRef(spec, spec.replace(/^~(?=\/)/, homedir()));
+  }
+
+  // git@host:group/repo.git  or  ssh://git@host[:port]/group/repo.git
+  const ssh = spec.match(/^ssh:\/\/[\w.-]+@([\w.-]+)(?::\d+)?\/(.+)$/i) || spec.match(/^[\w.-]+@([\w.-]+):(.+)$/);
+  if (ssh) return remoteRef(spec, ssh[1], ssh[2], spec);
+
+  if (/^https?:\/\//i.test(spec)) {
+    let url;
+    try { url = new URL(spec); } catch { return null; }
+    if (url.username || url.password) return null; // tokens belong in .env, not in the repo list
+    return remoteRef(spec, url.host, url.pathname, null);
+  }
+
+  // Our own name for a repo on another host: <namespace>@<host>/<repo>
+  const named = spec.match(/^([\w.-]+)@([\w.-]+\.[\w.:-]+)\/([\w.-]+)$/);
+  if (named) return remoteRef(spec, named[2], `${named[1]}/${named[3]}`, null);
+
+  const gh = spec.match(/^([\w.-]+)\/([\w.-]+?)(?:\.git)?$/);
+  return gh ? remoteRef(spec, 'github.com', `${gh[1]}/${gh[2]}`, null) : null;
+}
+
+/**
+ * parseRepoRef, but a name already in the manifest resolves to the location
+ * it was generated from (its `source`) — pages from other hosts and local
+ * checkouts can't be found from their page name alone.
+ */
+export function resolveRepoRef(input, manifest) {
+  const entry = manifest && findManifestEntry(manifest, String(input ?? '').trim());
+  const ref   = entry?.source ? parseRepoRef(entry.source) : null;
+  return ref && ref.fullName.toLowerCase() === entry.fullName.toLowerCase() ? ref : parseRepoRef(input);
+}
+
+function remoteRef(spec, rawHost, path, sshUrl) {
+  const host = rawHost.toLowerCase().replace(/^www\./, '');
+  const segments = repoSegments(host, decodeURIComponent(path).replace(/^\/+|\/+$/g, '').replace(/\.git$/, '').split('/'));
+  if (segments.length < 2 || !segments.every(s => SEGMENT.test(s))) return null;
+
+  const repo      = segments.pop();
+  const namespace = segments.join('/');
+  const webUrl    = `https://${host}/${namespace}/${repo}`;
+  const github    = host === 'github.com';
+  return {
+    spec,
+    source:    sshUrl || webUrl,
+    fullName:  github ? `${namespace}/${repo}` : `${namespace.replace(/\//g, '-')}@${host.replace(/:/g, '_')}/${repo}`,
+    owner:     github ? namespace : `${namespace.replace(/\//g, '-')}@${host.replace(/:/g, '_')}`,
+    repo,
+    host,
+    namespace,
+    local:     false,
+    localPath: null,
+    cloneUrl:  sshUrl || `${webUrl}.git`,
+    webUrl,
+  };
+}
+
+function localRef(spec, path) {
+  const localPath = resolve(path);
+  const safe      = (s) => s.replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'repo';
+  const owner     = `${safe(basename(dirname(localPath)))}@local`;
+  const repo      = safe(basename(localPath));
+
+  // A checkout of a hosted repo links to its web page; anything else has no public URL
+  let origin = null;
+  try {
+    origin = execFileSync('git', ['-C', localPath, 'remote', 'get-url', 'origin'], { timeout: 5000, stdio: ['ignore', 'pipe', 'ignore'] })
+      .toString().trim();
+  } catch {}
+  const remote = origin && !/^(file:|\.|\/)/.test(origin) ? parseRepoRef(origin) : null;
+
+  return {
+    spec,
+    source:    localPath,
+    fullName:  `${owner}/${repo}`,
+    owner,
+    repo,
+    host:      'local',
+    namespace: owner,
+    local:     true,
+    localPath,
+    cloneUrl:  null,
+    webUrl:    remote?.webUrl ?? null,
+  };
+}
+
+/**
+ * Whether the server's API may generate a page for `ref`: any remote repo, but
+ * a local checkout only inside `root` (LOCAL_REPOS_DIR), symlinks resolved —
+ * otherwise anyone with the API token could have any directory the server can
+ * read sent to the model and published.
+ */
+export function apiRefAllowed(ref, root) {
+  if (!ref.local) return true;
+  if (!root) return false;
+  const real = (p) => { try { return realpathSync(p); } catch { return null; } };
+  const base   = real(resolve(root));
+  const target = real(ref.localPath);
+  if (!base || !target) return false;
+  const rel = relative(base, target);
+  return rel !== '' && !rel.startsWith('..') && !isAbsolute(rel);
+}
+
+/** True if a local checkout exists and is a directory. */
+export function localRepoExists(ref) {
+  return existsSync(ref.localPath) && statSync(ref.localPath).isDirectory();
+}
+
+// ============================================================
+// Authentication
+// ============================================================
+
+let ghCliToken = null; // Promise<string | null>, asked once per process
+
+/** Token for a git host, or null. See the header for where each one comes from. */
+export async function hostToken(host) {
+  for (const pair of (process.env.GIT_TOKENS || '').split(',')) {
+    const eq = pair.indexOf('=');
+    if (eq > 0 && pair.slice(0, eq).trim().toLowerCase() === host) return pair.slice(eq + 1).trim();
+  }
+  if (host === envHost('GITEA_HOST') && process.env.GITEA_TOKEN)  return process.env.GITEA_TOKEN;
+  if (host === envHost('GITLAB_HOST') && process.env.GITLAB_TOKEN) return process.env.GITLAB_TOKEN;
+  if (host === 'gitlab.com')    return process.env.GITLAB_TOKEN || null;
+  if (host === 'bitbucket.org') return process.env.BITBUCKET_TOKEN || null;
+  if (host !== 'github.com')    return null;
+  if (process.env.GITHUB_TOKEN) return process.env.GITHUB_TOKEN;
+
+  ghCliToken ??= execFileAsync('gh', ['auth', 'token'], { timeout: 5000 })
+    .then(({ stdout }) => stdout.trim() || null, () => null);
+  return ghCliToken;
+}
+
+/**
+ * Environment for git commands against a repo: never prompt, and send the
+ * host's token (if any) as an Authorization header on https remotes.
+ */
+export function gitEnv(ref, token) {
+  const env = { ...process.env, GIT_TERMINAL_PROMPT: '0' };
+  if (!token || !/^https:/i.test(ref.cloneUrl || '')) return env;
+  const basic = Buffer.from(`${TOKEN_USERS[hostKind(ref.host)]}:${token}`).toString('base64');
+  return {
+    ...env,
+    GIT_CONFIG_COUNT:   '1',
+    GIT_CONFIG_KEY_0:   `http.https://${ref.host}/.extraHeader`,
+    GIT_CONFIG_VALUE_0: `Authorization: Basic ${basic}`,
+  };
+}
+
+// ============================================================
+// Visibility
+// ============================================================
+
+/**
+ * Whether a repo is private: local checkouts always count as private, hosted
+ * repos are private unless git can read them without credentials. A repo that
+ * can't be reached at all (offline, or it doesn't exist) also counts as private.
+ */
+export async function isPrivateRepo(ref) {
+  if (ref.local) return true;
+  try {
+    await execFileAsync('git', ['-c', 'credential.helper=', 'ls-remote', '--exit-code', `${ref.webUrl}.git`, 'HEAD'], {
+      timeout: 20_000,
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_ASKPASS: '', SSH_ASKPASS: '' },
+    });
+    return false;
+  } catch {
+    return true;
+  }
+}
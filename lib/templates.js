@@ -0,0 +1,131 @@
+/**
+ * lib/templates.js — Visual templates loaded from Markdown files
+ *
+ * Built-in templates live in templates/<name>.md, next to design.css (the CSS
+ * variables every page must use). Directories listed in TEMPLATES_PATH
+ * (default: custom-templates/) are scanned afterwards: a file with a built-in
+ * name overrides it, any other name adds a new template ("game", "docs-site"…).
+ * Forks keep their templates there and never have to patch upstream files.
+ *
+ * Template file format — frontmatter, then the body sent to the model:
+ *   ---
+ *   name: game                 (optional, defaults to the file name)
+ *   title: Game Showcase
+ *   description: One line shown in the manager's template picker
+ *   palette: neon on near-black, pixel accents
+ *   icons: 🎮 🕹️ 👾
+ *   sections: [Hero, Gameplay loop, Controls, Screenshots]
+ *   ---
+ *   - Hero: title screen mock-up with the game's logo
+ *   - …
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { join, resolve, delimiter, basename } from 'path';
+import { ROOT_DIR } from './manifest.js';
+
+export const TEMPLATES_DIR = join(ROOT_DIR, 'templates');
+const DEFAULT_CUSTOM_DIR   = 'custom-templates';
+
+export const isTemplateName = (name) => /^[a-z0-9][a-z0-9-]*$/.test(name);
+
+/** Template directories in load order (later ones win). */
+export function templateDirs(env = process.env) {
+  const custom = (env.TEMPLATES_PATH ?? DEFAULT_CUSTOM_DIR).split(delimiter).filter(Boolean);
+  return [TEMPLATES_DIR, ...custom.map(d => resolve(ROOT_DIR, d))];
+}
+
+// ============================================================
+// Frontmatter
+// ============================================================
+
+/** Parse `key: value` frontmatter; `[a, b]` and indented `- item` lines become arrays. */
+export function parseFrontmatter(text) {
+  const m = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+  if (!m) return { data: {}, body: text };
+
+  const data = {};
+  let listKey = null;
+  for (const line of m[1].split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (item && listKey) { data[listKey].push(unquote(item[1])); continue; }
+
+    const kv = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!kv) throw new Error(`Bad frontmatter line: "${line.trim()}"`);
+    const [, key, raw] = kv;
+    listKey = null;
+    if (!raw) { data[key] = []; listKey = key; }
+    else if (/^\[.*\]$/.test(raw)) data[key] = raw.slice(1, -1).split(',').map(s => unquote(s.trim())).filter(Boolean);
+    else data[key] = unquote(raw);
+  }
+  return { data, body: m[2] };
+}
+
+function unquote(v) {
+  const m = v.match(/^(["'])(.*)\1$/);
+  return m ? m[2].replace(/\\"/g, '"') : v;
+}
+
+// ============================================================
+// Loading
+// ============================================================
+
+/**
+ * Discover every template.
+ * @returns {{ templates: Map<string, object>, designCSS: string, warnings: string[] }}
+ */
+export function loadTemplates({ dirs = templateDirs() } = {}) {
+  const templates = new Map();
+  const warnings  = [];
+  let designCSS   = '';
+
+  for (const dir of dirs) {
+    if (!existsSync(dir)) continue;
+    const builtIn = dir === TEMPLATES_DIR;
+
+    if (existsSync(join(dir, 'design.css'))) designCSS = readFileSync(join(dir, 'design.css'), 'utf8').trim();
+
+    for (const file of readdirSync(dir).filter(f => f.endsWith('.md')).sort()) {
+      try {
+        const { data, body } = parseFrontmatter(readFileSync(join(dir, file), 'utf8'));
+        const name = (data.name || basename(file, '.md')).toLowerCase();
+        if (!isTemplateName(name)) throw new Error(`invalid name "${name}" (use lowercase letters, digits and dashes)`);
+        if (!body.trim()) throw new Error('empty template body');
+
+        templates.set(name, {
+          name,
+          title:       data.title || name,
+          description: data.description || '',
+          palette:     data.palette || '',
+          icons:       data.icons || '',
+          sections:    Array.isArray(data.sections) ? data.sections : data.sections ? [data.sections] : [],
+          body:        body.trim(),
+          builtIn,
+          overridesBuiltIn: !builtIn && Boolean(templates.get(name)?.builtIn),
+          source:      join(dir, file),
+        });
+      } catch (err) {
+        warnings.push(`${join(dir, file)}: ${err.message}`);
+      }
+    }
+  }
+
+  if (!designCSS) warnings.push(`No design.css found in ${dirs.join(', ')}`);
+  return { templates, designCSS, warnings };
+}
+
+/** The template text sent to the model. */
+export function renderTemplate(t) {
+  const lines = [`VISUAL TEMPLATE: ${t.title}`, t.body];
+  if (t.sections.length) lines.push(`- Required sections, in this order: ${t.sections.join(' → ')}`);
+  if (t.palette) lines.push(`- Color palette: ${t.palette}`);
+  if (t.icons)   lines.push(`- Icons: ${t.icons}`);
+  return lines.join('\n');
+}
+
+/** Summary for the API / template picker. */
+export function describeTemplate(t) {
+  const { name, title, description, palette, icons, sections, builtIn, overridesBuiltIn } = t;
+  return { name, title, description, palette, icons, sections, builtIn, overridesBuiltIn };
+}
@@ -0,0 +1,143 @@
+/**
+ * lib/validate.js — Checks a generated page against the SYSTEM prompt's hard rules
+ *
+ * validatePage(html, { owner, repo, isExternal, backLink, repoUrl }) → { ok, failures, stats }
+ *   repoUrl   the link the page must carry; defaults to https://github.com/<owner>/<repo>,
+ *             null for a repo without a public URL (local checkouts)
+ *   failures: [{ id, message }] — one entry per broken rule, phrased as a fix
+ *             instruction so it can be fed straight back to the model.
+ *
+ * buildRepairPrompt(failures) → the follow-up message that does exactly that.
+ */
+
+import { BACK_LINK } from './manifest.js';
+
+export const MAX_BYTES = 80 * 1024;
+export const MAX_LINES = 1200;
+
+// ============================================================
+// Minimal HTML tag scanner
+// ============================================================
+
+/**
+ * Tokenize start/end tags (comments skipped, <script>/<style> bodies treated
+ * as raw text). Returns tags in document order plus any raw-text element that
+ * never closes — the usual sign of a truncated response. Each tag's `index`
+ * and `end` are its offsets in `html` (the tag itself, not its contents).
+ * Anything a browser would still open as a tag but the scanner can't parse is
+ * listed in `invalid` ({ index, end, text }), so callers can drop it.
+ */
+export function scanTags(html) {
+  const tags = [];
+  const unclosed = [];
+  const invalid = [];
+  // Attributes are separated by whitespace or "/" — or by nothing after a quoted
+  // value, as browsers read them: <a href="x"class="y">, <img/src="x">
+  const TAG = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][\w-]*)((?:(?:[\s/]+|(?<=["']))[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)[\s/]*?(\/?)\s*>|(<\/?[a-zA-Z][^>]*>?)/g;
+  let m;
+  while ((m = TAG.exec(html))) {
+    if (m[0].startsWith('<!--')) continue;
+    if (m[5] !== undefined) {
+      invalid.push({ index: m.index, end: TAG.lastIndex, text: m[5] });
+      continue;
+    }
+    const name = m[2].toLowerCase();
+    const tag = { name, closing: m[1] === '/', selfClosing: m[4] === '/', attrs: parseAttrs(m[3] || ''), index: m.index, end: TAG.lastIndex };
+    tags.push(tag);
+
+    if (!tag.closing && (name === 'script' || name === 'style')) {
+      const end = html.toLowerCase().indexOf(`</${name}`, TAG.lastIndex);
+      if (end === -1) { unclosed.push(name); break; }
+      tag.text = html.slice(TAG.lastIndex, end);
+      TAG.lastIndex = end;
+    }
+  }
+  return { tags, unclosed, invalid };
+}
+
+function parseAttrs(str) {
+  const attrs = {};
+  const ATTR = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let m;
+  while ((m = ATTR.exec(str))) {
+    attrs[m[1].toLowerCase()] = m[2] ?? m[3] ?? m[4] ?? '';
+  }
+  return attrs;
+}
+
+const isRemote = (url) => /^(https?:)?\/\//i.test(url.trim());
+
+// ============================================================
+// Validation
+// ============================================================
+
+/** The repository link a page must use (null if it has none). */
+export function repoUrlFor({ owner, repo, repoUrl }) {
+  return repoUrl === undefined ? `https://github.com/${owner}/${repo}` : repoUrl;
+}
+
+export function validatePage(html, { owner, repo, isExternal = false, backLink = BACK_LINK, repoUrl = repoUrlFor({ owner, repo }) }) {
+  const failures = [];
+  const fail = (id, message) => failures.push({ id, message });
+  const { tags, unclosed } = scanTags(html);
+  const open  = (name) => tags.filter(t => t.name === name && !t.closing);
+  const hrefs = tags.filter(t => !t.closing && t.attrs.href !== undefined).map(t => t.attrs.href.trim());
+
+  if (!/^\s*<!DOCTYPE html>/i.test(html)) {
+    fail('doctype', 'The document must start with <!DOCTYPE html>.');
+  }
+
+  const closes = (name) => tags.some(t => t.name === name && t.closing);
+  if (unclosed.length || !closes('body') || !closes('html')) {
+    fail('truncated', `The document is incomplete (missing ${unclosed.length ? `</${unclosed[0]}>` : !closes('body') ? '</body>' : '</html>'}). Output the full page through </html>.`);
+  }
+
+  const externalScripts = open('script').filter(t => t.attrs.src !== undefined).map(t => t.attrs.src);
+  const externalLinks   = open('link')
+    .filter(t => t.attrs.href && isRemote(t.attrs.href) && !/\b(canonical|alternate)\b/i.test(t.attrs.rel || ''))
+    .map(t => t.attrs.href);
+  if (externalScripts.length || externalLinks.length) {
+    fail('external-resources', `Inline all CSS and JavaScript — remove external references: ${[...externalScripts, ...externalLinks].slice(0, 5).join(', ')}.`);
+  }
+
+  if (hrefs.some(h => h === '#')) {
+    fail('hash-links', 'Remove every link with href="#" — each link needs a real destination or must be omitted.');
+  }
+
+  if (repoUrl && !hrefs.some(h => h === repoUrl || h.startsWith(repoUrl + '/') || h.startsWith(repoUrl + '#'))) {
+    fail('repo-url', `Link to the repository using this exact URL: ${repoUrl}`);
+  }
+
+  if (!hrefs.includes(backLink)) {
+    fail('back-link', `Add a "← Back to Explorer" link with href="${backLink}" at the top of the page.`);
+  }
+
+  const scripts = open('script').map(t => t.text || '').join('\n');
+  if (!/data-theme|dataset\.theme/.test(scripts)) {
+    fail('theme-toggle', 'Add a dark/light toggle that switches the data-theme attribute on <html> and persists it to localStorage.');
+  }
+
+  if (isExternal && !new RegExp(`External\\b[^<]{0,40}?[—–-]\\s*${escapeRegExp(owner)}`, 'i').test(html)) {
+    fail('external-badge', `Show an "External — ${owner}" badge near the top of the page, styled in warning orange.`);
+  }
+
+  const bytes = Buffer.byteLength(html, 'utf8');
+  const lines = html.split('\n').length;
+  if (bytes > MAX_BYTES || lines > MAX_LINES) {
+    fail('budget', `The page is ${(bytes / 1024).toFixed(1)} KB / ${lines} lines — cut it to under 80 KB and 1,200 lines by trimming the least important sections.`);
+  }
+
+  return { ok: failures.length === 0, failures, stats: { bytes, lines } };
+}
+
+/** Follow-up instruction listing only the rules the first draft broke. */
+export function buildRepairPrompt(failures) {
+  return `Your page breaks these hard rules:
+${failures.map((f, i) => `${i + 1}. [${f.id}] ${f.message}`).join('\n')}
+
+Fix ONLY these problems and keep everything else as it is. Output the complete corrected HTML document — no preamble, no explanation, no markdown fences. Start with <!DOCTYPE html>.`;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,149 @@
+/**
+ * lib/versions.js — Archived page versions and rollback
+ *
+ * Every generation is kept as <id>.html with an <id>.json sidecar (model,
+ * upstream commit, tokens/sec, validation result), in one of two places:
+ *   tmp/versions/<owner>/<repo>/     unpublished — drafts, candidates that lost and
+ *                                    pages that failed validation; git-ignored, so
+ *                                    never committed or deployed
+ *   repos/<owner>/<repo>/versions/   published — every version that has been live
+ * index.html is a copy of the active version, whose id the manifest entry
+ * records as `activeVersion`; activating a version (a new page, a rollback)
+ * moves it into the published archive first. Pages that fail validation are
+ * archived too, but never activated on their own.
+ *
+ * Ids are the generation time, filesystem-safe and sortable:
+ *   2026-10-18T15-31-53-126Z   (a `-2`, `-3`… suffix if two land in the same millisecond)
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync, readdirSync, copyFileSync, rmSync, renameSync } from 'fs';
+import { join } from 'path';
+import { ROOT_DIR } from './manifest.js';
+
+/** Versions kept per page (PAGE_VERSIONS_KEEP); the active one is never pruned. */
+export const VERSIONS_KEEP = Math.max(1, parseInt(process.env.PAGE_VERSIONS_KEEP, 10) || 10);
+
+export const isVersionId = (id) => /^\d{4}-\d\d-\d\dT\d\d-\d\d-\d\d-\d{3}Z(-\d+)?$/.test(id);
+
+/** Repo-relative archive directories of a page: { published, unpublished }. */
+export function versionDirs(pageDir) {
+  return {
+    published:   `${pageDir}/versions`,
+    unpublished: `tmp/versions/${pageDir.replace(/^repos\//, '')}`,
+  };
+}
+
+function newVersionId(date, dirs) {
+  const base = date.toISOString().replace(/[:.]/g, '-');
+  let id = base;
+  for (let n = 2; dirs.some(dir => existsSync(join(ROOT_DIR, dir, `${id}.html`))); n++) id = `${base}-${n}`;
+  return id;
+}
+
+// ============================================================
+// Archive
+// ============================================================
+
+/**
+ * Archive one generated page, unpublished until it's activated.
+ * @param {string} pageDir  repo-relative page directory (repos/<owner>/<repo>)
+ * @param {string} html
+ * @param {object} meta     provider, model, sourceSha, promptVersion, template, tokens, tps, validation
+ * @returns {object} the version's metadata, including `id` and its repo-relative `path`
+ */
+export function saveVersion(pageDir, html, meta, { createdAt = new Date(), published = false } = {}) {
+  const dirs = versionDirs(pageDir);
+  const dir  = published ? dirs.published : dirs.unpublished;
+  mkdirSync(join(ROOT_DIR, dir), { recursive: true });
+  const id = newVersionId(createdAt, Object.values(dirs));
+  const version = {
+    id,
+    createdAt: createdAt.toISOString(),
+    path:  `${dir}/${id}.html`,
+    bytes: Buffer.byteLength(html, 'utf8'),
+    ...meta,
+  };
+  writeFileSync(join(ROOT_DIR, dir, `${id}.html`), html, 'utf8');
+  writeFileSync(join(ROOT_DIR, dir, `${id}.json`), JSON.stringify(version, null, 2) + '\n');
+  return { ...version, published };
+}
+
+/**
+ * Pages generated before versioning have an index.html but no versions —
+ * archive that page first so a rollback can still reach it.
+ */
+export function archiveExisting(pageDir, entry) {
+  const index = join(ROOT_DIR, pageDir, 'index.html');
+  if (!existsSync(index) || listVersions(pageDir).length) return null;
+  const generatedAt = new Date(entry?.generatedAt);
+  return saveVersion(pageDir, readFileSync(index, 'utf8'), {
+    provider:      entry?.provider ?? null,
+    model:         entry?.model ?? null,
+    sourceSha:     entry?.sourceSha ?? null,
+    promptVersion: entry?.promptVersion ?? null,
+    template:      entry?.template ?? null,
+    tokens:        null,
+    tps:           null,
+    validation:    entry?.validation ?? null,
+    imported:      true,
+  }, { createdAt: Number.isNaN(generatedAt.getTime()) ? new Date() : generatedAt, published: true }); // it was live already
+}
+
+// ============================================================
+// Read
+// ============================================================
+
+function readVersions(dir, published) {
+  if (!existsSync(join(ROOT_DIR, dir))) return [];
+  return readdirSync(join(ROOT_DIR, dir))
+    .filter(f => f.endsWith('.json') && isVersionId(f.slice(0, -5)) && existsSync(join(ROOT_DIR, dir, f.slice(0, -5) + '.html')))
+    .map(f => {
+      try { return { ...JSON.parse(readFileSync(join(ROOT_DIR, dir, f), 'utf8')), path: `${dir}/${f.slice(0, -5)}.html`, published }; } catch { return null; }
+    })
+    .filter(Boolean);
+}
+
+/** Every archived version of a page, published or not (`published`), newest first. */
+export function listVersions(pageDir) {
+  const dirs = versionDirs(pageDir);
+  return [...readVersions(dirs.published, true), ...readVersions(dirs.unpublished, false)]
+    .sort((a, b) => b.id.localeCompare(a.id, 'en', { numeric: true }));
+}
+
+export function findVersion(pageDir, id) {
+  return isVersionId(id) ? listVersions(pageDir).find(v => v.id === id) || null : null;
+}
+
+// ============================================================
+// Activate / prune
+// ============================================================
+
+/** Make a version the live page: move it into the published archive and copy it over index.html. */
+export function activateVersion(pageDir, id) {
+  const version = findVersion(pageDir, id);
+  if (!version) throw new Error(`No version "${id}" of ${pageDir}`);
+  const { published, unpublished } = versionDirs(pageDir);
+  if (!version.published) {
+    mkdirSync(join(ROOT_DIR, published), { recursive: true });
+    renameSync(join(ROOT_DIR, unpublished, `${id}.html`), join(ROOT_DIR, published, `${id}.html`));
+    const { published: _, ...meta } = version;
+    writeFileSync(join(ROOT_DIR, published, `${id}.json`), JSON.stringify({ ...meta, path: `${published}/${id}.html` }, null, 2) + '\n');
+    rmSync(join(ROOT_DIR, unpublished, `${id}.json`), { force: true });
+  }
+  copyFileSync(join(ROOT_DIR, published, `${id}.html`), join(ROOT_DIR, pageDir, 'index.html'));
+}
+
+/** Delete the oldest versions beyond `keep`, never the active one. Returns the removed ids. */
+export function pruneVersions(pageDir, { keep = VERSIONS_KEEP, active = null } = {}) {
+  const removed = listVersions(pageDir).filter(v => v.id !== active).slice(Math.max(0, keep - (active ? 1 : 0)));
+  for (const { path } of removed) {
+    rmSync(join(ROOT_DIR, path), { force: true });
+    rmSync(join(ROOT_DIR, path.replace(/\.html$/, '.json')), { force: true });
+  }
+  return removed.map(v => v.id);
+}
+
+/** Delete a page's unpublished versions (its published ones go with the page directory). */
+export function removeUnpublishedVersions(pageDir) {
+  rmSync(join(ROOT_DIR, versionDirs(pageDir).unpublished), { recursive: true, force: true });
+}
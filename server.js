@@ -2,105 +2,270 @@
 /**
  * server.js — Local generation server
  *
- * Usage: npm start → http://localhost:3200
+ * Usage: npm start → open the http://localhost:3200/#token=… link it prints
  *
  * Architecture: generation runs as a background job (not tied to any HTTP
- * connection). The client polls GET /api/jobs/:id for progress.
+ * connection). Clients either poll GET /api/jobs/:id for progress or subscribe
+ * to GET /api/jobs/:id/events (Server-Sent Events) for live logs, token counts
+ * and partial HTML while the page streams in.
+ *
+ * Access: jobs commit and push with your git credentials, so the server binds
+ * to 127.0.0.1 (HOST), answers only to localhost Host names (no DNS
+ * rebinding), and every /api route needs the per-session token printed at
+ * startup (SERVER_TOKEN to pin it) as `Authorization: Bearer <token>`, or
+ * `?token=` on GETs for EventSource. Browsers may only call it from its own
+ * origin and CORS_ORIGINS. Static files come from an allowlist — never .env,
+ * tmp/ or node_modules — and generated pages (repos/) are sandboxed to an
+ * opaque origin, so they can't act as the manager. The GitHub webhook is the exception: it's
+ * authenticated by its HMAC signature instead (lib/autoregen.js).
  */
 
 import express from 'express';
-import { spawn } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import cors from 'cors';
 import fs from 'fs';
-import crypto from 'crypto';
+import { randomBytes, timingSafeEqual } from 'crypto';
+import dotenv from 'dotenv';
+import { createJobQueue } from './lib/jobs.js';
+import { PROJECT_TYPES } from './lib/detect.js';
+import { loadTemplates, describeTemplate } from './lib/templates.js';
+import { loadBranding, publicBranding } from './lib/branding.js';
+import { readManifest, findManifestEntry, pagePaths, normalizeCuration } from './lib/manifest.js';
+import { listVersions, findVersion } from './lib/versions.js';
+import { resolveRepoRef, apiRefAllowed, hostToken } from './lib/sources.js';
+import { listOwnerRepos } from './lib/github.js';
+import { MAX_INSTRUCTION_LENGTH } from './lib/refine.js';
+import {
+  verifySignature, webhookTrigger, recordDelivery, createDebouncer, createScheduler, DEBOUNCE_MS,
+} from './lib/autoregen.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const app = express();
+// Tokens for private repos (GITHUB_TOKEN, GITLAB_TOKEN…) — workers inherit them
+dotenv.config({ path: path.join(__dirname, '.env') });
+
+const app  = express();
 const PORT = 3200;
+const HOST = process.env.HOST || '127.0.0.1';
+
+// Per-session access token; also written to tmp/server-token for `just open`
+const TOKEN      = process.env.SERVER_TOKEN || randomBytes(24).toString('base64url');
+const TOKEN_FILE = path.join(__dirname, 'tmp', 'server-token');
+
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]', '::1']);
+const LOCAL_BINDING  = LOOPBACK_HOSTS.has(HOST);
+const CORS_ORIGINS   = new Set([
+  `http://localhost:${PORT}`,
+  `http://127.0.0.1:${PORT}`,
+  ...(process.env.CORS_ORIGINS || '').split(',').map(o => o.trim().replace(/\/+$/, '')).filter(Boolean),
+]);
+
+// Served as-is; everything else in the project root (.env, tmp/, node_modules/, lib/…) is not.
+// config.json is generated, so it's built from config.js per request (see below)
+const STATIC_FILES = ['index.html'];
+const STATIC_DIRS  = ['assets', 'repos', 'slides'];
+// Generated pages run with an opaque origin: their scripts work, but they can't read
+// this origin's storage or cookies, or call /api with the manager's credentials
+const SANDBOXED_DIRS = new Set(['repos']);
+const SANDBOX_CSP    = 'sandbox allow-scripts allow-popups allow-popups-to-escape-sandbox';
+
+const MAX_SPEC_LENGTH = 500;
+
+// Local checkouts the API may generate from; without it, only remote repos
+const LOCAL_REPOS_DIR = process.env.LOCAL_REPOS_DIR || null;
+
+const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY, 10) || 1);
 
-// In-memory job store
-const jobs = new Map();
+// Persistent job queue (tmp/jobs.json) — survives restarts, keeps history
+const queue = createJobQueue({
+  file: path.join(__dirname, 'tmp', 'jobs.json'),
+  script: path.join(__dirname, 'generate.js'),
+  cwd: __dirname,
+  concurrency: JOB_CONCURRENCY,
+});
+
+// Automatic regeneration (lib/autoregen.js) — webhooks and schedules share one debounce per page
+const WEBHOOK_SECRET = process.env.GITHUB_WEBHOOK_SECRET || '';
+const WEBHOOK_DIR    = path.join(__dirname, 'tmp', 'webhooks');
+
+const autoRegen = createDebouncer(DEBOUNCE_MS, (fullName, triggers, { force }) => {
+  const reasons = [...new Set(triggers.map(t => t.reason))];
+  if (queue.isQueued(fullName)) {
+    return console.log(`⏭  ${fullName}: already queued — ignoring ${reasons.join(', ')}`);
+  }
+  const manifest = readManifest();
+  const entry    = findManifestEntry(manifest, fullName);
+  const ref      = entry && resolveRepoRef(entry.fullName, manifest);
+  if (!ref) return;
+
+  // Pushes and schedules skip unchanged repos; a release regenerates anyway. A private
+  // repo's page is already in the gallery, so keeping it current needs no new confirmation.
+  const args = force ? [] : ['--changed-only'];
+  if (entry.private) args.push('--publish-private');
+  const kind = triggers.some(t => t.kind === 'webhook') ? 'webhook' : 'schedule';
+  const job  = queue.enqueue([entry.fullName], { args, sources: [ref.source], trigger: { kind, reasons } });
+  console.log(`🔄 ${entry.fullName}: regenerating (${reasons.join(', ')}) — job ${job.id}`);
+});
+
+const scheduler = createScheduler({
+  entries: () => readManifest().generated,
+  stateFile: path.join(__dirname, 'tmp', 'schedule.json'),
+  onDue: (entry) => autoRegen.trigger(entry.fullName, { kind: 'schedule', reason: `schedule ${entry.schedule}` }),
+  log: console.log,
+});
+
+function tokenMatches(given) {
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(TOKEN);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// POST /api/webhooks/github — push and release events for repos in the manifest → a debounced
+// regeneration. Signed with GITHUB_WEBHOOK_SECRET (X-Hub-Signature-256) instead of the access
+// token, and registered before the Host check so a tunnel (smee.io, ngrok…) can deliver it.
+app.post('/api/webhooks/github', express.json({ limit: '25mb', verify: (req, res, buf) => { req.rawBody = buf; } }), (req, res) => {
+  if (!WEBHOOK_SECRET) {
+    return res.status(503).json({ error: 'Webhooks are off — set GITHUB_WEBHOOK_SECRET' });
+  }
+  if (!req.rawBody) {
+    return res.status(415).json({ error: 'Set the webhook\'s content type to application/json' });
+  }
+  if (!verifySignature(WEBHOOK_SECRET, req.rawBody, req.get('X-Hub-Signature-256'))) {
+    return res.status(401).json({ error: 'Bad or missing X-Hub-Signature-256' });
+  }
+
+  const event    = req.get('X-GitHub-Event');
+  const delivery = req.get('X-GitHub-Delivery');
+  recordDelivery(WEBHOOK_DIR, { event, delivery, payload: req.body });
+  if (event === 'ping') return res.json({ ok: true });
+
+  const trigger = webhookTrigger(event, req.body);
+  const entry   = trigger.fullName && findManifestEntry(readManifest(), trigger.fullName);
+  if (!entry) {
+    return res.status(202).json({ ignored: trigger.ignored || `${trigger.fullName} has no page` });
+  }
+  const triggers = autoRegen.trigger(entry.fullName, { kind: 'webhook', reason: trigger.reason }, { force: trigger.force });
+  console.log(`🪝 ${entry.fullName}: ${trigger.reason} — regenerating in ${DEBOUNCE_MS / 1000}s unless more arrive`);
+  res.status(202).json({ repo: entry.fullName, reason: trigger.reason, pending: triggers, debounceSeconds: DEBOUNCE_MS / 1000 });
+});
 
 // Middleware
-app.use(cors());
+// A page on another site can't reach the server by resolving its own name to 127.0.0.1
+app.use((req, res, next) => {
+  if (LOCAL_BINDING && !LOOPBACK_HOSTS.has(req.hostname)) {
+    return res.status(421).json({ error: `Host "${req.hostname}" not allowed — open http://localhost:${PORT}` });
+  }
+  next();
+});
+app.use(cors({ origin: (origin, cb) => cb(null, CORS_ORIGINS.has(origin)), allowedHeaders: ['Content-Type', 'Authorization'] }));
 app.use(express.json());
 
+// /api/* — allowed origins only (CORS alone doesn't stop a cross-site POST), and the token
+app.use('/api', (req, res, next) => {
+  const origin = req.get('Origin');
+  if (origin && !CORS_ORIGINS.has(origin)) {
+    return res.status(403).json({ error: `Origin ${origin} not allowed (CORS_ORIGINS)` });
+  }
+  const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i)?.[1];
+  const query  = req.method === 'GET' ? req.query.token : null;
+  if (!tokenMatches(bearer ?? query)) {
+    return res.status(401).json({ error: 'Missing or wrong access token — use the link server.js printed at startup' });
+  }
+  next();
+});
+
 // GET / — serve the manager UI directly
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'local-manager.html'));
 });
 
 // Static files — AFTER custom routes so / serves local-manager, not index.html
-app.use(express.static(__dirname));
+for (const file of STATIC_FILES) {
+  app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+}
+// The gallery's branding — the same as /api/config, at the path the static site uses
+app.get('/config.json', async (req, res) => {
+  try {
+    res.json(publicBranding(await loadBranding()));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+for (const dir of STATIC_DIRS) {
+  const setHeaders = SANDBOXED_DIRS.has(dir) ? (res) => res.setHeader('Content-Security-Policy', SANDBOX_CSP) : undefined;
+  app.use(`/${dir}`, express.static(path.join(__dirname, dir), { dotfiles: 'ignore', setHeaders }));
+}
 
 // POST /api/generate — start generation as background job, return job ID
 app.post('/api/generate', (req, res) => {
-  const { repos } = req.body;
+  const { repos, type, templates = {}, candidates = 1, judge = false, publishPrivate = false } = req.body;
 
   if (!repos || !Array.isArray(repos) || repos.length === 0) {
     return res.status(400).json({ error: 'No repos provided' });
   }
-
-  if (repos.length > 5) {
-    return res.status(400).json({ error: 'Maximum 5 repos per generation' });
+  if (!repos.every(spec => typeof spec === 'string' && spec.length <= MAX_SPEC_LENGTH)) {
+    return res.status(400).json({ error: `repos must be strings of up to ${MAX_SPEC_LENGTH} characters` });
   }
 
-  const jobId = crypto.randomUUID();
-  const job = {
-    id: jobId,
-    status: 'running',    // running | success | error
-    logs: [],
-    startedAt: Date.now(),
-  };
-  jobs.set(jobId, job);
-
-  // Spawn generate.js — runs in background, NOT tied to this request
-  const args = [path.join(__dirname, 'generate.js'), ...repos];
-  const child = spawn(process.execPath, args, {
-    cwd: __dirname,
-    env: { ...process.env }
-  });
+  // owner/repo or repo URLs (lib/sources.js), and local paths only under LOCAL_REPOS_DIR; the job is
+  // keyed by page name. Only what parseRepoRef accepts reaches generate.js — never anything it would
+  // read as an option.
+  const manifest = readManifest();
+  const refs = repos.map(spec => resolveRepoRef(spec, manifest));
+  const bad  = repos.filter((_, i) => !refs[i]);
+  if (bad.length) {
+    return res.status(400).json({ error: `Not a repo: ${bad.map(String).join(', ')}` });
+  }
+  const local = repos.filter((_, i) => !apiRefAllowed(refs[i], LOCAL_REPOS_DIR));
+  if (local.length) {
+    return res.status(403).json({
+      error: `Local paths can't be generated through the server${LOCAL_REPOS_DIR ? ` outside ${LOCAL_REPOS_DIR}` : ' (set LOCAL_REPOS_DIR to allow one directory)'}: ${local.join(', ')}`,
+    });
+  }
 
-  child.stdout.on('data', (data) => {
-    const lines = data.toString().split('\n').filter(l => l.trim());
-    lines.forEach(line => job.logs.push({ type: 'stdout', message: line, ts: Date.now() }));
-  });
+  if (type !== undefined && type !== 'auto' && !PROJECT_TYPES.includes(type)) {
+    return res.status(400).json({ error: `Unknown type "${type}"` });
+  }
 
-  child.stderr.on('data', (data) => {
-    const lines = data.toString().split('\n').filter(l => l.trim());
-    lines.forEach(line => job.logs.push({ type: 'stderr', message: line, ts: Date.now() }));
-  });
+  if (!Number.isInteger(candidates) || candidates < 1 || candidates > 8) {
+    return res.status(400).json({ error: 'candidates must be a whole number from 1 to 8' });
+  }
 
-  child.on('close', (code, signal) => {
-    if (code === 0) {
-      job.status = 'success';
-      job.logs.push({ type: 'success', message: 'Generation completed successfully!', ts: Date.now() });
-    } else {
-      job.status = 'error';
-      job.logs.push({ type: 'error', message: `Generation failed (exit code ${code}, signal ${signal})`, ts: Date.now() });
+  // Per-repo template picks: { "owner/repo": "name" | "auto" }
+  if (typeof templates !== 'object' || Array.isArray(templates)) {
+    return res.status(400).json({ error: 'templates must be an object of { "owner/repo": "name" }' });
+  }
+  const available = loadTemplates().templates;
+  const args = type ? ['--type', type] : [];
+  if (candidates > 1) args.push('--candidates', String(candidates));
+  if (judge) args.push('--judge');
+  if (publishPrivate) args.push('--publish-private');
+  for (const [spec, name] of Object.entries(templates)) {
+    const i = repos.indexOf(spec);
+    if (i === -1) continue;
+    if (name !== 'auto' && !available.has(name)) {
+      return res.status(400).json({ error: `Unknown template "${name}"` });
     }
-    job.finishedAt = Date.now();
-    // Clean up old jobs after 30 minutes
-    setTimeout(() => jobs.delete(jobId), 30 * 60 * 1000);
-  });
+    args.push('--template', `${refs[i].fullName}=${name}`);
+  }
 
-  child.on('error', (err) => {
-    job.status = 'error';
-    job.logs.push({ type: 'error', message: `Failed to start: ${err.message}`, ts: Date.now() });
-    job.finishedAt = Date.now();
-  });
+  // Queued; starts as soon as a worker is free and no running job holds these repos
+  const job = queue.enqueue(refs.map(r => r.fullName), { args, sources: refs.map(r => r.source) });
 
   // Return immediately with job ID
-  res.json({ jobId });
+  res.json({ jobId: job.id, status: job.status });
 });
 
-// GET /api/jobs/:id — poll job status and logs
+// GET /api/jobs — job history (newest first) with durations and exit codes
+app.get('/api/jobs', (req, res) => {
+  res.json({ concurrency: queue.concurrency, jobs: queue.list() });
+});
+
+// GET /api/jobs/:id — poll job status, per-repo state (repoState) and logs
 app.get('/api/jobs/:id', (req, res) => {
-  const job = jobs.get(req.params.id);
+  const job = queue.get(req.params.id);
   if (!job) {
     return res.status(404).json({ error: 'Job not found' });
   }
@@ -108,15 +273,89 @@ app.get('/api/jobs/:id', (req, res) => {
   // Support ?since=<index> to get only new log lines
   const since = parseInt(req.query.since) || 0;
   res.json({
-    id: job.id,
-    status: job.status,
+    ...queue.summary(job),
     logs: job.logs.slice(since),
     totalLogs: job.logs.length,
-    startedAt: job.startedAt,
-    finishedAt: job.finishedAt || null,
+    progress: Object.fromEntries(
+      Object.entries(job.progress).map(([repo, p]) => [repo, { tokens: p.tokens, tps: p.tps }])
+    ),
+  });
+});
+
+// DELETE /api/jobs/:id — cancel a queued job or kill a running one
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = queue.cancel(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(queue.summary(job));
+});
+
+// GET /api/jobs/:id/events — live job stream (Server-Sent Events)
+//   event: log       { type, message, ts, repo? }
+//   event: progress  { repo, tokens, tps, delta, reset } — or { repo, tokens, tps, html } on connect
+//   event: repo      { repo, outcome, phase, status, type, tokens, tps, bytes, error, … } — see lib/jobs.js
+//   event: summary   generate.js's final summary (generated, skipped, failed, commit)
+//   event: status    { status, finishedAt?, exitCode? } — queued → running → success | error | cancelled
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = queue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+  res.flushHeaders();
+
+  // Replay what happened before this client connected
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  job.logs.forEach(entry => send('log', entry));
+  for (const [repo, p] of Object.entries(job.progress)) {
+    send('progress', { repo, tokens: p.tokens, tps: p.tps, html: p.html });
+  }
+  for (const [repo, state] of Object.entries(job.repoState)) send('repo', { repo, ...state });
+  if (job.result) send('summary', job.result);
+
+  if (['success', 'error', 'cancelled'].includes(job.status)) {
+    send('status', { status: job.status, finishedAt: job.finishedAt, exitCode: job.exitCode });
+    return res.end();
+  }
+
+  job.listeners.add(res);
+  req.on('close', () => job.listeners.delete(res));
+});
+
+// GET /api/autoregen — webhook status, debounced regenerations waiting to start and scheduled pages
+app.get('/api/autoregen', (req, res) => {
+  res.json({
+    webhooks: Boolean(WEBHOOK_SECRET),
+    debounceSeconds: DEBOUNCE_MS / 1000,
+    pending: autoRegen.list().map(({ key, reasons }) => ({ repo: key, reasons: reasons.map(r => r.reason) })),
+    schedules: scheduler.list(),
+  });
+});
+
+// GET /api/templates — visual templates for the manager's picker (re-scanned per request)
+app.get('/api/templates', (req, res) => {
+  const { templates, warnings } = loadTemplates();
+  res.json({
+    templates: [...templates.values()].map(describeTemplate).sort((a, b) => a.name.localeCompare(b.name)),
+    warnings,
   });
 });
 
+// GET /api/config — branding from config.js (re-read when the file changes)
+app.get('/api/config', async (req, res) => {
+  try {
+    res.json(publicBranding(await loadBranding()));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // GET /api/manifest — reload manifest.json
 app.get('/api/manifest', (req, res) => {
   try {
@@ -132,19 +371,187 @@ app.get('/api/manifest', (req, res) => {
   }
 });
 
+// GET /api/github/repos?owner= — every repo of a GitHub user or org for the manager, through
+// the server so the token (GITHUB_TOKEN or `gh auth token`) never reaches the browser. All pages
+// are followed and cached on disk with ETags (lib/github.js); each repo says whether it has a page.
+app.get('/api/github/repos', async (req, res) => {
+  const owner = String(req.query.owner || '').trim();
+  if (!/^[\w.-]+$/.test(owner)) {
+    return res.status(400).json({ error: 'owner must be a GitHub user or organisation name' });
+  }
+  try {
+    const listing  = await listOwnerRepos(owner, { token: await hostToken('github.com') });
+    const manifest = readManifest();
+    res.json({
+      ...listing,
+      repos: listing.repos.map(r => {
+        const entry = findManifestEntry(manifest, r.full_name);
+        return {
+          name: r.name,
+          full_name: r.full_name,
+          owner: { login: r.owner.login },
+          description: r.description,
+          language: r.language,
+          stargazers_count: r.stargazers_count,
+          forks_count: r.forks_count,
+          topics: r.topics || [],
+          default_branch: r.default_branch,
+          updated_at: r.updated_at,
+          pushed_at: r.pushed_at,
+          html_url: r.html_url,
+          private: r.private,
+          fork: r.fork,
+          archived: r.archived,
+          page: entry ? { url: entry.url, generatedAt: entry.generatedAt, score: entry.score ?? null } : null,
+        };
+      }),
+    });
+  } catch (err) {
+    res.status([404, 429].includes(err.status) ? err.status : 502).json({ error: err.message });
+  }
+});
+
+// GET /api/pages/:owner/:repo/versions — archived generations (newest first) and the active one
+app.get('/api/pages/:owner/:repo/versions', (req, res) => {
+  const entry = findManifestEntry(readManifest(), `${req.params.owner}/${req.params.repo}`);
+  if (!entry) {
+    return res.status(404).json({ error: 'No generated page for this repo' });
+  }
+  res.json({
+    fullName: entry.fullName,
+    path: entry.path,
+    private: Boolean(entry.private),
+    activeVersion: entry.activeVersion ?? null,
+    versions: listVersions(pagePaths(entry.owner, entry.repo).dir),
+  });
+});
+
+// GET /api/pages/:owner/:repo/versions/:id — one version's HTML, for previews. Unpublished versions live in
+// tmp/, which isn't served; the manager loads them into a sandboxed srcdoc frame.
+app.get('/api/pages/:owner/:repo/versions/:id', (req, res) => {
+  const entry   = findManifestEntry(readManifest(), `${req.params.owner}/${req.params.repo}`);
+  const version = entry && findVersion(pagePaths(entry.owner, entry.repo).dir, req.params.id);
+  if (!version) {
+    return res.status(404).json({ error: 'Unknown version' });
+  }
+  res.setHeader('Content-Security-Policy', SANDBOX_CSP);
+  res.sendFile(path.join(__dirname, version.path));
+});
+
+// POST /api/pages/:owner/:repo/rollback { version, publishPrivate } — republish an archived version.
+// Runs as a job (generate.js --rollback) so it waits for any generation of the repo and commits like one.
+app.post('/api/pages/:owner/:repo/rollback', (req, res) => {
+  const entry = findManifestEntry(readManifest(), `${req.params.owner}/${req.params.repo}`);
+  if (!entry) {
+    return res.status(404).json({ error: 'No generated page for this repo' });
+  }
+  const { version, publishPrivate = false } = req.body || {};
+  if (!findVersion(pagePaths(entry.owner, entry.repo).dir, version)) {
+    return res.status(404).json({ error: `Unknown version "${version}"` });
+  }
+
+  const args = ['--rollback', version];
+  if (publishPrivate) args.push('--publish-private');
+  const job = queue.enqueue([entry.fullName], { args });
+  res.json({ jobId: job.id, status: job.status });
+});
+
+// POST /api/pages/:owner/:repo/refine { instruction, from?, publish?, publishPrivate? } — edit a page with
+// a natural-language instruction (generate.js --refine, lib/refine.js). The result is archived as a draft
+// version to compare with the live page (the job summary's `refined.version`) and published through
+// /rollback; with `publish: true` it goes live and is committed right away. `from` continues from an
+// earlier draft.
+app.post('/api/pages/:owner/:repo/refine', (req, res) => {
+  const entry = findManifestEntry(readManifest(), `${req.params.owner}/${req.params.repo}`);
+  if (!entry) {
+    return res.status(404).json({ error: 'No generated page for this repo' });
+  }
+  const { instruction, from, publish = false, publishPrivate = false } = req.body || {};
+  if (typeof instruction !== 'string' || !instruction.trim() || instruction.length > MAX_INSTRUCTION_LENGTH) {
+    return res.status(400).json({ error: `instruction must be text of 1–${MAX_INSTRUCTION_LENGTH} characters` });
+  }
+  if (from !== undefined && !findVersion(pagePaths(entry.owner, entry.repo).dir, from)) {
+    return res.status(404).json({ error: `Unknown version "${from}"` });
+  }
+
+  const args = ['--refine', instruction.trim()];
+  if (from) args.push('--from', from);
+  if (!publish) args.push('--draft');
+  if (publishPrivate) args.push('--publish-private');
+  const job = queue.enqueue([entry.fullName], { args });
+  res.json({ jobId: job.id, status: job.status });
+});
+
+// PATCH /api/pages/:owner/:repo { hidden?, pinned?, order?, title?, description?, tags? } — curate the
+// gallery entry (null clears a field). Validated here, then run as a job (generate.js --set) that commits.
+app.patch('/api/pages/:owner/:repo', (req, res) => {
+  const entry = findManifestEntry(readManifest(), `${req.params.owner}/${req.params.repo}`);
+  if (!entry) {
+    return res.status(404).json({ error: 'No generated page for this repo' });
+  }
+  let changes;
+  try {
+    changes = normalizeCuration(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (!Object.keys(changes).length) {
+    return res.status(400).json({ error: 'Nothing to change' });
+  }
+
+  const args = Object.entries(changes).flatMap(([key, value]) =>
+    ['--set', `${key}=${value === null ? '' : Array.isArray(value) ? value.join(',') : value}`]);
+  const job = queue.enqueue([entry.fullName], { args });
+  res.json({ jobId: job.id, status: job.status, changes });
+});
+
+// DELETE /api/pages/:owner/:repo — delete the page, its versions and manifest entry (generate.js --delete)
+app.delete('/api/pages/:owner/:repo', (req, res) => {
+  const entry = findManifestEntry(readManifest(), `${req.params.owner}/${req.params.repo}`);
+  if (!entry) {
+    return res.status(404).json({ error: 'No generated page for this repo' });
+  }
+  const job = queue.enqueue([entry.fullName], { args: ['--delete'] });
+  res.json({ jobId: job.id, status: job.status });
+});
+
 // Start server
-app.listen(PORT, () => {
-  console.log(`\n🚀 Repository Explorer running at http://localhost:${PORT}`);
-  console.log(`📁 Serving from: ${__dirname}\n`);
+// Fail fast on a broken config.js rather than serving half-branded apps
+const branding = await loadBranding().catch((err) => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
+
+fs.mkdirSync(path.dirname(TOKEN_FILE), { recursive: true });
+fs.writeFileSync(TOKEN_FILE, `${TOKEN}\n`, { mode: 0o600 });
+fs.chmodSync(TOKEN_FILE, 0o600);
+
+app.listen(PORT, HOST, () => {
+  console.log(`\n🚀 ${branding.brandName} running at http://localhost:${PORT}/#token=${TOKEN}`);
+  console.log(`🔑 Access token: ${TOKEN}${process.env.SERVER_TOKEN ? ' (SERVER_TOKEN)' : ' (new every start — set SERVER_TOKEN to keep one)'}`);
+  if (!LOCAL_BINDING) console.log(`⚠️  Listening on ${HOST} — reachable from other machines; anyone with the token can run jobs`);
+  console.log(`📁 Serving from: ${__dirname} (${[...STATIC_FILES, 'config.json', ...STATIC_DIRS.map(d => `${d}/`)].join(', ')})`);
+  console.log(`⚙️  Job workers: ${JOB_CONCURRENCY} (JOB_CONCURRENCY)`);
+  console.log(WEBHOOK_SECRET
+    ? `🪝 Webhooks: POST /api/webhooks/github (debounce ${DEBOUNCE_MS / 1000}s)`
+    : '🪝 Webhooks: off (set GITHUB_WEBHOOK_SECRET)');
+  scheduler.start();
+  console.log(`🗓  Scheduled pages: ${scheduler.list().length}\n`);
 });
 
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
   console.log('\n👋 Shutting down server...');
+  scheduler.stop();
+  autoRegen.cancelAll();
+  queue.shutdown();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('\n👋 Shutting down server...');
+  scheduler.stop();
+  autoRegen.cancelAll();
+  queue.shutdown();
   process.exit(0);
 });
\ No newline at end of file
@@ -0,0 +1,96 @@
+/**
+ * test/autoregen.test.js — lib/autoregen.js: webhook signatures and triggers
+ * against recorded deliveries (test/fixtures/webhooks/), and per-repo debouncing
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createHmac } from 'node:crypto';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { verifySignature, webhookTrigger, createDebouncer } from '../lib/autoregen.js';
+
+const SECRET = 'test-webhook-secret';
+
+/** A recorded delivery, and its body as GitHub sends it (what `just replay-webhook` signs). */
+function delivery(name) {
+  const recorded = JSON.parse(readFileSync(new URL(`./fixtures/webhooks/${name}.json`, import.meta.url), 'utf8'));
+  return { ...recorded, body: Buffer.from(JSON.stringify(recorded.payload)) };
+}
+
+const sign = (secret, body) => `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+
+// ============================================================
+// Signatures
+// ============================================================
+
+test('a signature made with the secret is accepted', () => {
+  for (const name of ['push', 'ping']) {
+    const { body } = delivery(name);
+    assert.equal(verifySignature(SECRET, body, sign(SECRET, body)), true);
+  }
+  // GitHub's documented example
+  assert.equal(verifySignature("It's a Secret to Everybody", Buffer.from('Hello, World!'),
+    'sha256=757107ea0eb2509fc211221cce984b8a37570b6d7586c22c46f4379c8b043e17'), true);
+});
+
+test('a wrong secret, a changed body or a malformed header is rejected', () => {
+  const { body } = delivery('push');
+  const tampered = Buffer.from(body.toString().replace('refs/heads/main', 'refs/heads/evil'));
+  assert.equal(verifySignature(SECRET, body, sign('another-secret', body)), false);
+  assert.equal(verifySignature(SECRET, tampered, sign(SECRET, body)), false);
+  assert.equal(verifySignature(SECRET, body, sign(SECRET, body).replace('sha256=', 'sha1=')), false);
+  assert.equal(verifySignature(SECRET, body, sign(SECRET, body).slice(0, -2)), false);
+  assert.equal(verifySignature(SECRET, body, undefined), false);
+  assert.equal(verifySignature('', body, sign('', body)), false);
+});
+
+// ============================================================
+// Triggers
+// ============================================================
+
+test('a push to the default branch regenerates the repo', () => {
+  const { event, payload } = delivery('push');
+  assert.deepEqual(webhookTrigger(event, payload), { fullName: 'alice/demo', reason: 'push to main (59b20b8)', force: false });
+});
+
+test('pushes to other branches, deleted branches and pings are ignored', () => {
+  const { payload } = delivery('push');
+  assert.deepEqual(webhookTrigger('push', { ...payload, ref: 'refs/heads/feature' }), { ignored: 'push to refs/heads/feature, not main' });
+  assert.deepEqual(webhookTrigger('push', { ...payload, deleted: true }), { ignored: 'refs/heads/main was deleted' });
+  const ping = delivery('ping');
+  assert.deepEqual(webhookTrigger(ping.event, ping.payload), { ignored: 'ping events don\'t regenerate pages' });
+  assert.deepEqual(webhookTrigger('push', { zen: 'no repository' }), { ignored: 'push event without a repository' });
+});
+
+// ============================================================
+// Debounce
+// ============================================================
+
+test('a burst of triggers fires once per repo, with every reason', async () => {
+  const fired = [];
+  const debouncer = createDebouncer(100, (key, reasons, opts) => fired.push({ key, reasons, ...opts }));
+  assert.equal(debouncer.trigger('alice/demo', 'push 1'), 1);
+  assert.equal(debouncer.trigger('bob/tool', 'daily'), 1);
+  await sleep(50);
+  assert.equal(debouncer.trigger('alice/demo', 'push 2'), 2);
+  assert.equal(debouncer.trigger('alice/demo', 'release v1', { force: true }), 3);
+  assert.deepEqual(debouncer.list().map(p => p.key).sort(), ['alice/demo', 'bob/tool']);
+
+  await sleep(75); // bob/tool's quiet period is over, alice/demo's was restarted
+  assert.deepEqual(fired, [{ key: 'bob/tool', reasons: ['daily'], force: false }]);
+  await sleep(100);
+  assert.deepEqual(fired[1], { key: 'alice/demo', reasons: ['push 1', 'push 2', 'release v1'], force: true });
+  assert.equal(fired.length, 2);
+  assert.deepEqual(debouncer.list(), []);
+});
+
+test('cancelAll drops pending triggers', async () => {
+  const fired = [];
+  const debouncer = createDebouncer(10, (key) => fired.push(key));
+  debouncer.trigger('alice/demo', 'push');
+  debouncer.cancelAll();
+  await sleep(30);
+  assert.deepEqual(fired, []);
+  assert.deepEqual(debouncer.list(), []);
+});
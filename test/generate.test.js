@@ -0,0 +1,121 @@
+/**
+ * test/generate.test.js — generate.js end to end: the fixture provider on a
+ * checkout, in a copy of the gallery, checked through the page and manifest
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, cpSync, writeFileSync, readFileSync, existsSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { createServer } from 'node:http';
+import { execFile, execFileSync } from 'node:child_process';
+import { promisify } from 'node:util';
+import { ROOT_DIR, BACK_LINK } from '../lib/manifest.js';
+
+const execFileAsync = promisify(execFile);
+
+// What generate.js needs to run; everything it writes lands next to it
+const GALLERY_FILES = ['generate.js', 'package.json', 'index.html', 'lib', 'templates'];
+
+/** A gallery whose manifest holds `entries`. */
+function setup(entries = []) {
+  const dir     = mkdtempSync(join(tmpdir(), 'generate-'));
+  const gallery = join(dir, 'gallery');
+  for (const f of GALLERY_FILES) cpSync(join(ROOT_DIR, f), join(gallery, f), { recursive: true });
+  mkdirSync(join(gallery, 'repos'), { recursive: true });
+  writeFileSync(join(gallery, 'repos', 'manifest.json'), JSON.stringify({ schemaVersion: 2, generated: entries }, null, 2));
+  return { dir, gallery, manifest: () => JSON.parse(readFileSync(join(gallery, 'repos', 'manifest.json'), 'utf8')).generated };
+}
+
+/** A one-commit CLI project at `path`. */
+function createCheckout(path) {
+  mkdirSync(path, { recursive: true });
+  writeFileSync(join(path, 'README.md'), '# demo\n\nPrints a greeting.\n');
+  writeFileSync(join(path, 'package.json'), JSON.stringify({ name: 'demo', bin: { demo: 'cli.js' } }));
+  writeFileSync(join(path, 'cli.js'), '#!/usr/bin/env node\nconsole.log(`hello, ${process.argv[2] || "world"}`);\n');
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: path, stdio: 'ignore' });
+  git('init', '-q');
+  git('add', '-A');
+  git('commit', '-qm', 'init');
+  return path;
+}
+
+/** Run generate.js in `gallery` with the fixture provider, nothing published, and none of this machine's LLM_* settings. */
+function generate(gallery, args, env = {}) {
+  const base = Object.fromEntries(Object.entries(process.env).filter(([key]) => !key.startsWith('LLM_') && !key.startsWith('GITHUB_')));
+  return execFileAsync(process.execPath, ['generate.js', '--provider', 'fixture', '--no-push', ...args], { cwd: gallery, env: { ...base, ...env } });
+}
+
+// ============================================================
+// Fixture provider, local repo
+// ============================================================
+
+test('generating a local repo writes the page, a version and the manifest entry', { timeout: 60_000 }, async () => {
+  const { dir, gallery, manifest } = setup();
+  try {
+    const repo = createCheckout(join(dir, 'code', 'demo'));
+    await generate(gallery, [repo]);
+
+    const generated = manifest();
+    assert.equal(generated.length, 1);
+    const entry = generated[0];
+    assert.equal(entry.fullName, 'code@local/demo');
+    assert.equal(entry.path, 'repos/code@local/demo/index.html');
+    assert.equal(entry.host, 'local');
+    assert.equal(entry.source, repo);
+    assert.equal(entry.private, true);
+    assert.equal(entry.type, 'cli');
+    assert.equal(entry.provider, 'fixture');
+    assert.equal(entry.validation.passed, true);
+    assert.match(entry.sourceSha, /^[0-9a-f]{40}$/);
+    assert.equal(entry.github, undefined, 'only GitHub repos ask GitHub');
+
+    const page = readFileSync(join(gallery, entry.path), 'utf8');
+    assert.match(page, /^<!DOCTYPE html>/);
+    assert.match(page, /<h1>demo<\/h1>/);
+    assert.ok(page.includes(`href="${BACK_LINK}"`), 'the page links back to the gallery');
+    assert.match(page, /Content-Security-Policy/);
+    assert.equal(readFileSync(join(gallery, 'repos', 'code@local', 'demo', 'versions', `${entry.activeVersion}.html`), 'utf8'), page);
+    assert.ok(existsSync(join(gallery, 'config.json')), 'the local gallery gets its branding');
+    assert.ok(!existsSync(join(ROOT_DIR, 'repos', 'code@local')), 'the real gallery is untouched');
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================
+// GitHub details
+// ============================================================
+
+test('GitHub details are fetched with the token when a page is generated, and reused when it is skipped', { timeout: 60_000 }, async () => {
+  const requests = [];
+  const api = createServer((req, res) => {
+    requests.push({ url: req.url, authorization: req.headers.authorization });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ full_name: 'alice/demo', description: 'Greets people', topics: ['greeting'], stargazers_count: 42 }));
+  });
+  await new Promise(r => api.listen(0, '127.0.0.1', r));
+  // Public and already cloned: --no-clone needs neither git nor GitHub to reach it
+  const { dir, gallery, manifest } = setup([{ owner: 'alice', repo: 'demo', fullName: 'alice/demo', private: false }]);
+  try {
+    createCheckout(join(gallery, 'tmp', 'repos', 'alice-demo'));
+    const env = { GITHUB_API_URL: `http://127.0.0.1:${api.address().port}`, GITHUB_TOKEN: 'test-token', GITHUB_CACHE_TTL: '0' };
+
+    await generate(gallery, ['--no-clone', 'alice/demo'], env);
+    assert.deepEqual(requests, [{ url: '/repos/alice/demo', authorization: 'Bearer test-token' }]);
+    const [entry] = manifest();
+    assert.equal(entry.description, 'Greets people');
+    assert.equal(entry.stars, 42);
+    assert.equal(entry.tags[0], 'greeting');
+    assert.deepEqual({ ...entry.github, fetchedAt: undefined }, { description: 'Greets people', topics: ['greeting'], stars: 42, fetchedAt: undefined });
+
+    const { stdout } = await generate(gallery, ['--no-clone', '--changed-only', 'alice/demo'], env);
+    assert.match(stdout, /Unchanged since/);
+    assert.equal(requests.length, 1, 'a skipped page does not ask the API again');
+    assert.deepEqual(manifest()[0], entry);
+  } finally {
+    await new Promise(r => api.close(r));
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
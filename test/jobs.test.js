@@ -0,0 +1,167 @@
+/**
+ * test/jobs.test.js — lib/jobs.js: the queue across a restart, per-repo locks
+ * and cancelling, with a stand-in for generate.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { createJobQueue } from '../lib/jobs.js';
+
+// Reports its repos as started, then holds them until a `go` file appears in its cwd
+const WORKER = `
+import { existsSync } from 'fs';
+const repos = process.argv.slice(2).filter(a => !a.startsWith('--'));
+const emit  = (e) => console.log(JSON.stringify({ ts: new Date().toISOString(), ...e }));
+for (const repo of repos) emit({ event: 'phase', repo, phase: 'clone', status: 'started' });
+const wait = setInterval(() => {
+  if (!existsSync('go')) return;
+  clearInterval(wait);
+  for (const repo of repos) emit({ event: 'phase', repo, phase: 'write', status: 'done', path: \`repos/\${repo}/index.html\` });
+  emit({ event: 'summary', generated: repos });
+}, 20);
+`;
+
+function setup() {
+  const dir = mkdtempSync(join(tmpdir(), 'jobs-'));
+  writeFileSync(join(dir, 'worker.mjs'), WORKER);
+  const options = { file: join(dir, 'tmp', 'jobs.json'), script: join(dir, 'worker.mjs'), cwd: dir };
+  return { dir, options, go: () => writeFileSync(join(dir, 'go'), '') };
+}
+
+/** Resolve once `check()` holds; fail after `ms`. */
+async function until(check, ms = 10_000) {
+  for (const start = Date.now(); !check(); await new Promise(r => setTimeout(r, 20))) {
+    if (Date.now() - start > ms) throw new Error(`timed out waiting for ${check}`);
+  }
+}
+
+const saved = (options) => JSON.parse(readFileSync(options.file, 'utf8')).jobs;
+
+// ============================================================
+// Persistence
+// ============================================================
+
+test('a restart keeps finished jobs, fails interrupted ones and restarts queued ones', async () => {
+  const { dir, options, go } = setup();
+  let queue = null;
+  try {
+    const now = Date.now();
+    const job = (id, status, extra = {}) => ({
+      id, repos: [`alice/${id}`], sources: null, args: [], trigger: null, status, logs: [],
+      progress: {}, repoState: { [`alice/${id}`]: { outcome: status === 'success' ? 'generated' : status === 'running' ? 'running' : 'pending' } },
+      result: null, error: null, createdAt: now - 3000, startedAt: null, finishedAt: null, durationMs: null, exitCode: null, signal: null,
+      ...extra,
+    });
+    mkdirSync(join(dir, 'tmp'));
+    writeFileSync(options.file, JSON.stringify({ jobs: [
+      job('done', 'success', { startedAt: now - 3000, finishedAt: now - 2000, durationMs: 1000, exitCode: 0, progress: { 'alice/done': { tokens: 9, tps: 3 } } }),
+      job('interrupted', 'running', { createdAt: now - 1000, startedAt: now - 1000, pid: 999999 }),
+      job('waiting', 'queued', { createdAt: now - 500 }),
+    ] }));
+
+    queue = createJobQueue(options);
+    const [waiting, interrupted, done] = queue.list();
+    assert.deepEqual([waiting.id, interrupted.id, done.id], ['waiting', 'interrupted', 'done']);
+
+    assert.equal(done.status, 'success');
+    assert.deepEqual(queue.get('done').progress, { 'alice/done': { tokens: 9, tps: 3, html: '' } });
+
+    assert.equal(interrupted.status, 'error');
+    assert.equal(interrupted.repoState['alice/interrupted'].outcome, 'failed');
+    assert.match(queue.get('interrupted').logs.at(-1).message, /^Interrupted: the server stopped/);
+
+    assert.equal(waiting.status, 'running', 'a queued job is picked up again');
+    go();
+    await until(() => queue.get('waiting').status === 'success');
+    assert.equal(queue.summary(queue.get('waiting')).repoState['alice/waiting'].outcome, 'generated');
+
+    // What the next restart reads back
+    assert.deepEqual(saved(options).map(j => [j.id, j.status]), [['done', 'success'], ['interrupted', 'error'], ['waiting', 'success']]);
+    assert.equal(createJobQueue(options).get('waiting').result.generated[0], 'alice/waiting');
+  } finally {
+    queue?.shutdown();
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================
+// Scheduling
+// ============================================================
+
+test('a job waits while another holds one of its repos, whatever the case', async () => {
+  const { dir, options, go } = setup();
+  const queue = createJobQueue({ ...options, concurrency: 3 });
+  try {
+    const first  = queue.enqueue(['alice/demo']);
+    const same   = queue.enqueue(['Alice/Demo', 'alice/other']);
+    const other  = queue.enqueue(['bob/tool']);
+    assert.equal(first.status, 'running');
+    assert.equal(same.status, 'queued');
+    assert.equal(other.status, 'running', 'an unrelated job takes a free worker');
+    assert.equal(same.logs[0].message, 'Queued — 1 job(s) ahead or holding the same repos');
+    assert.equal(queue.isQueued('alice/other'), true);
+    assert.equal(queue.isQueued('ALICE/Other'), true, 'webhooks and the manifest may spell it differently');
+    assert.equal(queue.isQueued('bob/tool'), false);
+
+    await until(() => first.repoState['alice/demo'].phase === 'clone');
+    assert.equal(same.status, 'queued');
+    go();
+    await until(() => [first, same, other].every(j => j.status === 'success'));
+    assert.ok(same.startedAt >= first.finishedAt, 'the second job started once the first let go of the repo');
+  } finally {
+    queue.shutdown();
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('concurrency caps the workers; the next job starts when one finishes', async () => {
+  const { dir, options, go } = setup();
+  const queue = createJobQueue(options);
+  try {
+    const a = queue.enqueue(['alice/a']);
+    const b = queue.enqueue(['alice/b']);
+    assert.deepEqual([a.status, b.status], ['running', 'queued']);
+    go();
+    await until(() => b.status === 'success');
+    assert.ok(b.startedAt >= a.finishedAt);
+  } finally {
+    queue.shutdown();
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================
+// Cancel
+// ============================================================
+
+test('cancelling a queued job drops it; cancelling a running one stops its worker', async () => {
+  const { dir, options } = setup();
+  const queue = createJobQueue(options);
+  try {
+    const running = queue.enqueue(['alice/demo']);
+    const queued  = queue.enqueue(['alice/demo']);
+
+    assert.equal(queue.cancel(queued.id).status, 'cancelled');
+    assert.equal(queued.startedAt, null);
+    assert.equal(queued.repoState['alice/demo'].outcome, 'cancelled');
+    assert.equal(queued.logs.at(-1).message, 'Cancelled before it started');
+
+    await until(() => running.repoState['alice/demo'].phase === 'clone');
+    queue.cancel(running.id);
+    await until(() => running.status === 'cancelled');
+    assert.equal(running.signal, 'SIGTERM');
+    assert.equal(running.repoState['alice/demo'].outcome, 'cancelled');
+    assert.deepEqual(running.logs.slice(-2).map(l => l.message), ['Cancelling…', 'Generation cancelled']);
+
+    // Finished jobs stay as they are; unknown ids are null
+    assert.equal(queue.cancel(running.id).status, 'cancelled');
+    assert.equal(queue.cancel('no-such-job'), null);
+    assert.equal(saved(options).find(j => j.id === running.id).status, 'cancelled');
+  } finally {
+    queue.shutdown();
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,136 @@
+/**
+ * test/manifest.test.js — lib/manifest.js: schema migrations, saved display fields
+ * and the repos/<repo>/ → repos/<owner>/<repo>/ layout migration, on a v1 fixture
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, cpSync, writeFileSync, readFileSync, existsSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { pathToFileURL } from 'node:url';
+import { ROOT_DIR, BACK_LINK, MANIFEST_SCHEMA, migrateManifest, redirectStub } from '../lib/manifest.js';
+
+const V1 = join(ROOT_DIR, 'test', 'fixtures', 'manifests', 'v1.json');
+const readV1 = () => JSON.parse(readFileSync(V1, 'utf8'));
+
+/**
+ * A gallery holding the v1 manifest and its legacy pages (all but carol/gone's),
+ * with its own copy of lib/ — manifest.js works on the repos/ next to it.
+ */
+async function legacyGallery() {
+  const dir = mkdtempSync(join(tmpdir(), 'manifest-'));
+  cpSync(join(ROOT_DIR, 'lib'), join(dir, 'lib'), { recursive: true });
+  writeFileSync(join(dir, 'package.json'), JSON.stringify({ type: 'module' }));
+  mkdirSync(join(dir, 'repos'));
+  cpSync(V1, join(dir, 'repos', 'manifest.json'));
+  for (const repo of ['demo', 'notes']) {
+    mkdirSync(join(dir, 'repos', repo));
+    writeFileSync(join(dir, 'repos', repo, 'index.html'), `<!DOCTYPE html><a href="../../index.html">← Back to Explorer</a><h1>${repo}</h1>`);
+  }
+  const manifest = await import(pathToFileURL(join(dir, 'lib', 'manifest.js')).href);
+  const read = (rel) => readFileSync(join(dir, rel), 'utf8');
+  return { dir, manifest, read, exists: (rel) => existsSync(join(dir, rel)) };
+}
+
+// ============================================================
+// Schema
+// ============================================================
+
+test('a v1 manifest moves hand-added curation fields under curation', () => {
+  const manifest = readV1();
+  assert.equal(migrateManifest(manifest), 1);
+  assert.equal(manifest.schemaVersion, MANIFEST_SCHEMA);
+
+  const [alice, bob, notes, gone] = manifest.generated;
+  assert.deepEqual(alice.curation, { pinned: true, title: 'Demo CLI' });
+  assert.deepEqual(bob.curation, { hidden: true });
+  assert.deepEqual(notes.curation, { order: 2 });
+  assert.equal(gone.curation, undefined);
+  for (const e of manifest.generated) {
+    for (const key of ['hidden', 'pinned', 'order', 'title']) assert.ok(!(key in e), `${e.fullName}.${key} is still top-level`);
+  }
+  // Everything generation writes stays where it was
+  const { pinned, title, ...generated } = readV1().generated[0];
+  const { curation, ...migrated } = alice;
+  assert.deepEqual(migrated, generated);
+});
+
+test('a current or newer manifest is left as it is, a missing one starts empty', () => {
+  const current = { schemaVersion: MANIFEST_SCHEMA, generated: [{ fullName: 'alice/demo', title: 'kept' }] };
+  assert.equal(migrateManifest(current), MANIFEST_SCHEMA);
+  assert.equal(current.generated[0].title, 'kept');
+
+  const newer = { schemaVersion: MANIFEST_SCHEMA + 1, generated: [] };
+  migrateManifest(newer);
+  assert.equal(newer.schemaVersion, MANIFEST_SCHEMA + 1);
+
+  const empty = {};
+  assert.equal(migrateManifest(empty), 1);
+  assert.deepEqual(empty, { generated: [], schemaVersion: MANIFEST_SCHEMA });
+});
+
+// ============================================================
+// Layout
+// ============================================================
+
+test('the redirect stub forwards to the page under its owner, keeping the hash', () => {
+  const stub = redirectStub('alice', 'demo');
+  assert.match(stub, /^<!DOCTYPE html>/);
+  assert.match(stub, /<meta http-equiv="refresh" content="0; url=\.\.\/alice\/demo\/">/);
+  assert.match(stub, /<link rel="canonical" href="\.\.\/alice\/demo\/">/);
+  assert.ok(stub.includes('location.replace("../alice/demo/" + location.hash)'));
+  assert.match(stub, /<a href="\.\.\/alice\/demo\/">alice\/demo<\/a>/);
+});
+
+test('a dry run reports the moves and changes nothing', async () => {
+  const { dir, manifest, read, exists } = await legacyGallery();
+  try {
+    const before = read('repos/manifest.json');
+    const log = [];
+    const result = await manifest.migrateLayout({ dryRun: true, log: (m) => log.push(m) });
+    assert.deepEqual(result, { moved: ['alice/demo', 'alice/notes'], dropped: ['bob/demo'] });
+    assert.ok(log.some(l => l.includes('carol/gone') && l.includes('missing')));
+    assert.equal(read('repos/manifest.json'), before);
+    assert.ok(!exists('repos/alice'));
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('legacy pages move under their owner, with stubs left behind and entries rewritten', async () => {
+  const { dir, manifest, read, exists } = await legacyGallery();
+  try {
+    const result = await manifest.migrateLayout();
+    assert.deepEqual(result, { moved: ['alice/demo', 'alice/notes'], dropped: ['bob/demo'] });
+
+    // Pages: moved, with the back link one level deeper
+    assert.equal(read('repos/alice/demo/index.html'), `<!DOCTYPE html><a href="${BACK_LINK}">← Back to Explorer</a><h1>demo</h1>`);
+    assert.match(read('repos/alice/notes/index.html'), /<h1>notes<\/h1>/);
+
+    // Old URLs: stubs
+    assert.equal(read('repos/demo/index.html'), redirectStub('alice', 'demo'));
+    assert.equal(read('repos/notes/index.html'), redirectStub('alice', 'notes'));
+    assert.ok(!exists('repos/bob'));
+
+    // Manifest: migrated to the current schema, entries on the new layout, the overwritten one dropped
+    const saved = JSON.parse(read('repos/manifest.json'));
+    assert.equal(Object.keys(saved)[0], 'schemaVersion');
+    assert.equal(saved.schemaVersion, MANIFEST_SCHEMA);
+    assert.deepEqual(saved.generated.map(e => e.fullName), ['alice/demo', 'alice/notes', 'carol/gone']);
+    const [demo, notes, gone] = saved.generated;
+    // Saved with what the gallery shows: curation over the generated fields
+    assert.deepEqual(demo.display, { title: 'Demo CLI', description: null, tags: [], hidden: false, pinned: true, order: null });
+    assert.deepEqual(notes.display, { title: 'notes', description: null, tags: [], hidden: false, pinned: false, order: 2 });
+    assert.deepEqual({ path: demo.path, url: demo.url, legacyUrl: demo.legacyUrl, curation: demo.curation },
+      { path: 'repos/alice/demo/index.html', url: 'repos/alice/demo/', legacyUrl: 'repos/demo/', curation: { pinned: true, title: 'Demo CLI' } });
+    assert.equal(notes.path, 'repos/alice/notes/index.html');
+    assert.equal(gone.path, 'repos/gone/index.html', 'a page missing on disk keeps its entry');
+    assert.deepEqual(manifest.legacyEntries(saved).map(e => e.fullName), ['carol/gone']);
+
+    // A second run has nothing left to move
+    assert.deepEqual(await manifest.migrateLayout(), { moved: [], dropped: [] });
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
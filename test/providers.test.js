@@ -0,0 +1,196 @@
+/**
+ * test/providers.test.js — lib/providers.js: selection, the fixture provider,
+ * and the OpenAI-compatible adapter against a local HTTP server
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { resolveProviderOptions, createProvider, parseRetryAfter } from '../lib/providers.js';
+
+const MESSAGES = [
+  { role: 'system', content: 'You build pages.' },
+  { role: 'user', content: '## Repository: alice/demo\n## GitHub URL: https://github.com/alice/demo\n## Detected Project Type: cli' },
+];
+
+/** A chat completions endpoint answering each request with the next of `replies` ({ status, headers, body }). */
+async function mockServer(replies) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      const reply = replies[Math.min(requests.length, replies.length) - 1];
+      res.writeHead(reply.status ?? 200, reply.headers ?? { 'Content-Type': 'application/json' });
+      res.end(typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body));
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  return { requests, baseUrl: `http://127.0.0.1:${server.address().port}/v1`, close: () => new Promise(r => server.close(r)) };
+}
+
+const sse = (chunks) => ({
+  headers: { 'Content-Type': 'text/event-stream' },
+  body: chunks.map(c => `data: ${typeof c === 'string' ? c : JSON.stringify(c)}\n\n`).join(''),
+});
+
+// No backoff between attempts, so retries don't slow the suite down
+const openai = (baseUrl) => createProvider({ ...resolveProviderOptions({ provider: 'openai', baseUrl }, {}), retryBaseMs: 0 });
+
+// ============================================================
+// Selection
+// ============================================================
+
+test('flags win over the environment, which wins over the preset', () => {
+  const env = { LLM_PROVIDER: 'ollama', LLM_MODEL: 'env-model', LLM_BASE_URL: 'http://env:1/v1/' };
+  assert.equal(resolveProviderOptions({}, {}).name, 'cerebras');
+  assert.deepEqual(
+    (({ name, model, baseUrl }) => ({ name, model, baseUrl }))(resolveProviderOptions({}, env)),
+    { name: 'ollama', model: 'env-model', baseUrl: 'http://env:1/v1' },
+  );
+  const flagged = resolveProviderOptions({ provider: 'openai', model: 'flag-model', baseUrl: 'http://flag:2/v1' }, env);
+  assert.equal(flagged.name, 'openai');
+  assert.equal(flagged.model, 'flag-model');
+  assert.equal(flagged.baseUrl, 'http://flag:2/v1');
+  assert.equal(resolveProviderOptions({ provider: 'ollama' }, {}).model, 'llama3.1');
+});
+
+test('LLM_API_KEY falls back to the provider\'s own key variable', () => {
+  assert.equal(resolveProviderOptions({ provider: 'openai' }, { OPENAI_API_KEY: 'own' }).apiKey, 'own');
+  assert.equal(resolveProviderOptions({ provider: 'openai' }, { OPENAI_API_KEY: 'own', LLM_API_KEY: 'shared' }).apiKey, 'shared');
+  assert.equal(resolveProviderOptions({ provider: 'ollama' }, {}).apiKey, '');
+});
+
+test('an unknown provider, a bad temperature and a missing key are rejected', () => {
+  assert.throws(() => resolveProviderOptions({ provider: 'nope' }, {}), /Unknown provider "nope"/);
+  assert.throws(() => resolveProviderOptions({}, { LLM_TEMPERATURE: 'hot' }), /Invalid LLM_TEMPERATURE/);
+  assert.throws(() => createProvider(resolveProviderOptions({}, {})), (err) => err.code === 'MISSING_API_KEY');
+});
+
+test('Retry-After is read as seconds or a date, and capped', () => {
+  assert.equal(parseRetryAfter('3'), 3000);
+  assert.equal(parseRetryAfter(new Date(10_000).toUTCString(), 4_000), 6000);
+  assert.equal(parseRetryAfter('86400'), 5 * 60_000);
+  assert.equal(parseRetryAfter('soon'), null);
+  assert.equal(parseRetryAfter(null), null);
+});
+
+// ============================================================
+// Fixture provider
+// ============================================================
+
+test('the fixture provider returns the same page every time, without a key', async () => {
+  const provider = createProvider(resolveProviderOptions({ provider: 'fixture' }, {}));
+  const first  = await provider.complete(MESSAGES);
+  const second = await provider.complete(MESSAGES);
+  assert.equal(first.content, second.content);
+  assert.match(first.content, /^<!DOCTYPE html>/);
+  assert.match(first.content, /href="https:\/\/github\.com\/alice\/demo"/);
+  assert.match(first.content, /a cli project/);
+});
+
+test('the fixture provider streams the page line by line', async () => {
+  const provider = createProvider(resolveProviderOptions({ provider: 'fixture' }, {}));
+  const chunks = [];
+  const { content, tokens } = await provider.complete(MESSAGES, { onProgress: (p) => chunks.push(p) });
+  assert.equal(chunks.map(c => c.delta).join(''), content);
+  assert.equal(chunks.length, tokens);
+  assert.deepEqual(chunks.map(c => c.tokens), chunks.map((_, i) => i + 1));
+});
+
+// ============================================================
+// OpenAI-compatible adapter
+// ============================================================
+
+test('a plain completion returns content, tokens and tps', async () => {
+  const server = await mockServer([{ body: {
+    choices: [{ message: { content: '<!DOCTYPE html>' } }],
+    usage: { completion_tokens: 40 },
+    time_info: { completion_time: 2 },
+  } }]);
+  try {
+    const result = await openai(server.baseUrl).complete(MESSAGES, { temperature: 0 });
+    assert.deepEqual(result, { content: '<!DOCTYPE html>', tps: 20, tokens: 40 });
+    assert.equal(server.requests[0].url, '/v1/chat/completions');
+    assert.equal(server.requests[0].body.temperature, 0);
+    assert.equal(server.requests[0].body.stream, false);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a streamed completion reports every chunk and the server\'s usage', async () => {
+  const server = await mockServer([sse([
+    { choices: [{ delta: { content: '<html>' } }] },
+    { choices: [{ delta: { content: '</html>' } }] },
+    { choices: [], usage: { completion_tokens: 7 } },
+    '[DONE]',
+  ])]);
+  try {
+    const deltas = [];
+    const result = await openai(server.baseUrl).complete(MESSAGES, { onProgress: (p) => deltas.push(p.delta) });
+    assert.equal(result.content, '<html></html>');
+    assert.equal(result.tokens, 7);
+    assert.deepEqual(deltas, ['<html>', '</html>']);
+    assert.equal(server.requests[0].body.stream, true);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a failed call is retried, and the stream restarts', async () => {
+  const server = await mockServer([
+    { status: 500, body: 'boom' },
+    sse([{ choices: [{ delta: { content: 'ok' } }] }]),
+  ]);
+  try {
+    const progress = [];
+    const result = await openai(server.baseUrl).complete(MESSAGES, { onProgress: (p) => progress.push(p) });
+    assert.equal(result.content, 'ok');
+    assert.equal(server.requests.length, 2);
+    assert.deepEqual(progress[0], { reset: true });
+  } finally {
+    await server.close();
+  }
+});
+
+test('a 429 waits for Retry-After and tries again', async () => {
+  const server = await mockServer([
+    { status: 429, headers: { 'Retry-After': '0' }, body: 'slow down' },
+    { body: { choices: [{ message: { content: 'ok' } }] } },
+  ]);
+  try {
+    const result = await openai(server.baseUrl).complete(MESSAGES);
+    assert.equal(result.content, 'ok');
+    assert.equal(server.requests.length, 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test('errors surface once the attempts run out', async () => {
+  const server = await mockServer([{ status: 400, body: 'bad request' }]);
+  try {
+    await assert.rejects(openai(server.baseUrl).complete(MESSAGES), (err) => err.status === 400 && /HTTP 400: bad request/.test(err.message));
+    assert.equal(server.requests.length, 3);
+  } finally {
+    await server.close();
+  }
+});
+
+test('an empty answer and a stream error are errors', async () => {
+  // Retried like any failure (three attempts) before they surface
+  const empty = await mockServer([{ body: { choices: [{ message: { content: '' } }] } }]);
+  try {
+    await assert.rejects(openai(empty.baseUrl).complete(MESSAGES), /Empty response/);
+  } finally {
+    await empty.close();
+  }
+  const broken = await mockServer([sse([{ error: { message: 'model overloaded' } }])]);
+  try {
+    await assert.rejects(openai(broken.baseUrl).complete(MESSAGES, { onProgress: () => {} }), /model overloaded/);
+  } finally {
+    await broken.close();
+  }
+});
@@ -0,0 +1,156 @@
+/**
+ * test/publish.test.js — lib/publish.js: the dry run, what an export contains,
+ * and private pages held back without --publish-private, in a scratch gallery
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, cpSync, writeFileSync, readFileSync, readdirSync, existsSync, rmSync } from 'node:fs';
+import { join, relative } from 'node:path';
+import { tmpdir } from 'node:os';
+import { execFileSync } from 'node:child_process';
+import { pathToFileURL } from 'node:url';
+import { ROOT_DIR, pagePaths } from '../lib/manifest.js';
+import { resolvePublishOptions } from '../lib/publish.js';
+
+// Commits in the scratch repos need an identity, whatever the machine has configured
+Object.assign(process.env, {
+  GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com', GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com',
+});
+
+const entry = (owner, repo, extra = {}) => ({ owner, repo, fullName: `${owner}/${repo}`, ...pagePaths(owner, repo), type: 'cli', ...extra });
+
+/**
+ * A gallery repo with its own lib/, pushed to a bare origin, then a new page
+ * for a public repo (alice/demo) and one for a private repo (alice/secret),
+ * both uncommitted — what a --no-push run leaves behind.
+ */
+async function scratchGallery() {
+  const dir     = mkdtempSync(join(tmpdir(), 'publish-'));
+  const gallery = join(dir, 'gallery');
+  const git     = (...args) => execFileSync('git', args, { cwd: gallery, stdio: ['ignore', 'pipe', 'pipe'] }).toString().trim();
+  const write   = (rel, text) => { mkdirSync(join(gallery, rel, '..'), { recursive: true }); writeFileSync(join(gallery, rel), text); };
+
+  cpSync(join(ROOT_DIR, 'lib'), join(gallery, 'lib'), { recursive: true });
+  write('package.json', JSON.stringify({ type: 'module' }));
+  write('.gitignore', 'tmp/\n*.log\n/config.json\n');
+  write('index.html', '<!DOCTYPE html><title>gallery</title>');
+  write('config.js', "export default { brandName: 'Scratch' };\n");
+  write('config.json', '{}');
+  write('assets/styles.css', 'body{}');
+  write('server.js', '// not part of the gallery');
+  write('repos/manifest.json', JSON.stringify({ schemaVersion: 2, generated: [] }, null, 2));
+  execFileSync('git', ['init', '-q', '--bare', join(dir, 'origin.git')]);
+  git('init', '-q', '-b', 'main');
+  git('remote', 'add', 'origin', join(dir, 'origin.git'));
+  git('add', '-A');
+  git('commit', '-qm', 'gallery');
+  git('push', '-q', '-u', 'origin', 'main');
+
+  write('repos/alice/demo/index.html', '<h1>demo</h1>\n');
+  write('repos/alice/secret/index.html', '<h1>secret</h1>\n');
+  write('repos/alice/demo/debug.log', 'ignored');
+  write('repos/manifest.json', JSON.stringify({ schemaVersion: 2, generated: [entry('alice', 'demo'), entry('alice', 'secret', { private: true })] }, null, 2));
+
+  const publish = await import(pathToFileURL(join(gallery, 'lib', 'publish.js')).href);
+  const publisher = (flags) => {
+    const log = [];
+    return { log, ...publish.createPublisher(publish.resolvePublishOptions(flags, {}), { log: (m) => log.push(m) }) };
+  };
+  return { dir, gallery, git, publish, publisher };
+}
+
+/** Every file under `dir`, relative to it. */
+const listFiles = (dir) => readdirSync(dir, { recursive: true, withFileTypes: true })
+  .filter(d => d.isFile()).map(d => relative(dir, join(d.parentPath ?? d.path, d.name))).sort();
+
+// ============================================================
+// Options
+// ============================================================
+
+test('--out implies export, and an export into the gallery itself is refused', () => {
+  assert.deepEqual(resolvePublishOptions({}, {}), { strategy: 'push', out: null, base: null });
+  assert.equal(resolvePublishOptions({ out: '/tmp/site' }, {}).strategy, 'export');
+  assert.equal(resolvePublishOptions({}, { PUBLISH_STRATEGY: 'PR', PUBLISH_BASE: 'main' }).base, 'main');
+  assert.throws(() => resolvePublishOptions({ publish: 'ftp' }, {}), /Unknown publish strategy "ftp"/);
+  assert.throws(() => resolvePublishOptions({ publish: 'export' }, {}), /needs --out/);
+  assert.throws(() => resolvePublishOptions({ out: join(ROOT_DIR, 'repos', 'copy') }, {}), /into itself/);
+  assert.throws(() => resolvePublishOptions({ out: ROOT_DIR }, {}), /into itself/);
+});
+
+// ============================================================
+// Strategies
+// ============================================================
+
+test('a dry run prints the files and diffs a commit would contain, and commits nothing', async () => {
+  const { dir, git, publisher } = await scratchGallery();
+  try {
+    const head = git('rev-parse', 'HEAD');
+    const dryRun = publisher({ publish: 'dry-run' });
+    const result = await dryRun.publish({ message: 'Add demo', repos: ['alice/demo'] });
+
+    assert.deepEqual(result, {
+      status: 'skipped', strategy: 'dry-run', reason: 'dry-run', message: 'Add demo',
+      files: ['repos/manifest.json', 'repos/alice/demo/index.html', 'repos/alice/secret/index.html'],
+    });
+    const out = dryRun.log.join('\n');
+    assert.match(out, /The commit "Add demo" would change 3 file\(s\)/);
+    assert.match(out, /^ M repos\/manifest\.json$/m);
+    assert.match(out, /^\?\? repos\/alice\/demo\/index\.html$/m);
+    assert.match(out, /^\+<h1>demo<\/h1>$/m);
+    assert.match(out, /^\+\s+"fullName": "alice\/secret",$/m);
+    assert.match(out, /🔒 alice\/secret would need --publish-private/);
+    assert.ok(!out.includes('debug.log'), 'ignored files are not part of the commit');
+    assert.equal(git('rev-parse', 'HEAD'), head);
+    assert.match(git('status', '--porcelain'), /repos\/alice\//);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('an export holds the gallery and nothing else: no tooling, no ignored files', async () => {
+  const { dir, git, publisher } = await scratchGallery();
+  try {
+    const out = join(dir, 'export');
+    const result = await publisher({ out }).publish({ message: 'Export', confirmed: ['alice/secret'] });
+
+    assert.equal(result.status, 'done');
+    assert.equal(result.files, 6);
+    assert.deepEqual(listFiles(out), [
+      'assets/styles.css', 'config.json', 'index.html',
+      'repos/alice/demo/index.html', 'repos/alice/secret/index.html', 'repos/manifest.json',
+    ]);
+    assert.equal(readFileSync(join(out, 'repos', 'alice', 'demo', 'index.html'), 'utf8'), '<h1>demo</h1>\n');
+    assert.equal(JSON.parse(readFileSync(join(out, 'config.json'), 'utf8')).brandName, 'Scratch', 'written from config.js, not copied');
+    assert.match(git('status', '--porcelain'), /repos\/alice\//, 'nothing was committed');
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a private repo\'s page is refused without confirmation, by every strategy that publishes', async () => {
+  const { dir, gallery, git, publish, publisher } = await scratchGallery();
+  try {
+    const head = git('rev-parse', 'HEAD');
+    assert.deepEqual(publish.unconfirmedPrivatePages([]), ['alice/secret']);
+    assert.deepEqual(publish.unconfirmedPrivatePages(['ALICE/Secret']), []);
+
+    for (const flags of [{ publish: 'push' }, { publish: 'pr' }, { out: join(dir, 'export') }]) {
+      await assert.rejects(publisher(flags).publish({ message: 'Add pages', repos: ['alice/demo'] }), (err) =>
+        err.code === 'PRIVATE_REPO' && /alice\/secret is a private repo — not publishing without --publish-private/.test(err.message) &&
+        /--publish-private/.test(err.hints[0]), JSON.stringify(flags));
+    }
+    assert.equal(git('rev-parse', 'HEAD'), head);
+    assert.equal(git('rev-parse', 'origin/main'), head);
+    assert.ok(!existsSync(join(dir, 'export')));
+
+    // Confirmed, the push goes through
+    const result = await publisher({ publish: 'push' }).publish({ message: 'Add pages', repos: ['alice/demo', 'alice/secret'], confirmed: ['alice/secret'] });
+    assert.equal(result.status, 'done');
+    assert.equal(execFileSync('git', ['rev-parse', 'main'], { cwd: join(dir, 'origin.git') }).toString().trim(), result.sha);
+    assert.equal(git('status', '--porcelain'), '');
+    assert.ok(existsSync(join(gallery, 'repos', 'alice', 'demo', 'debug.log')));
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,106 @@
+/**
+ * test/refine.test.js — lib/refine.js: SEARCH/REPLACE blocks as models write
+ * them, and applying them to a page
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEdits, applyEdits, buildRetryPrompt } from '../lib/refine.js';
+
+const PAGE = `<body>
+  <header>
+    <h1>demo</h1>
+    <p>A tiny CLI.</p>
+  </header>
+  <section>
+    <p>Install it.</p>
+  </section>
+  <section>
+    <p>Install it.</p>
+  </section>
+</body>
+`;
+
+const block = (search, replace) => `<<<<<<< SEARCH\n${search}\n=======\n${replace}\n>>>>>>> REPLACE`;
+
+// ============================================================
+// parseEdits
+// ============================================================
+
+test('every block in a reply is parsed, in order, with the text around them ignored', () => {
+  const reply = `Sure, here are the edits:\n\n${block('<h1>demo</h1>', '<h1>Demo</h1>')}\n\nand\n\n${block('<p>A tiny CLI.</p>', '')}\n`;
+  assert.deepEqual(parseEdits(reply), [
+    { search: '<h1>demo</h1>', replace: '<h1>Demo</h1>' },
+    { search: '<p>A tiny CLI.</p>', replace: '' },
+  ]);
+});
+
+test('markdown fences and marker variations around a block are tolerated', () => {
+  const fenced = '```html\n' + block('<h1>demo</h1>', '<h1>Demo</h1>') + '\n```';
+  assert.deepEqual(parseEdits(fenced), [{ search: '<h1>demo</h1>', replace: '<h1>Demo</h1>' }]);
+  const loose = '<<<<<<<SEARCH index.html\n<h1>demo</h1>\n======= \n<h1>Demo</h1>\n>>>>>>>REPLACE';
+  assert.deepEqual(parseEdits(loose), [{ search: '<h1>demo</h1>', replace: '<h1>Demo</h1>' }]);
+});
+
+test('malformed blocks yield no edits', () => {
+  assert.deepEqual(parseEdits('<<<<<<< SEARCH\n<h1>demo</h1>\n>>>>>>> REPLACE'), [], 'no divider');
+  assert.deepEqual(parseEdits('<<<<<<< SEARCH\n<h1>demo</h1>\n=======\n<h1>Demo</h1>\n'), [], 'no closing marker');
+  assert.deepEqual(parseEdits('<<<< SEARCH\n<h1>demo</h1>\n====\n<h1>Demo</h1>\n>>>> REPLACE'), [], 'markers too short');
+  assert.deepEqual(parseEdits('```diff\n-<h1>demo</h1>\n+<h1>Demo</h1>\n```'), [], 'a diff instead');
+  assert.deepEqual(parseEdits(''), []);
+  assert.deepEqual(parseEdits(undefined), []);
+});
+
+// ============================================================
+// applyEdits
+// ============================================================
+
+test('an edit that matches once is applied, and nothing else changes', () => {
+  const { html, applied, failures } = applyEdits(PAGE, parseEdits(block('<h1>demo</h1>', '<h1>Demo</h1>')));
+  assert.equal(applied, 1);
+  assert.deepEqual(failures, []);
+  assert.equal(html, PAGE.replace('<h1>demo</h1>', '<h1>Demo</h1>'));
+});
+
+test('an edit copied with different indentation still applies', () => {
+  // Matched line by line, so the replacement takes over whole lines, indentation included
+  const { html, applied } = applyEdits(PAGE, [{ search: '<header>\n<h1>demo</h1>', replace: '  <header>\n    <h1>Demo</h1>' }]);
+  assert.equal(applied, 1);
+  assert.equal(html, PAGE.replace('<h1>demo</h1>', '<h1>Demo</h1>'));
+});
+
+test('an edit that matches nowhere fails and leaves the page alone', () => {
+  const { html, applied, failures } = applyEdits(PAGE, [{ search: '<h2>Usage</h2>', replace: '<h2>How to use it</h2>' }]);
+  assert.equal(applied, 0);
+  assert.equal(html, PAGE);
+  assert.deepEqual(failures, [{ search: '<h2>Usage</h2>', reason: 'not found in the page' }]);
+});
+
+test('an edit that matches more than once fails instead of guessing', () => {
+  const { html, failures } = applyEdits(PAGE, [{ search: '<p>Install it.</p>', replace: '<p>npm i demo</p>' }]);
+  assert.equal(html, PAGE);
+  assert.match(failures[0].reason, /more than one place/);
+  // The same edit with enough context to be unique goes through
+  const unique = applyEdits(PAGE, [{ search: '</header>\n  <section>\n    <p>Install it.</p>', replace: '</header>\n  <section>\n    <p>npm i demo</p>' }]);
+  assert.equal(unique.applied, 1);
+  assert.equal(unique.html.match(/Install it/g).length, 1);
+});
+
+test('an empty SEARCH fails; the other edits still apply, each to the result of the last', () => {
+  const { html, applied, failures } = applyEdits(PAGE, [
+    { search: '\n', replace: '<p>?</p>' },
+    { search: '<h1>demo</h1>', replace: '<h1>Demo</h1>' },
+    { search: '<h1>Demo</h1>', replace: '<h1>demo, the CLI</h1>' },
+  ]);
+  assert.equal(applied, 2);
+  assert.deepEqual(failures, [{ search: '\n', reason: 'the SEARCH block is empty' }]);
+  assert.match(html, /<h1>demo, the CLI<\/h1>/);
+});
+
+test('the retry prompt names each failed edit and carries the page as it is now', () => {
+  const { html, failures } = applyEdits(PAGE, [{ search: '<p>Install it.</p>', replace: '' }, { search: '<h2>Usage</h2>\n<p>x</p>', replace: '' }]);
+  const prompt = buildRetryPrompt(failures, html);
+  assert.match(prompt, /1\. SEARCH starting "<p>Install it\.<\/p>" — it matches more than one place/);
+  assert.match(prompt, /2\. SEARCH starting "<h2>Usage<\/h2>" — not found in the page/);
+  assert.ok(prompt.endsWith('```html\n' + html + '\n```'));
+});
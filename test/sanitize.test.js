@@ -0,0 +1,64 @@
+/**
+ * test/sanitize.test.js — lib/sanitize.js: tags the scanner must read the way a
+ * browser does, so nothing slips past the rules unparsed
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizePage } from '../lib/sanitize.js';
+
+const REPO_URL = 'https://github.com/alice/demo';
+
+const clean = (body) => {
+  const { html, report } = sanitizePage(`<!DOCTYPE html>\n<html><head><meta charset="utf-8"></head><body>${body}</body></html>`, { repoUrl: REPO_URL });
+  return { body: html.slice(html.indexOf('<body>') + 6, html.indexOf('</body>')), rules: report.removed.map(r => r.rule) };
+};
+
+// ============================================================
+// Attributes without whitespace between them
+// ============================================================
+
+test('a javascript: link followed directly by another attribute loses its href', () => {
+  const { body, rules } = clean('<a href="javascript:alert(document.cookie)"class="x">go</a>');
+  assert.equal(body, '<a class="x">go</a>');
+  assert.deepEqual(rules, ['unsafe-link']);
+});
+
+test('an unlisted link followed directly by another attribute loses its href', () => {
+  const { body, rules } = clean('<a href="https://evil.example/phish"title="Login">Sign in</a>');
+  assert.equal(body, '<a title="Login">Sign in</a>');
+  assert.deepEqual(rules, ['unlisted-link']);
+});
+
+test('an iframe followed directly by another attribute is removed', () => {
+  const { body, rules } = clean('<p>a</p><iframe src="https://evil.example"width="1"></iframe><p>b</p>');
+  assert.equal(body, '<p>a</p><p>b</p>');
+  assert.deepEqual(rules, ['embedded-content']);
+});
+
+test('"/" separates attributes', () => {
+  const { body, rules } = clean('<img/src="https://evil.example/pixel.gif"/alt="x">');
+  assert.equal(body, '<img alt="x">');
+  assert.deepEqual(rules, ['external-resource']);
+});
+
+// ============================================================
+// Unparsed tags
+// ============================================================
+
+test('a tag the scanner can\'t parse is removed', () => {
+  const { body, rules } = clean('<p>one</p><a "href"=javascript:alert(1)>two</a>');
+  assert.equal(body, '<p>one</p>two</a>');
+  assert.deepEqual(rules, ['unparsed-tag']);
+});
+
+test('text that only looks like a tag is left alone', () => {
+  const { body, rules } = clean('<p>if a < b and b<3 then</p><br/><input disabled/>');
+  assert.equal(body, '<p>if a < b and b<3 then</p><br/><input disabled/>');
+  assert.deepEqual(rules, []);
+});
+
+test('links on the allowlist and in-page anchors are kept', () => {
+  const html = `<a href="${REPO_URL}/issues"class="btn">Issues</a><a href="#top">Top</a>`;
+  assert.equal(clean(html).body, html);
+});
@@ -0,0 +1,30 @@
+/**
+ * test/site.test.js — lib/site.js: the deployable site holds the gallery and nothing else from the repo
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync, existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { buildSite, SITE_ITEMS } from '../lib/site.js';
+import { DEFAULT_BRANDING } from '../lib/branding.js';
+
+// Written by the build itself, next to the copied items
+const GENERATED = ['favicon.png', 'og.png', 'sitemap.xml', 'robots.txt', 'feed.xml', 'config.json'];
+
+test('only the gallery items and the generated files are published', () => {
+  const out = join(mkdtempSync(join(tmpdir(), 'site-')), '_site');
+  try {
+    const { dir } = buildSite({ branding: DEFAULT_BRANDING, siteUrl: 'https://alice.github.io/gallery/', out });
+    assert.equal(dir, out);
+    const published = readdirSync(out).sort();
+    assert.deepEqual(published.filter(name => !SITE_ITEMS.includes(name) && !GENERATED.includes(name)), []);
+    for (const name of ['index.html', 'config.json', 'repos', 'sitemap.xml', 'feed.xml']) assert.ok(published.includes(name), name);
+    for (const name of ['lib', 'server.js', 'generate.js', 'package.json', 'templates', 'test', 'requests.jsonl', '.env', 'tmp']) {
+      assert.equal(existsSync(join(out, name)), false, `${name} was published`);
+    }
+  } finally {
+    rmSync(join(out, '..'), { recursive: true, force: true });
+  }
+});
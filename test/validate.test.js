@@ -0,0 +1,110 @@
+/**
+ * test/validate.test.js — lib/validate.js: the hard rules a page must pass,
+ * broken pages (truncated, no doctype, unclosed tags) and the repair round
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePage, scanTags, buildRepairPrompt, MAX_BYTES } from '../lib/validate.js';
+import { BACK_LINK } from '../lib/manifest.js';
+
+const TARGET = { owner: 'alice', repo: 'demo' };
+
+/** A page that follows every rule; `body` goes between the header and the footer. */
+const page = ({ body = '<p>A demo.</p>' } = {}) => `<!DOCTYPE html>
+<html lang="en" data-theme="light">
+<head>
+<meta charset="UTF-8">
+<title>demo</title>
+<style>body{font-family:sans-serif}</style>
+</head>
+<body>
+<nav><a href="${BACK_LINK}">← Back to Explorer</a> <button id="theme">Toggle theme</button></nav>
+<h1>demo</h1>
+${body}
+<footer><a href="https://github.com/alice/demo">View on GitHub</a></footer>
+<script>
+document.getElementById('theme').onclick=()=>{document.documentElement.dataset.theme='dark';localStorage.setItem('theme','dark');};
+</script>
+</body>
+</html>
+`;
+
+const ids = (html, target = TARGET) => validatePage(html, target).failures.map(f => f.id);
+
+// ============================================================
+// Rules
+// ============================================================
+
+test('a page that follows the rules passes', () => {
+  const result = validatePage(page(), TARGET);
+  assert.deepEqual(result.failures, []);
+  assert.equal(result.ok, true);
+  assert.equal(result.stats.lines, page().split('\n').length);
+});
+
+test('each broken rule is reported once, by id', () => {
+  assert.deepEqual(ids(page({ body: '<a href="#">Demo</a>' })), ['hash-links']);
+  assert.deepEqual(ids(page({ body: '<script src="https://cdn.example.com/x.js"></script>' })), ['external-resources']);
+  assert.deepEqual(ids(page().replace('https://github.com/alice/demo', 'https://github.com/alice/other')), ['repo-url']);
+  assert.deepEqual(ids(page().replaceAll(BACK_LINK, '../index.html')), ['back-link']);
+  assert.deepEqual(ids(page(), { ...TARGET, isExternal: true }), ['external-badge']);
+  assert.deepEqual(ids(page({ body: 'x'.repeat(MAX_BYTES) })), ['budget']);
+});
+
+test('a repo without a public URL needs no repository link', () => {
+  assert.deepEqual(ids(page().replace('https://github.com/alice/demo', '../'), { ...TARGET, repoUrl: null }), []);
+});
+
+// ============================================================
+// Broken documents
+// ============================================================
+
+test('a truncated document is reported with the tag it stops before', () => {
+  const html = page();
+  const cut  = html.slice(0, html.indexOf('<footer>'));
+  const [failure] = validatePage(cut, TARGET).failures.filter(f => f.id === 'truncated');
+  assert.match(failure.message, /missing <\/body>/);
+  assert.match(validatePage(html.replace('</html>\n', ''), TARGET).failures.find(f => f.id === 'truncated').message, /missing <\/html>/);
+});
+
+test('a missing doctype is reported, leading whitespace is not', () => {
+  assert.deepEqual(ids(page().replace('<!DOCTYPE html>\n', '')), ['doctype']);
+  assert.deepEqual(ids('\n  ' + page().replace('<!DOCTYPE html>', '<!doctype html>')), []);
+});
+
+test('an unclosed <script> or <style> swallows the rest of the page', () => {
+  const html = page().replace('</style>', '');
+  assert.deepEqual(scanTags(html).unclosed, ['style']);
+  const failure = validatePage(html, TARGET).failures.find(f => f.id === 'truncated');
+  assert.match(failure.message, /missing <\/style>/);
+
+  const cut = page().slice(0, page().indexOf('</script>'));
+  assert.deepEqual(scanTags(cut).unclosed, ['script']);
+  assert.match(validatePage(cut, TARGET).failures.find(f => f.id === 'truncated').message, /missing <\/script>/);
+});
+
+test('a tag cut off halfway is listed as invalid', () => {
+  const { invalid } = scanTags('<p>ok</p><a href="https://github.com/alice/demo');
+  assert.equal(invalid.length, 1);
+  assert.match(invalid[0].text, /^<a href=/);
+});
+
+// ============================================================
+// Repair
+// ============================================================
+
+test('the repair prompt lists every failure, and the repaired page passes', () => {
+  const broken = page({ body: '<a href="#">Demo</a>' }).replace('<!DOCTYPE html>\n', '').split('<footer>')[0];
+  const { ok, failures } = validatePage(broken, TARGET);
+  assert.equal(ok, false);
+  assert.deepEqual(failures.map(f => f.id), ['doctype', 'truncated', 'hash-links', 'repo-url', 'theme-toggle']);
+
+  const prompt = buildRepairPrompt(failures);
+  failures.forEach((f, i) => assert.ok(prompt.includes(`${i + 1}. [${f.id}] ${f.message}`), f.id));
+  assert.match(prompt, /Fix ONLY these problems/);
+
+  // What the model sends back when it follows the prompt
+  const repaired = page({ body: '<a href="https://github.com/alice/demo#readme">Demo</a>' });
+  assert.deepEqual(validatePage(repaired, TARGET).failures, []);
+});